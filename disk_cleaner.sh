@@ -2,6 +2,7 @@
 set -u
 
 SCRIPT_NAME="disk_cleaner.sh"
+SCRIPT_DIR="$(cd "$(dirname "${BASH_SOURCE[0]}")" && pwd)"
 HOME_DIR="${HOME}"
 LOG_PATH="${HOME_DIR}/Library/Logs/disk_cleaner.log"
 DRY_RUN=1
@@ -120,7 +121,17 @@ ensure_home_scope() {
 
 deny_listed() {
   local p="$1"
-  # Deny Photos, Mail, iCloud Documents, Desktop, Documents by default
+  # The server's protected-path list (protection.json deny/allow patterns, edited in the UI) when node is
+  # installed: `node server.js check` exits 3 for a protected path (or a folder holding one), 0 otherwise
+  if command -v node >/dev/null 2>&1 && [ -f "$SCRIPT_DIR/server.js" ]; then
+    local status=0
+    HOME="$HOME_DIR" node "$SCRIPT_DIR/server.js" check "$p" >/dev/null 2>&1 || status=$?
+    case "$status" in
+      0) return 1 ;;
+      3) return 0 ;;
+    esac
+  fi
+  # Without node: Photos, Mail, iCloud Documents, Desktop, Documents (the server's default list)
   case "$p" in
     "$HOME_DIR"/Pictures/*|"$HOME_DIR"/*Photos*.photoslibrary/*) return 0 ;;
     "$HOME_DIR"/Library/Mail/*) return 0 ;;
@@ -0,0 +1,181 @@
+/**
+ * File type classification (no external deps), used by scanner.js to give every scan item a `kind`:
+ *
+ *   disk-image | installer | archive | video | audio | vm-disk | log | crash-dump | folder | other
+ *
+ * Names decide first (extension, rotated log names, known bundle folders such as .sparsebundle or .utm). Files
+ * whose name says nothing (cache entries, downloads without an extension) are identified by their magic bytes:
+ * the first bytes of the file, plus the ISO 9660 volume descriptor and the UDIF/VHD trailer for disk images.
+ * Only files of at least SNIFF_MIN_BYTES are opened; smaller ones stay 'other'.
+ */
+
+const fsp = require('fs').promises;
+const path = require('path');
+
+// id -> { label, extensions: [lower-case, without dot] }; order is the UI's chip order
+const KINDS = {
+  'disk-image': { label: 'Disk image', extensions: ['dmg', 'iso', 'img', 'cdr', 'toast', 'sparseimage'] },
+  installer: { label: 'Installer', extensions: ['pkg', 'mpkg', 'msi', 'exe', 'deb', 'rpm', 'appimage', 'flatpak', 'snap'] },
+  archive: { label: 'Archive', extensions: ['zip', 'tar', 'gz', 'tgz', 'bz2', 'tbz', 'tbz2', 'xz', 'txz', 'zst', '7z', 'rar', 'xip', 'cab', 'lz', 'lzma'] },
+  video: { label: 'Video', extensions: ['mp4', 'mov', 'm4v', 'mkv', 'webm', 'avi', 'wmv', 'flv', 'mpg', 'mpeg', 'mts', 'm2ts', '3gp', 'vob'] },
+  audio: { label: 'Audio', extensions: ['mp3', 'm4a', 'm4b', 'aac', 'wav', 'aif', 'aiff', 'flac', 'ogg', 'oga', 'opus', 'wma', 'caf', 'alac'] },
+  'vm-disk': { label: 'VM disk', extensions: ['vmdk', 'vdi', 'vhd', 'vhdx', 'qcow', 'qcow2', 'hdd', 'hds', 'vmem', 'vmsn', 'vmss'] },
+  log: { label: 'Log', extensions: ['log', 'asl', 'tracev3', 'etl'] },
+  'crash-dump': { label: 'Crash dump', extensions: ['crash', 'ips', 'dmp', 'mdmp', 'hang', 'spin', 'panic', 'core'] },
+  folder: { label: 'Folder', extensions: [] },
+  other: { label: 'Other', extensions: [] }
+};
+
+const BY_EXTENSION = new Map();
+for (const [id, k] of Object.entries(KINDS)) {
+  for (const ext of k.extensions) BY_EXTENSION.set(ext, id);
+}
+
+// Folders that are one thing to the user (macOS bundles, VM packages) or hold only logs/crash reports
+const DIR_EXTENSIONS = new Map([
+  ['sparsebundle', 'disk-image'], ['pkg', 'installer'], ['mpkg', 'installer'],
+  ['vmwarevm', 'vm-disk'], ['pvm', 'vm-disk'], ['utm', 'vm-disk'], ['hdd', 'vm-disk'],
+  ['logarchive', 'log']
+]);
+const DIR_NAMES = new Map([['logs', 'log'], ['log', 'log'], ['diagnosticreports', 'crash-dump'], ['crashreporter', 'crash-dump'], ['crashpad', 'crash-dump']]);
+
+// system.log.0, app.log.2.gz, kernel.log.old: rotated logs are logs, not archives
+const ROTATED_LOG = /\.log(\.(\d+|old))?(\.(gz|bz2|xz|zst))?$/i;
+// core, core.12345: process core files on Linux
+const CORE_FILE = /^core(\.\d+)?$/;
+// Docker Desktop's VM disk on macOS
+const VM_DISK_NAMES = new Set(['docker.raw', 'docker.qcow2']);
+
+const SNIFF_MIN_BYTES = 64 * 1024;
+const HEAD_BYTES = 512;
+
+// [ offset, signature (string = latin1 bytes, or Buffer), kind ]
+const SIGNATURES = [
+  [0, 'xar!', 'installer'],
+  [0, '!<arch>\ndebian', 'installer'],
+  [0, Buffer.from([0xed, 0xab, 0xee, 0xdb]), 'installer'], // rpm
+  [0, 'encrcdsa', 'disk-image'], // encrypted dmg
+  [0, 'sprs', 'disk-image'], // sparseimage
+  [0, 'KDMV', 'vm-disk'],
+  [0, '# Disk DescriptorFile', 'vm-disk'],
+  [0, 'vhdxfile', 'vm-disk'],
+  [0, 'conectix', 'vm-disk'],
+  [0, Buffer.from([0x51, 0x46, 0x49, 0xfb]), 'vm-disk'], // qcow
+  [0x40, Buffer.from([0x7f, 0x10, 0xda, 0xbe]), 'vm-disk'], // VirtualBox vdi
+  [0, 'PK\x03\x04', 'archive'],
+  [0, Buffer.from([0x1f, 0x8b]), 'archive'],
+  [0, 'BZh', 'archive'],
+  [0, Buffer.from([0xfd, 0x37, 0x7a, 0x58, 0x5a, 0x00]), 'archive'],
+  [0, Buffer.from([0x37, 0x7a, 0xbc, 0xaf, 0x27, 0x1c]), 'archive'],
+  [0, 'Rar!\x1a\x07', 'archive'],
+  [0, Buffer.from([0x28, 0xb5, 0x2f, 0xfd]), 'archive'], // zstd
+  [0, 'MSCF', 'archive'],
+  [257, 'ustar', 'archive'],
+  [0, Buffer.from([0x1a, 0x45, 0xdf, 0xa3]), 'video'], // Matroska / WebM
+  [0, 'FLV\x01', 'video'],
+  [0, Buffer.from([0x00, 0x00, 0x01, 0xba]), 'video'], // MPEG program stream
+  [0, Buffer.from([0x00, 0x00, 0x01, 0xb3]), 'video'],
+  [0, 'ID3', 'audio'],
+  [0, 'fLaC', 'audio'],
+  [0, 'OggS', 'audio'],
+  [0, 'caff', 'audio'],
+  [0, 'MDMP', 'crash-dump'] // Windows minidump
+];
+
+// ISO BMFF (mp4, mov, m4a, heic): brands that are audio, or still images rather than video
+const AUDIO_BRANDS = new Set(['M4A ', 'M4B ', 'M4P ', 'F4A ', 'F4B ']);
+const IMAGE_BRANDS = new Set(['heic', 'heix', 'hevc', 'mif1', 'msf1', 'avif', 'avis']);
+
+function matchesAt(buf, offset, sig) {
+  const bytes = typeof sig === 'string' ? Buffer.from(sig, 'latin1') : sig;
+  return buf.length >= offset + bytes.length && buf.subarray(offset, offset + bytes.length).equals(bytes);
+}
+
+// Kind from the head of a file, or null
+function kindOfHead(head) {
+  for (const [offset, sig, kind] of SIGNATURES) {
+    if (matchesAt(head, offset, sig)) return kind;
+  }
+  const box = head.length >= 12 ? head.toString('latin1', 4, 8) : '';
+  if (box === 'ftyp') {
+    const brand = head.toString('latin1', 8, 12);
+    if (AUDIO_BRANDS.has(brand)) return 'audio';
+    return IMAGE_BRANDS.has(brand) ? null : 'video';
+  }
+  if (box === 'moov' || box === 'mdat' || box === 'wide') return 'video'; // QuickTime without ftyp
+  if (matchesAt(head, 0, 'RIFF') && head.length >= 12) {
+    const form = head.toString('latin1', 8, 12);
+    if (form === 'AVI ') return 'video';
+    if (form === 'WAVE') return 'audio';
+  }
+  if (matchesAt(head, 0, 'FORM') && head.length >= 12 && /^AIF[FC]$/.test(head.toString('latin1', 8, 12))) return 'audio';
+  // Core files: Mach-O (64-bit, filetype MH_CORE) and ELF (e_type ET_CORE)
+  if (head.length >= 16 && head.readUInt32LE(0) === 0xfeedfacf && head.readUInt32LE(12) === 4) return 'crash-dump';
+  if (head.length >= 18 && matchesAt(head, 0, '\x7fELF')) {
+    const type = head[5] === 2 ? head.readUInt16BE(16) : head.readUInt16LE(16);
+    if (type === 4) return 'crash-dump';
+  }
+  // MPEG transport stream (sync byte every 188 bytes), MP3 and AAC frames
+  if (head.length >= 377 && head[0] === 0x47 && head[188] === 0x47 && head[376] === 0x47) return 'video';
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xe0) === 0xe0 && (head[1] & 0x06) !== 0) return 'audio';
+  if (head.length >= 2 && head[0] === 0xff && (head[1] & 0xf6) === 0xf0) return 'audio';
+  return null;
+}
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fh.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+// Kind of a regular file from its content, or null (unreadable or unknown)
+async function sniffFile(p, size) {
+  let fh;
+  try {
+    fh = await fsp.open(p, 'r');
+    const kind = kindOfHead(await readAt(fh, 0, HEAD_BYTES));
+    if (kind) return kind;
+    // ISO 9660: primary volume descriptor at sector 16
+    if (size >= 0x8006 && (await readAt(fh, 0x8001, 5)).toString('latin1') === 'CD001') return 'disk-image';
+    // UDIF (dmg) and fixed-size VHD keep their header in the last 512 bytes
+    if (size >= 1024) {
+      const tail = (await readAt(fh, size - 512, 8)).toString('latin1');
+      if (tail.startsWith('koly')) return 'disk-image';
+      if (tail === 'conectix') return 'vm-disk';
+    }
+    return null;
+  } catch {
+    return null;
+  } finally {
+    if (fh) await fh.close().catch(() => {});
+  }
+}
+
+// Kind from a file or folder name alone, or null
+function kindOfName(name, isDir = false) {
+  const lower = String(name).toLowerCase();
+  const dot = lower.lastIndexOf('.');
+  const ext = dot > 0 ? lower.slice(dot + 1) : '';
+  if (isDir) return DIR_EXTENSIONS.get(ext) || DIR_NAMES.get(lower) || null;
+  if (ROTATED_LOG.test(lower)) return 'log';
+  if (CORE_FILE.test(lower)) return 'crash-dump';
+  if (VM_DISK_NAMES.has(lower)) return 'vm-disk';
+  return BY_EXTENSION.get(ext) || null;
+}
+
+// Kind of a scan item (resolves to a kind id): { type: 'file'|'dir', size (apparent bytes; files are sniffed
+// when the name is unknown) }
+async function classify(p, { type = 'file', size = 0 } = {}) {
+  const isDir = type === 'dir';
+  const byName = kindOfName(path.basename(p), isDir);
+  if (byName) return byName;
+  if (isDir) return 'folder';
+  return (size >= SNIFF_MIN_BYTES && await sniffFile(p, size)) || 'other';
+}
+
+module.exports = {
+  KINDS,
+  kindOfName,
+  kindOfHead,
+  classify
+};
@@ -0,0 +1,235 @@
+/**
+ * Tool-native cleanup actions (no external deps), used by scanner.js for the stores that package managers
+ * and Docker keep their own indexes for. Deleting files inside ~/.npm/_cacache, the Homebrew cache, the pnpm
+ * store or Docker's VM directory can leave those stores inconsistent, so when the owning tool is installed a
+ * scan reports one "native" item per store and apply runs the tool instead of removing files:
+ *
+ *   { path: '<command line>', type: 'native', action: 'npm-cache', tool: 'npm', bytes: <estimate>, roots: [dirs],
+ *     category, reason, trashable: true, pruneDays?, wholeStore? }
+ *
+ * Age: only brew cleanup can leave entries younger than the age filter (--prune=days). npm, pnpm, pip and docker
+ * empty the whole store, so with an age filter their items are only reported when the scan opts in (wholeStores)
+ * and then carry wholeStore: true; apply runs them only for plan items that carry the flag as well.
+ *
+ * Category rules opt in per root: { "path": "~/.npm/_cacache", "native": "npm-cache" }. A root whose tool is
+ * not installed is walked like any other root.
+ *
+ * Estimates: the on-disk size of the store's directories, or `docker system df` reclaimable space for Docker. Apply
+ * measures again after the commands ran; freed = before - after.
+ * Dry run: tools with a read-only preview (brew cleanup --dry-run, pip cache info, docker system df) run it,
+ * the others only report the commands they would run.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const { execFile } = require('child_process');
+
+const TOOL_TIMEOUT_MS = 10 * 60 * 1000; // per command
+const MAX_OUTPUT_CHARS = 16 * 1024; // captured stdout/stderr per command (kept in apply details and the audit log)
+const DEFAULT_BREW_PRUNE_DAYS = 30;
+const MAX_BREW_PRUNE_DAYS = 3650;
+// Besides PATH: servers started from launchd/Finder often lack the Homebrew bin directories
+const EXTRA_TOOL_DIRS = ['/opt/homebrew/bin', '/usr/local/bin', '/usr/bin'];
+
+// id -> { tools: [executable names, first found wins], label, reason, run(opts) -> [args...][], preview(opts) -> [args...][] | null, estimate,
+//         honorsAge (the commands keep entries younger than pruneDays days) }
+const ACTIONS = {
+  'npm-cache': {
+    tools: ['npm'],
+    label: 'npm cache',
+    reason: 'npm cache (cleaned with npm, keeps the cacache index consistent)',
+    run: () => [['cache', 'clean', '--force'], ['cache', 'verify']],
+    preview: null,
+    estimate: 'dirs'
+  },
+  'brew-cleanup': {
+    tools: ['brew'],
+    label: 'Homebrew cache',
+    reason: 'Homebrew downloads older than the age filter (brew cleanup)',
+    run: ({ pruneDays }) => [['cleanup', `--prune=${pruneDays === 0 ? 'all' : pruneDays}`]],
+    preview: ({ pruneDays }) => [['cleanup', `--prune=${pruneDays === 0 ? 'all' : pruneDays}`, '--dry-run']],
+    estimate: 'dirs',
+    honorsAge: true
+  },
+  'pnpm-store-prune': {
+    tools: ['pnpm'],
+    label: 'pnpm store',
+    reason: 'Packages no project references (pnpm store prune)',
+    run: () => [['store', 'prune']],
+    preview: null,
+    estimate: 'dirs'
+  },
+  'pip-cache-purge': {
+    tools: ['pip3', 'pip'],
+    label: 'pip cache',
+    reason: 'pip wheel and HTTP cache (pip cache purge)',
+    run: () => [['cache', 'purge']],
+    preview: () => [['cache', 'info']],
+    estimate: 'dirs'
+  },
+  'docker-system-prune': {
+    tools: ['docker'],
+    label: 'Docker',
+    reason: 'Stopped containers, unused networks, dangling images and build cache (docker system prune)',
+    run: () => [['system', 'prune', '--force']],
+    preview: () => [['system', 'df']],
+    estimate: 'docker'
+  }
+};
+
+function isAction(id) {
+  return typeof id === 'string' && Object.prototype.hasOwnProperty.call(ACTIONS, id);
+}
+
+// Absolute path of the first executable found for the action's tool names, or null
+function findTool(names, env = process.env) {
+  const dirs = [...String(env.PATH || '').split(path.delimiter).filter(Boolean), ...EXTRA_TOOL_DIRS];
+  for (const name of names) {
+    for (const dir of dirs) {
+      const candidate = path.join(dir, name);
+      try {
+        fs.accessSync(candidate, fs.constants.X_OK);
+        if (fs.statSync(candidate).isFile()) return candidate;
+      } catch {}
+    }
+  }
+  return null;
+}
+
+// Installed tools per action: [ { action, label, tool, path } ] (path null when missing)
+function detectTools() {
+  return Object.entries(ACTIONS).map(([id, a]) => ({ action: id, label: a.label, tool: a.tools[0], path: findTool(a.tools) }));
+}
+
+function clip(text) {
+  const s = String(text || '');
+  return s.length > MAX_OUTPUT_CHARS ? `${s.slice(0, MAX_OUTPUT_CHARS)}\n… (${s.length - MAX_OUTPUT_CHARS} more characters)` : s;
+}
+
+// Run one command without a shell; resolves to { command, exitCode, stdout, stderr, durationMs, error? }
+function runTool(binary, args, { signal, env } = {}) {
+  const started = Date.now();
+  const command = [path.basename(binary), ...args].join(' ');
+  // The tool's own directory first, so scripts like npm find their interpreter (node) next to them
+  const PATH = [path.dirname(binary), path.dirname(process.execPath), ...EXTRA_TOOL_DIRS, (env || process.env).PATH || ''].join(path.delimiter);
+  return new Promise((resolve) => {
+    execFile(binary, args, { env: { ...(env || process.env), PATH }, timeout: TOOL_TIMEOUT_MS, maxBuffer: 16 * 1024 * 1024, signal, windowsHide: true },
+      (err, stdout, stderr) => {
+        const out = { command, exitCode: err ? (typeof err.code === 'number' ? err.code : null) : 0, stdout: clip(stdout), stderr: clip(stderr), durationMs: Date.now() - started };
+        if (err && typeof err.code !== 'number') out.error = err.killed ? `timed out or cancelled (${err.signal || 'killed'})` : String(err.message || err);
+        resolve(out);
+      });
+  });
+}
+
+// Bytes the regular files below dirs occupy on disk (symlinks not followed; hard links counted once)
+async function dirBytes(dirs) {
+  let total = 0;
+  const seen = new Set();
+  const stack = [...dirs];
+  while (stack.length) {
+    const dir = stack.pop();
+    let entries;
+    try { entries = await fsp.readdir(dir, { withFileTypes: true }); } catch { continue; }
+    for (const ent of entries) {
+      const full = path.join(dir, ent.name);
+      if (ent.isDirectory()) stack.push(full);
+      else if (ent.isFile()) {
+        try {
+          const st = await fsp.lstat(full);
+          if (st.nlink > 1) {
+            if (seen.has(`${st.dev}:${st.ino}`)) continue;
+            seen.add(`${st.dev}:${st.ino}`);
+          }
+          total += typeof st.blocks === 'number' ? st.blocks * 512 : st.size;
+        } catch {}
+      }
+    }
+  }
+  return total;
+}
+
+// "1.5GB", "512kB", "0B" (docker's units are decimal)
+function parseDockerSize(text) {
+  const m = /^([\d.]+)\s*([kKMGTP]?)B/.exec(String(text || '').trim());
+  if (!m) return 0;
+  const mult = { '': 1, k: 1e3, K: 1e3, M: 1e6, G: 1e9, T: 1e12, P: 1e15 }[m[2]];
+  return Math.round(Number(m[1]) * mult);
+}
+
+// Reclaimable bytes per `docker system df`, or null when the daemon is not reachable
+async function dockerReclaimable(binary) {
+  const res = await runTool(binary, ['system', 'df', '--format', '{{json .}}']);
+  if (res.exitCode !== 0) return null;
+  let total = 0;
+  for (const line of res.stdout.split('\n')) {
+    try { total += parseDockerSize(JSON.parse(line).Reclaimable); } catch {}
+  }
+  return total;
+}
+
+async function estimateBytes(action, binary, roots) {
+  if (ACTIONS[action].estimate === 'docker') {
+    const reclaimable = await dockerReclaimable(binary);
+    if (reclaimable !== null) return reclaimable;
+  }
+  return dirBytes(roots);
+}
+
+function commandLine(action, binary, opts) {
+  return ACTIONS[action].run(opts).map(args => [path.basename(binary), ...args].join(' ')).join(' && ');
+}
+
+function pruneDaysOf(v) {
+  const n = Math.floor(Number(v));
+  return Number.isFinite(n) && n >= 0 ? Math.min(n, MAX_BREW_PRUNE_DAYS) : DEFAULT_BREW_PRUNE_DAYS;
+}
+
+// Run (or preview) an action for a plan item { action, pruneDays?, wholeStore? }. roots (the store's directories)
+// are only used to measure it before/after; tools run with HOME = home so they act on the scanner's home directory.
+// Actions without honorsAge are skipped (whole_store_not_confirmed) unless the item has wholeStore: true.
+// Resolves to an apply detail:
+//   { path, action, tool, status: 'ran'|'failed'|'dry'|'skipped', bytesBefore, bytesAfter, bytes (freed or estimate),
+//     commands: [ { command, exitCode, stdout, stderr, durationMs, error? } ], reason? }
+async function runAction(item, { dryRun, roots = [], home, signal } = {}) {
+  const action = ACTIONS[item.action];
+  const binary = findTool(action.tools);
+  const pathLabel = String(item.path || item.action);
+  if (!action.honorsAge && item.wholeStore !== true) {
+    return { path: pathLabel, action: item.action, status: 'skipped', reason: 'whole_store_not_confirmed' };
+  }
+  if (!binary) return { path: pathLabel, action: item.action, status: 'skipped', reason: `${action.tools[0]} not found` };
+  const opts = { pruneDays: pruneDaysOf(item.pruneDays) };
+  const env = home ? { ...process.env, HOME: home } : process.env;
+  const bytesBefore = await estimateBytes(item.action, binary, roots);
+  const base = { path: pathLabel, action: item.action, tool: path.basename(binary), bytesBefore };
+
+  if (dryRun) {
+    const commands = [];
+    for (const args of action.preview ? action.preview(opts) : []) commands.push(await runTool(binary, args, { signal, env }));
+    return { ...base, status: 'dry', bytes: bytesBefore, wouldRun: commandLine(item.action, binary, opts), commands };
+  }
+
+  const commands = [];
+  for (const args of action.run(opts)) {
+    if (signal && signal.aborted) break;
+    const res = await runTool(binary, args, { signal, env });
+    commands.push(res);
+    if (res.exitCode !== 0) break;
+  }
+  const failed = commands.length === 0 || commands.some(c => c.exitCode !== 0);
+  const bytesAfter = await estimateBytes(item.action, binary, roots);
+  return { ...base, status: failed ? 'failed' : 'ran', bytesAfter, bytes: Math.max(0, bytesBefore - bytesAfter), commands };
+}
+
+module.exports = {
+  ACTIONS,
+  isAction,
+  findTool,
+  detectTools,
+  estimateBytes,
+  commandLine,
+  pruneDaysOf,
+  runAction
+};
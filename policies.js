@@ -0,0 +1,368 @@
+/**
+ * Saved cleanup policies and their scheduler (no external deps), built on a scanner from scanner.js.
+ * A policy runs a scan of its categories and applies what it found, oldest items first, up to maxBytes:
+ *
+ *   { id, name, enabled, schedule, include: [categories], minSize?, olderThan?, mode: 'trash'|'delete',
+ *     maxBytes?, dryRun, dryRunFirst, wholeStores, createdAt, updatedAt, enabledAt, lastRunAt }
+ *
+ * minSize/olderThan left out (null) fall back to each category's defaults; maxBytes null = no cap.
+ * dryRun policies only report what they would trash/delete, so a new policy can be checked before it acts.
+ * dryRunFirst policies do a dry run of the selection before each real apply, record it with the run and then
+ * apply only the items the dry run passed.
+ * Tool cleanups that empty a whole store regardless of age (native items with wholeStore, see native.js) are
+ * scanned and selected only for wholeStores policies.
+ * schedule: an interval since the last run ('30m', '12h', '7d', '2w') or a 5-field cron expression in
+ * local time ('0 3 * * 1' = Mondays 03:00; fields take *, n, a-b, lists and /step; dow 0 or 7 = Sunday).
+ * A run missed while the server was down starts at the next scheduler tick. Runs are queued, one at a time.
+ *
+ * Storage: policies in <dataDir>/policies.json, one JSON line per finished run in <dataDir>/policy-runs.jsonl:
+ *   { runId, policyId, policyName, trigger: 'schedule'|'manual', startedAt, finishedAt, status: 'done'|'failed',
+ *     mode, dryRun, scanned { count, bytes }, selected { count, bytes }, capped, dryRunFirst { applyId, summary, statuses }?,
+ *     applyId, summary, statuses, details[], error }
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { humanize, nowIso, newId } = require('./scanner');
+
+const SCHEDULER_TICK_MS = 30 * 1000;
+const MIN_INTERVAL_MS = 5 * 60 * 1000; // 5 minutes
+const INTERVAL_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000, w: 7 * 24 * 60 * 60 * 1000 };
+const CRON_FIELDS = [['minute', 0, 59], ['hour', 0, 23], ['dom', 1, 31], ['month', 1, 12], ['dow', 0, 7]];
+const CRON_SEARCH_MS = 5 * 366 * 24 * 60 * 60 * 1000; // long enough for '0 0 29 2 *'
+const MAX_POLICIES = 50;
+const MAX_RUN_DETAILS = 200; // apply details kept per run record
+
+function parseCronField(field, min, max) {
+  const values = new Set();
+  for (const part of field.split(',')) {
+    const m = /^(\*|(\d+)(?:-(\d+))?)(?:\/(\d+))?$/.exec(part);
+    if (!m) return null;
+    const lo = m[1] === '*' ? min : Number(m[2]);
+    const hi = m[1] === '*' ? max : m[3] !== undefined ? Number(m[3]) : m[4] ? max : lo;
+    const step = m[4] ? Number(m[4]) : 1;
+    if (lo < min || hi > max || lo > hi || step < 1) return null;
+    for (let v = lo; v <= hi; v += step) values.add(v);
+  }
+  return values;
+}
+
+// { every: ms } or { cron: { minute, hour, dom, month, dow (Sets), domAny, dowAny } }; throws TypeError when invalid
+function parseSchedule(spec) {
+  const s = typeof spec === 'string' ? spec.trim() : '';
+  const interval = /^(?:every\s+)?(\d+)\s*([mhdw])$/i.exec(s);
+  if (interval) {
+    const every = Number(interval[1]) * INTERVAL_UNITS[interval[2].toLowerCase()];
+    if (every < MIN_INTERVAL_MS) throw new TypeError(`schedule interval must be at least ${MIN_INTERVAL_MS / 60000} minutes`);
+    return { every };
+  }
+  const fields = s.split(/\s+/);
+  const cron = {};
+  if (fields.length === CRON_FIELDS.length) {
+    CRON_FIELDS.forEach(([name, min, max], i) => { cron[name] = parseCronField(fields[i], min, max); });
+  }
+  if (fields.length !== CRON_FIELDS.length || CRON_FIELDS.some(([name]) => !cron[name])) {
+    throw new TypeError(`invalid schedule "${s}"; expected an interval such as "7d" or a cron expression such as "0 3 * * 1"`);
+  }
+  if (cron.dow.has(7)) cron.dow.add(0);
+  // Like cron: when both day fields are restricted, a day matching either one runs
+  cron.domAny = fields[2] === '*';
+  cron.dowAny = fields[4] === '*';
+  return { cron };
+}
+
+// First minute after `after` (ms) that matches cron, or null
+function nextCronTime(cron, after) {
+  const d = new Date(after);
+  d.setSeconds(0, 0);
+  d.setMinutes(d.getMinutes() + 1);
+  while (d.getTime() - after <= CRON_SEARCH_MS) {
+    if (!cron.month.has(d.getMonth() + 1)) {
+      d.setMonth(d.getMonth() + 1, 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    const domOk = cron.dom.has(d.getDate());
+    const dowOk = cron.dow.has(d.getDay());
+    if (!(cron.domAny || cron.dowAny ? domOk && dowOk : domOk || dowOk)) {
+      d.setDate(d.getDate() + 1);
+      d.setHours(0, 0, 0, 0);
+      continue;
+    }
+    if (!cron.hour.has(d.getHours())) {
+      d.setHours(d.getHours() + 1, 0, 0, 0);
+      continue;
+    }
+    if (!cron.minute.has(d.getMinutes())) {
+      d.setMinutes(d.getMinutes() + 1, 0, 0);
+      continue;
+    }
+    return d.getTime();
+  }
+  return null;
+}
+
+// Next due time (ms) of an enabled policy, counted from its last run (or from when it was enabled)
+function nextRunTime(policy) {
+  if (!policy.enabled) return null;
+  let schedule;
+  try { schedule = parseSchedule(policy.schedule); } catch { return null; }
+  const since = Math.max(Date.parse(policy.lastRunAt) || 0, Date.parse(policy.enabledAt) || 0) || Date.now();
+  return schedule.every ? since + schedule.every : nextCronTime(schedule.cron, since);
+}
+
+// Validate user input into the stored policy fields; throws TypeError with a readable message.
+// categories: scanner.categories() (duplicates-kind categories cannot be scheduled: they have no safe keeper choice)
+function normalizePolicy(raw, categories) {
+  if (!raw || typeof raw !== 'object' || Array.isArray(raw)) throw new TypeError('expected a policy object');
+  const name = typeof raw.name === 'string' ? raw.name.trim() : '';
+  if (!name || name.length > 100) throw new TypeError('name must be 1-100 characters');
+
+  const include = (Array.isArray(raw.include) ? raw.include : String(raw.include || '').split(','))
+    .map(c => String(c).trim()).filter(Boolean);
+  if (!include.length) throw new TypeError('include must name at least one category');
+  const schedulable = categories.filter(c => c.kind !== 'duplicates').map(c => c.id);
+  const unknown = include.filter(c => !schedulable.includes(c));
+  if (unknown.length) throw new TypeError(`unknown or unschedulable categories: ${unknown.join(', ')} (available: ${schedulable.join(', ')})`);
+
+  const num = (key) => {
+    const v = raw[key];
+    if (v === undefined || v === null || v === '') return null;
+    const n = Number(v);
+    if (!Number.isFinite(n) || n < 0) throw new TypeError(`${key} must be a number >= 0`);
+    return n;
+  };
+  if (raw.mode !== undefined && raw.mode !== 'trash' && raw.mode !== 'delete') throw new TypeError("mode must be 'trash' or 'delete'");
+  parseSchedule(raw.schedule);
+
+  return {
+    name,
+    enabled: raw.enabled !== false,
+    schedule: raw.schedule.trim(),
+    include: [...new Set(include)],
+    minSize: num('minSize'),
+    olderThan: num('olderThan'),
+    mode: raw.mode === 'delete' ? 'delete' : 'trash',
+    maxBytes: num('maxBytes') || null,
+    dryRun: raw.dryRun === true,
+    dryRunFirst: raw.dryRunFirst === true,
+    wholeStores: raw.wholeStores === true
+  };
+}
+
+// Oldest items first, skipping any that would push the total over maxBytes. Whole-store tool cleanups only with wholeStores.
+function selectItems(items, maxBytes, wholeStores = false) {
+  const candidates = items.filter(it => it.trashable !== false && !it.dupKeeper && (!it.wholeStore || wholeStores))
+    .sort((a, b) => (Number(a.mtime) || 0) - (Number(b.mtime) || 0));
+  const selected = [];
+  let bytes = 0;
+  for (const it of candidates) {
+    const size = Number(it.bytes) || 0;
+    if (maxBytes && bytes + size > maxBytes) continue;
+    // Plan items as the UI sends them: native items need their action, files their fingerprint (drift check)
+    if (it.type === 'native') selected.push({ path: it.path, category: it.category, action: it.action, pruneDays: it.pruneDays, wholeStore: it.wholeStore });
+    else selected.push(it.fingerprint ? { path: it.path, category: it.category, fingerprint: it.fingerprint } : { path: it.path, category: it.category });
+    bytes += size;
+  }
+  return { items: selected, bytes, capped: selected.length < candidates.length };
+}
+
+// options: { scanner (required), file, runsFile }
+function createPolicyScheduler(options = {}) {
+  const scanner = options.scanner;
+  const file = options.file || path.join(scanner.dataDir, 'policies.json');
+  const runsFile = options.runsFile || path.join(scanner.dataDir, 'policy-runs.jsonl');
+  let policies = load();
+  const states = new Map(); // policyId -> 'queued' | 'running'
+  let queue = Promise.resolve();
+  let timer = null;
+
+  function load() {
+    try {
+      const data = JSON.parse(fs.readFileSync(file, 'utf8'));
+      return Array.isArray(data.policies) ? data.policies.filter(p => p && typeof p.id === 'string') : [];
+    } catch {
+      return [];
+    }
+  }
+
+  function save() {
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ policies }, null, 2));
+    fs.renameSync(tmp, file);
+  }
+
+  function readRuns() {
+    let text = '';
+    try {
+      text = fs.readFileSync(runsFile, 'utf8');
+    } catch {
+      return [];
+    }
+    const runs = [];
+    for (const line of text.split('\n')) {
+      if (!line.trim()) continue;
+      try { runs.push(JSON.parse(line)); } catch {} // skip torn/corrupt lines
+    }
+    return runs;
+  }
+
+  function appendRun(run) {
+    fs.mkdirSync(path.dirname(runsFile), { recursive: true });
+    fs.appendFileSync(runsFile, JSON.stringify(run) + '\n');
+  }
+
+  // Policy as returned by the API: stored fields + state, nextRunAt and a summary of the last run
+  function summarize(policy, lastRun) {
+    const next = nextRunTime(policy);
+    let last = null;
+    if (lastRun) {
+      const { runId, trigger, startedAt, finishedAt, status, dryRun, mode, selected, capped, dryRunFirst, summary, error } = lastRun;
+      last = { runId, trigger, startedAt, finishedAt, status, dryRun, mode, selected, capped, dryRunFirst, summary, error };
+    }
+    return { ...policy, state: states.get(policy.id) || 'idle', nextRunAt: next ? new Date(next).toISOString() : null, lastRun: last };
+  }
+
+  function lastRuns() {
+    const byPolicy = new Map();
+    for (const run of readRuns()) byPolicy.set(run.policyId, run);
+    return byPolicy;
+  }
+
+  async function execute(policy, trigger) {
+    const run = { runId: newId(), policyId: policy.id, policyName: policy.name, trigger, startedAt: nowIso(), mode: policy.mode, dryRun: policy.dryRun };
+    try {
+      const report = await scanner.scan({
+        include: policy.include,
+        minSize: policy.minSize ?? undefined,
+        olderThan: policy.olderThan ?? undefined,
+        wholeStores: policy.wholeStores
+      });
+      const selection = selectItems(report.items, policy.maxBytes, policy.wholeStores);
+      run.scanned = report.totals;
+      run.selected = { count: selection.items.length, bytes: selection.bytes };
+      run.capped = selection.capped;
+      let items = selection.items;
+      if (items.length && policy.dryRunFirst && !policy.dryRun) {
+        const dry = await scanner.apply({ items }, { mode: policy.mode, dryRun: true, source: 'policy', origin: policy.id });
+        run.dryRunFirst = { applyId: dry.applyId, summary: dry.summary, statuses: {} };
+        for (const d of dry) run.dryRunFirst.statuses[d.status] = (run.dryRunFirst.statuses[d.status] || 0) + 1;
+        const passed = new Set(dry.filter(d => d.status === 'dry').map(d => d.path));
+        items = items.filter(it => passed.has(it.path));
+      }
+      if (items.length) {
+        const details = await scanner.apply({ items }, { mode: policy.mode, dryRun: policy.dryRun, source: 'policy', origin: policy.id });
+        run.applyId = details.applyId;
+        run.summary = details.summary;
+        run.statuses = {};
+        for (const d of details) run.statuses[d.status] = (run.statuses[d.status] || 0) + 1;
+        run.details = details.slice(0, MAX_RUN_DETAILS);
+        run.detailsTruncated = details.length > MAX_RUN_DETAILS;
+      } else {
+        run.summary = { count: 0, bytes: 0, human: humanize(0), dryRun: policy.dryRun, mode: policy.mode };
+      }
+      run.status = 'done';
+    } catch (e) {
+      run.status = 'failed';
+      run.error = String(e);
+    }
+    run.finishedAt = nowIso();
+
+    try { appendRun(run); } catch (e) { console.warn('[policies] run log write failed:', String(e)); }
+    const current = policies.find(p => p.id === policy.id);
+    if (current) {
+      current.lastRunAt = run.startedAt;
+      try { save(); } catch (e) { console.warn('[policies] save failed:', String(e)); }
+    }
+    const what = run.status === 'failed' ? `failed: ${run.error}`
+      : `${run.dryRun ? 'would ' : ''}${run.mode} ${run.summary.count} item(s), ${run.summary.human}`;
+    console.log(`[policies] ${policy.name} (${trigger}): ${what}`);
+    return run;
+  }
+
+  // Queue a run; resolves to the run record once it finished
+  function enqueue(id, trigger) {
+    states.set(id, 'queued');
+    const done = queue.then(() => {
+      const policy = policies.find(p => p.id === id);
+      if (!policy) return null; // deleted while queued
+      states.set(id, 'running');
+      return execute(policy, trigger);
+    }).finally(() => states.delete(id));
+    queue = done.catch(() => {});
+    return done;
+  }
+
+  function tick() {
+    const now = Date.now();
+    for (const policy of policies) {
+      if (!policy.enabled || states.has(policy.id)) continue;
+      const next = nextRunTime(policy);
+      if (next !== null && next <= now) enqueue(policy.id, 'schedule');
+    }
+  }
+
+  return {
+    file,
+    runsFile,
+    list() {
+      const last = lastRuns();
+      return policies.map(p => summarize(p, last.get(p.id)));
+    },
+    get(id) {
+      const policy = policies.find(p => p.id === id);
+      return policy ? summarize(policy, lastRuns().get(id)) : null;
+    },
+    create(raw) {
+      if (policies.length >= MAX_POLICIES) throw new TypeError(`at most ${MAX_POLICIES} policies`);
+      const fields = normalizePolicy(raw, scanner.categories());
+      const ts = nowIso();
+      const policy = { id: newId(), ...fields, createdAt: ts, updatedAt: ts, enabledAt: fields.enabled ? ts : null, lastRunAt: null };
+      policies.push(policy);
+      save();
+      return summarize(policy, null);
+    },
+    // patch: any policy fields; the rest keep their current values. Returns null for an unknown id.
+    update(id, patch) {
+      const policy = policies.find(p => p.id === id);
+      if (!policy) return null;
+      const fields = normalizePolicy({ ...policy, ...(patch && typeof patch === 'object' ? patch : {}) }, scanner.categories());
+      const ts = nowIso();
+      if (fields.enabled && !policy.enabled) policy.enabledAt = ts;
+      Object.assign(policy, fields, { updatedAt: ts });
+      save();
+      return summarize(policy, lastRuns().get(id));
+    },
+    remove(id) {
+      const i = policies.findIndex(p => p.id === id);
+      if (i < 0) return false;
+      policies.splice(i, 1);
+      save();
+      return true;
+    },
+    // Start a run now (queued behind any running one). Returns null for an unknown id, false when already queued/running.
+    runNow(id) {
+      if (!policies.some(p => p.id === id)) return null;
+      if (states.has(id)) return false;
+      enqueue(id, 'manual');
+      return this.get(id);
+    },
+    // Finished runs of a policy, newest first
+    runs(id, limit = 20) {
+      return readRuns().filter(r => r.policyId === id).reverse().slice(0, limit);
+    },
+    start() {
+      if (timer) return;
+      timer = setInterval(tick, SCHEDULER_TICK_MS);
+      timer.unref();
+      tick();
+    },
+    stop() {
+      clearInterval(timer);
+      timer = null;
+    }
+  };
+}
+
+module.exports = { createPolicyScheduler, parseSchedule, nextCronTime };
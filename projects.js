@@ -0,0 +1,248 @@
+/**
+ * Project checkouts and their regenerable build artifacts (no external deps), used by scanner.js for
+ * `kind: "projects"` categories. A directory is a project root when it holds one of the markers below; its
+ * artifact directories (node_modules, target, .venv, ...) are what a scan reports, each as one folder item.
+ *
+ * Staleness: the project's last activity is the later of its newest source file (artifacts, hidden entries
+ * and .git excluded, depth-limited) and its last git commit. The commit time is read from .git directly
+ * (HEAD -> ref -> loose or packed commit object, else the HEAD reflog); git itself is not needed.
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const zlib = require('zlib');
+const { promisify } = require('util');
+
+const inflate = promisify(zlib.inflate);
+
+// { label, markers: [file names], artifacts: [dir names], verify?: file that must exist inside the artifact }
+const PROJECT_TYPES = [
+  { label: 'Node.js', markers: ['package.json'], artifacts: ['node_modules'] },
+  { label: 'Rust', markers: ['Cargo.toml'], artifacts: ['target'] },
+  { label: 'Maven', markers: ['pom.xml'], artifacts: ['target'] },
+  { label: 'Gradle', markers: ['build.gradle', 'build.gradle.kts', 'settings.gradle', 'settings.gradle.kts'], artifacts: ['build', '.gradle'] },
+  { label: 'Python', markers: ['pyproject.toml', 'requirements.txt', 'setup.py', 'Pipfile'], artifacts: ['.venv', 'venv'], verify: 'pyvenv.cfg' },
+  { label: 'CocoaPods', markers: ['Podfile'], artifacts: ['Pods'] }
+];
+
+// Never descended into while looking for projects or dating sources (dependency trees, VCS data)
+const SKIP_DIRS = new Set(['node_modules', '.git']);
+
+const SOURCE_SCAN_DEPTH = 3;
+const SOURCE_SCAN_MAX_ENTRIES = 5000;
+const MAX_COMMIT_OBJECT_BYTES = 1024 * 1024;
+const REFLOG_TAIL_BYTES = 4096;
+
+// Artifact directories of a project root, given its entries ([ { name, kind } ] as listed by the walker):
+// [ { name, label } ]; empty when dir is not a project root or has nothing to clean
+async function detectArtifacts(dir, entries) {
+  const files = new Set(entries.filter(e => e.kind === 'file').map(e => e.name));
+  const dirs = new Set(entries.filter(e => e.kind === 'dir').map(e => e.name));
+  const out = [];
+  for (const type of PROJECT_TYPES) {
+    if (!type.markers.some(m => files.has(m))) continue;
+    for (const name of type.artifacts) {
+      if (!dirs.has(name) || out.some(a => a.name === name)) continue;
+      if (type.verify) {
+        try { await fsp.access(path.join(dir, name, type.verify)); } catch { continue; }
+      }
+      out.push({ name, label: type.label });
+    }
+  }
+  return out;
+}
+
+function isProjectRoot(entries) {
+  return entries.some(e => e.name === '.git' || PROJECT_TYPES.some(t => t.markers.includes(e.name) && e.kind === 'file'));
+}
+
+async function readText(p, max = MAX_COMMIT_OBJECT_BYTES) {
+  try {
+    if ((await fsp.stat(p)).size > max) return null;
+    return await fsp.readFile(p, 'utf8');
+  } catch {
+    return null;
+  }
+}
+
+// { gitDir, commonDir } of a checkout; .git may be a file ("gitdir: ...") for worktrees and submodules
+async function gitDirs(projectDir) {
+  const dotGit = path.join(projectDir, '.git');
+  let gitDir = dotGit;
+  try {
+    if ((await fsp.stat(dotGit)).isFile()) {
+      const m = /^gitdir:\s*(.+)$/m.exec((await readText(dotGit)) || '');
+      if (!m) return null;
+      gitDir = path.resolve(projectDir, m[1].trim());
+    }
+  } catch {
+    return null;
+  }
+  const common = await readText(path.join(gitDir, 'commondir'));
+  return { gitDir, commonDir: common ? path.resolve(gitDir, common.trim()) : gitDir };
+}
+
+// Commit id HEAD points at, or null
+async function resolveHead({ gitDir, commonDir }) {
+  const head = ((await readText(path.join(gitDir, 'HEAD'))) || '').trim();
+  if (/^[0-9a-f]{40}$/.test(head)) return head;
+  const m = /^ref:\s*(\S+)$/.exec(head);
+  if (!m) return null;
+  for (const base of [gitDir, commonDir]) {
+    const id = ((await readText(path.join(base, m[1]))) || '').trim();
+    if (/^[0-9a-f]{40}$/.test(id)) return id;
+  }
+  for (const line of ((await readText(path.join(commonDir, 'packed-refs'), 64 * 1024 * 1024)) || '').split('\n')) {
+    const [id, ref] = line.trim().split(' ');
+    if (ref === m[1] && /^[0-9a-f]{40}$/.test(id)) return id;
+  }
+  return null;
+}
+
+function committerTime(body) {
+  const m = /\ncommitter [^\n]*> (\d+) [+-]\d{4}\n/.exec(`\n${body}`);
+  return m ? Number(m[1]) : null;
+}
+
+// Committer time (epoch seconds) of a loose commit object; null when packed or unreadable
+async function looseCommitTime(commonDir, id) {
+  const file = path.join(commonDir, 'objects', id.slice(0, 2), id.slice(2));
+  try {
+    if ((await fsp.stat(file)).size > MAX_COMMIT_OBJECT_BYTES) return null;
+    const body = (await inflate(await fsp.readFile(file))).toString('utf8');
+    return body.startsWith('commit ') ? committerTime(body) : null;
+  } catch {
+    return null;
+  }
+}
+
+async function readAt(fh, position, length) {
+  const buf = Buffer.alloc(length);
+  const { bytesRead } = await fh.read(buf, 0, length, position);
+  return buf.subarray(0, bytesRead);
+}
+
+// Offset of object id in a version 2 pack index, or null
+async function packOffset(idxFile, id) {
+  const fh = await fsp.open(idxFile, 'r');
+  try {
+    const head = await readAt(fh, 0, 8 + 256 * 4);
+    if (head.readUInt32BE(0) !== 0xff744f63 || head.readUInt32BE(4) !== 2) return null;
+    const total = head.readUInt32BE(8 + 255 * 4);
+    const first = parseInt(id.slice(0, 2), 16);
+    let lo = first ? head.readUInt32BE(8 + (first - 1) * 4) : 0;
+    let hi = head.readUInt32BE(8 + first * 4);
+    const want = Buffer.from(id, 'hex');
+    const namesAt = 8 + 256 * 4;
+    while (lo < hi) {
+      const mid = (lo + hi) >> 1;
+      const cmp = (await readAt(fh, namesAt + mid * 20, 20)).compare(want);
+      if (cmp === 0) {
+        const offsetsAt = namesAt + total * 24; // names (20 bytes each), then CRC32s (4 bytes each)
+        const small = (await readAt(fh, offsetsAt + mid * 4, 4)).readUInt32BE(0);
+        if (!(small & 0x80000000)) return small;
+        return Number((await readAt(fh, offsetsAt + total * 4 + (small & 0x7fffffff) * 8, 8)).readBigUInt64BE(0));
+      }
+      if (cmp < 0) lo = mid + 1;
+      else hi = mid;
+    }
+    return null;
+  } finally {
+    await fh.close();
+  }
+}
+
+// Committer time of a commit stored whole in a pack (commits are rarely stored as deltas; those give null)
+async function packedCommitTime(commonDir, id) {
+  const packDir = path.join(commonDir, 'objects', 'pack');
+  let names;
+  try { names = (await fsp.readdir(packDir)).filter(n => n.endsWith('.idx')); } catch { return null; }
+  for (const name of names) {
+    try {
+      const offset = await packOffset(path.join(packDir, name), id);
+      if (offset === null) continue;
+      const fh = await fsp.open(path.join(packDir, name.replace(/\.idx$/, '.pack')), 'r');
+      try {
+        // Object header: type in bits 4-6 of the first byte, size as a little-endian varint
+        const head = await readAt(fh, offset, 16);
+        if (((head[0] >> 4) & 7) !== 1) return null;
+        let size = head[0] & 15;
+        let i = 0;
+        for (let shift = 4; head[i] & 0x80; shift += 7) size += (head[++i] & 0x7f) * 2 ** shift;
+        if (size > MAX_COMMIT_OBJECT_BYTES) return null;
+        const data = await readAt(fh, offset + i + 1, size + 1024);
+        return committerTime((await inflate(data, { finishFlush: zlib.constants.Z_SYNC_FLUSH })).toString('utf8'));
+      } finally {
+        await fh.close();
+      }
+    } catch {}
+  }
+  return null;
+}
+
+// Time (epoch seconds) of the newest HEAD reflog entry: last commit, checkout or pull in this checkout
+async function reflogTime(gitDir) {
+  const file = path.join(gitDir, 'logs', 'HEAD');
+  let fh;
+  try {
+    fh = await fsp.open(file, 'r');
+    const size = (await fh.stat()).size;
+    const len = Math.min(size, REFLOG_TAIL_BYTES);
+    const buf = await readAt(fh, size - len, len);
+    const lines = buf.toString('utf8').split('\n').filter(Boolean);
+    const m = lines.length ? /> (\d+) [+-]\d{4}\t/.exec(lines[lines.length - 1]) : null;
+    return m ? Number(m[1]) : null;
+  } catch {
+    return null;
+  } finally {
+    if (fh) await fh.close();
+  }
+}
+
+// Last commit time (epoch seconds) of the checkout at projectDir, or null when unknown
+async function lastCommitTime(projectDir) {
+  const dirs = await gitDirs(projectDir);
+  if (!dirs) return null;
+  const id = await resolveHead(dirs);
+  return (id && ((await looseCommitTime(dirs.commonDir, id)) || (await packedCommitTime(dirs.commonDir, id)))) || reflogTime(dirs.gitDir);
+}
+
+// Newest mtime (ms) of the project's own files, skipping hidden entries, artifact and dependency dirs.
+// Depth- and entry-limited: a source change is almost always near the top of a project.
+async function newestSourceMtime(projectDir, artifactNames = []) {
+  const skip = new Set([...SKIP_DIRS, ...artifactNames]);
+  let newest = 0;
+  let seen = 0;
+  let level = [projectDir];
+  for (let depth = 0; depth < SOURCE_SCAN_DEPTH && level.length && seen < SOURCE_SCAN_MAX_ENTRIES; depth++) {
+    const next = [];
+    for (const dir of level) {
+      let ents;
+      try { ents = await fsp.readdir(dir, { withFileTypes: true }); } catch { continue; }
+      for (const ent of ents) {
+        if (++seen > SOURCE_SCAN_MAX_ENTRIES) break;
+        if (ent.name.startsWith('.') || skip.has(ent.name)) continue;
+        const full = path.join(dir, ent.name);
+        if (ent.isDirectory()) next.push(full);
+        else if (ent.isFile()) {
+          try {
+            const mtimeMs = Number((await fsp.lstat(full)).mtimeMs) || 0;
+            if (mtimeMs > newest) newest = mtimeMs;
+          } catch {}
+        }
+      }
+    }
+    level = next;
+  }
+  return newest;
+}
+
+module.exports = {
+  PROJECT_TYPES,
+  SKIP_DIRS,
+  detectArtifacts,
+  isProjectRoot,
+  lastCommitTime,
+  newestSourceMtime
+};
@@ -0,0 +1,2132 @@
+/**
+ * Disk Cleaner scan/apply engine (no external deps). server.js (HTTP API + CLI) is built on it, and it can be
+ * required on its own, e.g. to script cleanups or to test against a temporary fake home directory:
+ *
+ *   const { createScanner } = require('./scanner');
+ *   const scanner = createScanner({ home: '/tmp/fake-home' });
+ *   const report = await scanner.scan({ include: ['downloads'], minSize: 0, olderThan: 0 });
+ *   const { details } = await scanner.apply({ items: report.items }, { mode: 'trash', dryRun: true });
+ *
+ * createScanner(options):
+ *   home        root every scan/apply is scoped to (default: os.homedir())
+ *   platform    process.platform value that picks category roots and defaults (default: process.platform)
+ *   env         environment for $XDG_* directories (default: process.env)
+ *   dataDir     state: apply journal, audit log, scan index, protection.json, user rules
+ *               (default: <home>/Library/Application Support/disk-cleaner on macOS, $XDG_DATA_HOME/disk-cleaner elsewhere)
+ *   categories  category rules (see readRulesFile) replacing the built-in + user rules files
+ *   rulesFile   user rules merged over the built-ins (default: <dataDir>/categories.json)
+ *   protection  { deny: [patterns], allow: [patterns] } instead of <dataDir>/protection.json / the defaults
+ *   trashDir    where trash moves go (default: <home>/.Trash on macOS, $XDG_DATA_HOME/Trash elsewhere)
+ *   trashFormat 'plain' (items renamed into trashDir; macOS default) | 'freedesktop' (files/ + info/*.trashinfo, so
+ *               desktop file managers list and restore them; default elsewhere)
+ *               Items on another volume go to that volume's trash folder (/Volumes/X/.Trashes/<uid>, <topdir>/.Trash-<uid>),
+ *               else they are copied into trashDir, verified and removed; apply details name the strategy used
+ *   concurrency default parallel directory visits per scan (8)
+ *
+ * Scanner methods:
+ *   scan(options)            -> report { reportId, generatedAt, home, totals, kinds, categories, rollupDepth, duplicates, index, protection, cancelled, items[] }
+ *       options: { include, exclude, downloads, minSize, olderThan, rollupDepth, refresh, wholeStores, concurrency, hooks, signal }
+ *       wholeStores: also report tool cleanups that ignore the age filter (items flagged wholeStore, see native.js)
+ *       items carry fingerprint { type, size, mtimeMs, dev, ino } (lstat at scan time)
+ *       and kind (disk-image, installer, archive, video, audio, vm-disk, log, crash-dump, folder, other; see filetypes.js);
+ *       kinds totals them per type: { [kind]: { count, bytes, apparentBytes } }, largest first
+ *       projects-kind categories report build artifact folders (see projects.js) with { project, artifact, lastCommit? };
+ *       their mtime is the project's last activity, so olderThan selects projects untouched for that long
+ *   largest(options)         -> { generatedAt, home, root, top, totals, files[], dirs[], tree[], treeMinBytes, protection, cancelled }:
+ *       the N largest files and folders below root, plus every folder of at least treeMinBytes (for drilling down)
+ *       options: { root (default home), top (50, max 1000), concurrency, hooks: { onProgress(stats, snapshot) }, signal }
+ *   apply(plan, options)     -> details[] (with .applyId and .summary); plan { items: [ { path, category, fingerprint? } ] }
+ *       options: { mode: 'trash'|'delete', dryRun, allowChanged, source, origin, onProgress, signal }
+ *       items that no longer match their fingerprint get status 'changed_since_scan' unless allowChanged
+ *       trashed items carry dest and strategy: 'rename' (home Trash) | 'volume' (the item's volume trash) | 'copy'
+ *       status 'partial' (originalRemained: true, dest, error): copied into the Trash and journaled, but the original
+ *       could not be removed
+ *       summary.disk (not for dry runs): { freed, volumes: [ { path, dev, freeBefore, freeAfter, freed } ] }, free space
+ *       measured before the first and after the last item
+ *       every item outcome is appended to <dataDir>/audit-log.jsonl, tagged with source and origin (who asked)
+ *       native items ({ action, wholeStore? }, see native.js) run the owning tool instead: status 'ran'|'failed'|'dry'|'skipped',
+ *       with bytesBefore/bytesAfter and each command's exitCode, stdout and stderr
+ *   history()                -> trash apply batches from the journal
+ *   audit(query)             -> { file, total, offset, limit, entries[] }: audit log records, newest first;
+ *       query: { applyId, status, mode, source, dryRun, path (substring), since, until, offset, limit }
+ *   scanHistory({ since, limit }) -> { scans[], applies[] }: per-category summary of every scan and bytes of every apply
+ *   reports()                -> stored reports of the newest completed scans (newest first, without items)
+ *   report(reportId)         -> a stored report { reportId, generatedAt, home, totals, kinds, categories, items[] } or null
+ *   restore(request)         -> (async) { ok, summary, details[] }; request { applyId } | { last: true } | { items: [ { dest, applyId? } ] }
+ *   categories()             -> category rule summaries
+ *   tools()                  -> [ { action, label, tool, path } ]: native cleanup tools and where they were found (path null: missing)
+ *   disk()                   -> (async) [ { path, dev, home, total, used, free, categories[] } ]: volumes of home, the Trash and
+ *       the category roots (path: mount point; free: bytes this user can still write)
+ *   getProtection()          -> { file, deny, allow, defaults }
+ *   setProtection(cfg)       -> validates, persists to <dataDir>/protection.json and applies cfg
+ *   checkPath(p)             -> { path, homeScoped, protected, rule?, allowedBy?, contains? }
+ */
+
+const fs = require('fs');
+const fsp = fs.promises;
+const path = require('path');
+const os = require('os');
+const crypto = require('crypto');
+const { Transform } = require('stream');
+const { pipeline } = require('stream/promises');
+const native = require('./native');
+const projects = require('./projects');
+const filetypes = require('./filetypes');
+
+// Scan engine: directories are visited by a bounded worker pool shared by all roots of a scan
+const DEFAULT_SCAN_CONCURRENCY = 8;
+const MAX_SCAN_CONCURRENCY = 64;
+
+// Safe defaults (match --easy)
+const DEFAULT_MIN_BYTES = 50 * 1024 * 1024; // 50 MB
+const DEFAULT_OLDER_DAYS = 30;
+
+// XDG base directories (freedesktop.org Base Directory spec): variable -> default below home. Rule roots and
+// protection patterns may start with $XDG_CACHE_HOME etc.; values that are not absolute paths are ignored.
+const XDG_DIRS = { XDG_CACHE_HOME: '.cache', XDG_CONFIG_HOME: '.config', XDG_DATA_HOME: '.local/share', XDG_STATE_HOME: '.local/state' };
+
+// Categories: built-in rules ship next to this file; a user rules file (same shape) adds or overrides them by id
+const DEFAULT_RULES_PATH = path.join(__dirname, 'categories.json');
+
+// Duplicate finder: never hash tiny files; partial hash reads this much from each end
+const DUPLICATE_MIN_BYTES = 1024 * 1024; // 1 MB
+const DUPLICATE_PARTIAL_BYTES = 64 * 1024;
+
+// Project finder: how deep below each root project checkouts are looked for
+const DEFAULT_PROJECT_DEPTH = 4;
+
+// Largest-files explorer: top N files and folders below a root, plus the sizes of folders of at least
+// LARGEST_TREE_MIN_BYTES for drilling down (that threshold rises when more than LARGEST_TREE_MAX_DIRS qualify)
+const DEFAULT_LARGEST_TOP = 50;
+const MAX_LARGEST_TOP = 1000;
+const LARGEST_TREE_MIN_BYTES = 1024 * 1024;
+const LARGEST_TREE_MAX_DIRS = 20000;
+
+// Scan index files of another format (older entries lack allocated bytes) are ignored and rewritten
+const SCAN_INDEX_VERSION = 2;
+
+// Roll-up mode: aggregate sizes per directory this many levels below each category root
+const DEFAULT_ROLLUP_DEPTH = 1;
+const MAX_ROLLUP_DEPTH = 6;
+
+// Protection: paths that are never scanned or applied. Patterns are '~/prefix', '/abs/prefix' or globs
+// ('*' within a segment, '**/' across segments) and cover everything below a match. allow entries
+// override deny entries, e.g. deny '~/Documents' + allow '~/Documents/scratch'.
+// Persisted in <dataDir>/protection.json (GET/PUT /api/protection in server.js).
+const DEFAULT_PROTECTION = {
+  deny: [
+    '~/Pictures', '**/*.photoslibrary', '~/Library/Mail', '~/Library/Mobile Documents', '~/Desktop', '~/Documents',
+    // Linux: mail stores and keys (the full category walks dot folders there)
+    '~/.thunderbird', '~/.local/share/evolution', '~/.ssh', '~/.gnupg'
+  ],
+  allow: []
+};
+const MAX_PROTECTION_PATTERNS = 200;
+const MAX_REPORTED_SKIPS = 200; // report.protection.skipped entries per scan
+
+// Scan/apply history for trends: trimmed to its newest half once the file grows past this
+const HISTORY_MAX_BYTES = 2 * 1024 * 1024;
+// Full reports of the newest completed scans are kept for comparing against later scans
+const MAX_STORED_REPORTS = 10;
+// Audit log: files up to this size are hashed (SHA-256) before they are trashed or deleted
+const AUDIT_HASH_MAX_BYTES = 100 * 1024 * 1024;
+const DEFAULT_AUDIT_PAGE = 100;
+const MAX_AUDIT_PAGE = 1000;
+
+function humanize(bytes) {
+  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
+  let v = Number(bytes) || 0;
+  let i = 0;
+  while (v >= 1024 && i < units.length - 1) { v /= 1024; i++; }
+  const fixed = v >= 100 ? v.toFixed(0) : v >= 10 ? v.toFixed(1) : v.toFixed(2);
+  return `${fixed} ${units[i]}`;
+}
+
+function nowIso() {
+  return new Date().toISOString();
+}
+
+// Short unique id for applies and scans
+function newId() {
+  return `${Date.now().toString(36)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+// { [category]: { count, bytes } } over items, starting every id in cats at zero.
+// Suggested duplicate keepers are left out: they are not reclaimable.
+function categoryTotals(items, cats = []) {
+  const out = {};
+  for (const c of cats) out[c] = { count: 0, bytes: 0 };
+  for (const it of items) {
+    if (it.dupKeeper) continue;
+    const c = it.category || '-';
+    if (!out[c]) out[c] = { count: 0, bytes: 0 };
+    out[c].count += 1;
+    out[c].bytes += Number(it.bytes) || 0;
+  }
+  return out;
+}
+
+// Per-type totals of report items, largest first: { [kind]: { count, bytes, apparentBytes } } (see filetypes.js)
+// Like categoryTotals, suggested duplicate keepers are left out.
+function kindTotals(items) {
+  const out = {};
+  for (const it of items) {
+    if (it.dupKeeper) continue;
+    const k = it.kind || 'other';
+    if (!out[k]) out[k] = { count: 0, bytes: 0, apparentBytes: 0 };
+    out[k].count += 1;
+    out[k].bytes += Number(it.bytes) || 0;
+    out[k].apparentBytes += Number(it.apparentBytes ?? it.bytes) || 0;
+  }
+  return Object.fromEntries(Object.entries(out).sort((a, b) => b[1].bytes - a[1].bytes));
+}
+
+// Item fingerprint from an lstat: reports carry it and plans echo it back, so apply can tell whether the
+// path still is what the scan saw. { type: 'file'|'dir'|'symlink'|'other', size, mtimeMs, dev, ino }
+function fingerprintOf(st) {
+  const type = st.isSymbolicLink() ? 'symlink' : st.isDirectory() ? 'dir' : st.isFile() ? 'file' : 'other';
+  return { type, size: Number(st.size) || 0, mtimeMs: Number(st.mtimeMs) || 0, dev: Number(st.dev), ino: Number(st.ino) };
+}
+
+// Why the path no longer matches its fingerprint, or null. A different type or inode means it was swapped
+// (replaced, or turned into a symlink); files must also keep their size and mtime. Directories are only
+// checked for identity: their contents (and own mtime) churn, and a folder total is not re-measured here.
+function fingerprintDrift(fp, st) {
+  const now = fingerprintOf(st);
+  if (fp.type !== undefined && fp.type !== now.type) return `type changed (${fp.type} -> ${now.type})`;
+  if ((fp.dev !== undefined && fp.dev !== now.dev) || (fp.ino !== undefined && fp.ino !== now.ino)) return 'replaced';
+  if (now.type === 'dir') return null;
+  if (fp.size !== undefined && fp.size !== now.size) return `size changed (${fp.size} -> ${now.size} bytes)`;
+  if (fp.mtimeMs !== undefined && fp.mtimeMs !== now.mtimeMs) return 'modified';
+  return null;
+}
+
+// Bytes an entry occupies on disk: st.blocks counts 512-byte units, so sparse files (VM and Docker disk
+// images) count what is allocated rather than their apparent size. Platforms without blocks report the size.
+function allocatedOf(st) {
+  return typeof st.blocks === 'number' && Number.isFinite(st.blocks) ? st.blocks * 512 : Number(st.size) || 0;
+}
+
+// Hard links: a file with more than one link is identified by dev:ino, so a scan or apply counts it once
+function linkKeyOf(st) {
+  return st.isFile() && st.nlink > 1 ? `${st.dev}:${st.ino}` : undefined;
+}
+
+// Utility: list immediate subdirectories (best-effort)
+async function listDirs(dir) {
+  try {
+    const ents = await fsp.readdir(dir, { withFileTypes: true });
+    return ents.filter(e => e.isDirectory()).map(e => path.join(dir, e.name));
+  } catch {
+    return [];
+  }
+}
+
+// Directory listing for the walker: [ { name, kind: 'dir'|'file'|'symlink'|'other', size, allocated, mtimeMs, link? } ]
+// (size: apparent bytes, allocated: bytes on disk, link: dev:ino of hard-linked files).
+// With an index, a directory whose mtime is unchanged since the last walk is served from the index
+// (no readdir and no lstat per entry); otherwise it is read from disk and the index record replaced.
+// Note: editing a file in place does not touch its directory's mtime; use refresh to catch that.
+async function listEntries(dir, index, batchSize = 1) {
+  let dirMtimeMs = 0;
+  if (index) {
+    dirMtimeMs = Number((await fsp.lstat(dir)).mtimeMs) || 0;
+    const cached = index.prev[dir];
+    if (cached && cached.mtimeMs === dirMtimeMs && Array.isArray(cached.entries)) {
+      index.next[dir] = cached;
+      index.stats.dirsFromIndex += 1;
+      index.stats.entriesFromIndex += cached.entries.length;
+      return cached.entries.map(([name, kind, size, mtimeMs, allocated, link]) => ({ name, kind, size, allocated, mtimeMs, link }));
+    }
+  }
+
+  const ents = await fsp.readdir(dir, { withFileTypes: true });
+  const out = [];
+  // lstat entries in parallel, batchSize at a time
+  for (let i = 0; i < ents.length; i += batchSize) {
+    const batch = ents.slice(i, i + batchSize);
+    const stats = await Promise.all(batch.map(ent => fsp.lstat(path.join(dir, ent.name)).catch(() => null)));
+    batch.forEach((ent, j) => {
+      const st = stats[j];
+      if (!st) return; // ignore per-file errors
+      const kind = st.isSymbolicLink() ? 'symlink' : st.isDirectory() ? 'dir' : st.isFile() ? 'file' : 'other';
+      out.push({ name: ent.name, kind, size: Number(st.size) || 0, allocated: allocatedOf(st), mtimeMs: Number(st.mtimeMs) || 0, link: linkKeyOf(st) });
+    });
+  }
+  if (index) {
+    index.next[dir] = { mtimeMs: dirMtimeMs, entries: out.map(e => (e.link ? [e.name, e.kind, e.size, e.mtimeMs, e.allocated, e.link] : [e.name, e.kind, e.size, e.mtimeMs, e.allocated])) };
+    index.stats.dirsRescanned += 1;
+    index.stats.entriesRescanned += out.length;
+  }
+  return out;
+}
+
+// Size of everything below dir (symlinks not followed): { bytes (on disk, directories included), apparentBytes,
+// files }. Hard links already in seenLinks add no bytes; the ones found here are added to it.
+// protectedRule(path) (optional) is asked for every entry; the first rule it returns stops the walk and is
+// reported as protected: { path, rule }.
+async function treeBytes(dir, { seenLinks, onDir, protectedRule, signal } = {}) {
+  const out = { bytes: 0, apparentBytes: 0, files: 0 };
+  try { out.bytes += allocatedOf(await fsp.lstat(dir)); } catch {}
+  const stack = [dir];
+  while (stack.length) {
+    if (signal && signal.aborted) break;
+    const current = stack.pop();
+    let ents;
+    try { ents = await listEntries(current, null); } catch { continue; }
+    if (onDir) onDir(current);
+    for (const ent of ents) {
+      if (protectedRule) {
+        const full = path.join(current, ent.name);
+        const rule = protectedRule(full);
+        if (rule) {
+          out.protected = { path: full, rule };
+          return out;
+        }
+      }
+      if (ent.kind === 'dir') {
+        out.bytes += ent.allocated;
+        stack.push(path.join(current, ent.name));
+      } else if (ent.kind === 'file') {
+        out.files += 1;
+        out.apparentBytes += ent.size;
+        if (ent.link && seenLinks) {
+          if (seenLinks.has(ent.link)) continue;
+          seenLinks.add(ent.link);
+        }
+        out.bytes += ent.allocated;
+      }
+    }
+  }
+  return out;
+}
+
+// Bounded min-heap keeping the `limit` entries with the most bytes
+function createTopList(limit) {
+  const heap = [];
+  const swap = (i, j) => { const t = heap[i]; heap[i] = heap[j]; heap[j] = t; };
+  return {
+    // Cheap check before building an entry that would not make the list
+    accepts(bytes) {
+      return heap.length < limit || bytes > heap[0].bytes;
+    },
+    push(entry) {
+      if (heap.length < limit) {
+        heap.push(entry);
+        for (let i = heap.length - 1; i > 0;) {
+          const parent = (i - 1) >> 1;
+          if (heap[parent].bytes <= heap[i].bytes) break;
+          swap(i, parent);
+          i = parent;
+        }
+      } else if (entry.bytes > heap[0].bytes) {
+        heap[0] = entry;
+        for (let i = 0; ;) {
+          const l = 2 * i + 1;
+          const r = l + 1;
+          let min = i;
+          if (l < heap.length && heap[l].bytes < heap[min].bytes) min = l;
+          if (r < heap.length && heap[r].bytes < heap[min].bytes) min = r;
+          if (min === i) break;
+          swap(i, min);
+          i = min;
+        }
+      }
+    },
+    // Largest first
+    sorted() {
+      return heap.slice().sort((a, b) => b.bytes - a.bytes);
+    }
+  };
+}
+
+// Bounded worker pool: at most `concurrency` tasks in flight; running tasks may queue more.
+// Once signal is aborted, queued tasks are skipped (their promises still resolve).
+function createPool(concurrency, signal) {
+  const queue = [];
+  let head = 0;
+  let active = 0;
+  const pump = () => {
+    while (active < concurrency && head < queue.length) {
+      const { fn, resolve } = queue[head];
+      queue[head++] = null;
+      if (head > 1024 && head * 2 > queue.length) { queue.splice(0, head); head = 0; }
+      active++;
+      Promise.resolve()
+        .then(() => (signal && signal.aborted ? undefined : fn()))
+        .catch(() => {})
+        .then(() => { active--; resolve(); pump(); });
+    }
+  };
+  return {
+    concurrency,
+    run(fn) {
+      return new Promise((resolve) => { queue.push({ fn, resolve }); pump(); });
+    }
+  };
+}
+
+// SHA-256 of a file (or a byte range of it), streamed
+function hashFile(p, range) {
+  return new Promise((resolve, reject) => {
+    const h = crypto.createHash('sha256');
+    const stream = fs.createReadStream(p, range || {});
+    stream.on('data', (chunk) => h.update(chunk));
+    stream.on('error', reject);
+    stream.on('end', () => resolve(h.digest('hex')));
+  });
+}
+
+// Copy one regular file into fh (a new file opened for writing, closed when done); resolves to the SHA-256 of the
+// bytes read from src
+async function copyFileHashed(src, fh, onChunk, signal) {
+  const h = crypto.createHash('sha256');
+  const tap = new Transform({
+    transform(chunk, encoding, cb) {
+      h.update(chunk);
+      onChunk(chunk.length);
+      cb(null, chunk);
+    }
+  });
+  await pipeline(fs.createReadStream(src), tap, fh.createWriteStream(), { signal });
+  return h.digest('hex');
+}
+
+// Copy src (a file, symlink or folder tree) to dest, keeping modes and mtimes. Each file is read back and
+// compared with what was read from the original, which must not change meanwhile; other file types (sockets,
+// FIFOs, devices) are refused. dest must not exist (EEXIST otherwise, and the entry there is left alone); on any
+// later failure the partial copy is removed and the error rethrown. onProgress(copiedBytes) runs after every chunk.
+async function verifiedCopy(src, dest, { onProgress, signal } = {}) {
+  let copied = 0;
+  let created = false; // dest is this copy's to remove once it made it
+  const onChunk = (n) => {
+    copied += n;
+    if (onProgress) onProgress(copied);
+  };
+  const copy = async (s, d) => {
+    if (signal && signal.aborted) throw new Error('Cancelled');
+    const st = await fsp.lstat(s);
+    if (st.isSymbolicLink()) {
+      await fsp.symlink(await fsp.readlink(s), d);
+      if (d === dest) created = true;
+    } else if (st.isDirectory()) {
+      await fsp.mkdir(d, { mode: 0o700 }); // writable until its entries are copied
+      if (d === dest) created = true;
+      for (const name of await fsp.readdir(s)) await copy(path.join(s, name), path.join(d, name));
+      await fsp.chmod(d, st.mode & 0o7777);
+    } else if (st.isFile()) {
+      const fh = await fsp.open(d, 'wx', st.mode & 0o777);
+      if (d === dest) created = true;
+      const sum = await copyFileHashed(s, fh, onChunk, signal);
+      const now = await fsp.lstat(s);
+      if (now.size !== st.size || now.mtimeMs !== st.mtimeMs) throw new Error(`${s} changed while it was copied`);
+      if ((await fsp.lstat(d)).size !== st.size || await hashFile(d) !== sum) throw new Error(`Copy of ${s} does not match the original`);
+      await fsp.chmod(d, st.mode & 0o7777);
+    } else {
+      throw new Error(`Cannot copy ${s}: not a file, folder or symlink`);
+    }
+    await fsp.lutimes(d, st.atime, st.mtime);
+  };
+  try {
+    await copy(src, dest);
+  } catch (e) {
+    if (created) await fsp.rm(dest, { recursive: true, force: true }).catch(() => {});
+    throw e;
+  }
+}
+
+// Top directory of the volume holding dir: dir or its highest ancestor still on device dev (its mount point)
+function volumeTopdir(dir, dev) {
+  dir = path.resolve(dir);
+  for (;;) {
+    const parent = path.dirname(dir);
+    if (parent === dir) return dir;
+    try {
+      if (fs.statSync(parent).dev !== dev) return dir;
+    } catch {
+      return dir;
+    }
+    dir = parent;
+  }
+}
+
+// Size and free space of the volume holding dir (st: its stat): { path (mount point), dev, total, used, free },
+// free being what this user can still write (statfs bavail)
+async function volumeInfo(dir, st) {
+  const s = await fsp.statfs(dir);
+  return { path: volumeTopdir(dir, st.dev), dev: st.dev, total: s.blocks * s.bsize, used: (s.blocks - s.bfree) * s.bsize, free: s.bavail * s.bsize };
+}
+
+// Cheap fingerprint: hash of the first and last DUPLICATE_PARTIAL_BYTES
+async function partialHash(p, size) {
+  const head = await hashFile(p, { start: 0, end: DUPLICATE_PARTIAL_BYTES - 1 });
+  if (size <= DUPLICATE_PARTIAL_BYTES * 2) return head;
+  const tail = await hashFile(p, { start: size - DUPLICATE_PARTIAL_BYTES });
+  return `${head}:${tail}`;
+}
+
+// Split each group by an async key, dropping keys with a single member
+async function refineGroups(groups, keyFn, signal) {
+  const out = [];
+  for (const group of groups) {
+    if (signal && signal.aborted) break;
+    const byKey = new Map();
+    for (const it of group) {
+      let key;
+      try { key = await keyFn(it); } catch { continue; } // unreadable: not a duplicate candidate
+      if (!byKey.has(key)) byKey.set(key, []);
+      byKey.get(key).push(it);
+    }
+    for (const [key, members] of byKey) if (members.length > 1) out.push(Object.assign(members, { key }));
+  }
+  return out;
+}
+
+// Category rules. File shape: { categories: [ {
+//   id, label?, description?, default? (scanned when the request names no categories),
+//   kind?: 'walk' (default) | 'duplicates' | 'projects', reason?, minSize? (bytes), olderThan? (days), maxDepth?,
+//   roots: [ '~/path/with/*/globs' | { path, reason?, platform? } | { source: 'brew-cache', reason? } ] } ] }
+// minSize/olderThan are per-category defaults used when the scan request does not set them.
+// platform ('darwin', 'linux' or a list of process.platform values) limits a root to those systems.
+function readRulesFile(file) {
+  let data;
+  try {
+    data = JSON.parse(fs.readFileSync(file, 'utf8'));
+  } catch (e) {
+    if (e.code !== 'ENOENT') console.warn(`[scanner] ignoring rules file ${file}:`, String(e));
+    return [];
+  }
+  if (!data || !Array.isArray(data.categories)) {
+    console.warn(`[scanner] ignoring rules file ${file}: expected { categories: [...] }`);
+    return [];
+  }
+  const rules = [];
+  for (const raw of data.categories) {
+    const rule = normalizeRule(raw);
+    if (rule) rules.push(rule);
+    else console.warn(`[scanner] ignoring invalid category in ${file}:`, JSON.stringify(raw));
+  }
+  return rules;
+}
+
+function normalizeRule(raw) {
+  if (!raw || typeof raw.id !== 'string' || !/^[\w.-]{1,64}$/.test(raw.id) || !Array.isArray(raw.roots)) return null;
+  const num = (v) => (v === undefined || v === null || !isFinite(Number(v)) || Number(v) < 0 ? undefined : Number(v));
+  const roots = [];
+  for (const r of raw.roots) {
+    if (r && typeof r === 'object' && r.native !== undefined && !native.isAction(r.native)) return null;
+    const platforms = r && r.platform !== undefined ? [].concat(r.platform) : undefined;
+    if (platforms && (!platforms.length || platforms.some(pl => typeof pl !== 'string'))) return null;
+    const extra = { reason: r && typeof r.reason === 'string' ? r.reason : undefined, native: r && r.native, platforms };
+    if (typeof r === 'string') roots.push({ path: r });
+    else if (r && typeof r.path === 'string') roots.push({ path: r.path, ...extra });
+    else if (r && r.source === 'brew-cache') roots.push({ source: r.source, ...extra });
+    else return null;
+  }
+  return {
+    id: raw.id,
+    label: typeof raw.label === 'string' ? raw.label : raw.id,
+    description: typeof raw.description === 'string' ? raw.description : '',
+    default: raw.default === true,
+    kind: raw.kind === 'duplicates' || raw.kind === 'projects' ? raw.kind : 'walk',
+    reason: typeof raw.reason === 'string' ? raw.reason : `${raw.id} item`,
+    minSize: num(raw.minSize),
+    olderThan: num(raw.olderThan),
+    maxDepth: num(raw.maxDepth),
+    roots
+  };
+}
+
+function globToRegExp(segment) {
+  const body = segment.replace(/[.+^${}()|\\]/g, '\\$&').replace(/\*/g, '[^/]*').replace(/\?/g, '[^/]');
+  return new RegExp(`^${body}$`);
+}
+
+// Homebrew download cache (brew --cache), when brew is installed
+async function brewCacheDir() {
+  for (const brewPath of ['/usr/local/bin/brew', '/opt/homebrew/bin/brew']) {
+    const exists = await fsp.access(brewPath).then(() => true).catch(() => false);
+    if (!exists) continue;
+    try {
+      const { execFileSync } = require('child_process');
+      const dir = execFileSync(brewPath, ['--cache'], { encoding: 'utf8' }).trim();
+      return dir && fs.existsSync(dir) ? dir : null;
+    } catch {
+      return null;
+    }
+  }
+  return null;
+}
+
+function rootApplies(root, platform) {
+  return !root.platforms || root.platforms.includes(platform);
+}
+
+// Summary of a rule as seen on platform (roots for other systems left out)
+function ruleSummary(rule, platform = process.platform) {
+  const { id, label, description, kind, reason, minSize, olderThan, maxDepth } = rule;
+  const applicable = rule.roots.filter(r => rootApplies(r, platform));
+  const roots = applicable.map(r => r.path || `<${r.source}>`);
+  const nativeActions = [...new Set(applicable.map(r => r.native).filter(Boolean))];
+  return { id, label, description, default: rule.default, kind, reason, minSize, olderThan, maxDepth, roots, native: nativeActions.length ? nativeActions : undefined };
+}
+
+// Returns an error message, or null when cfg is a valid { deny: [...], allow: [...] }
+function validateProtection(cfg) {
+  if (!cfg || !Array.isArray(cfg.deny) || !Array.isArray(cfg.allow)) return 'expected { deny: [patterns], allow: [patterns] }';
+  const all = [...cfg.deny, ...cfg.allow];
+  if (all.length > MAX_PROTECTION_PATTERNS) return `at most ${MAX_PROTECTION_PATTERNS} patterns`;
+  const bad = all.filter(p => typeof p !== 'string' || !/^(~\/|\/|\*\*\/)/.test(p) || p.includes('\0'));
+  if (bad.length) return `patterns must start with '~/', '/' or '**/': ${bad.map(String).join(', ')}`;
+  return null;
+}
+
+// Pick a free restore target: the original path, or "<name>-restored-<ts><ext>" next to it
+function restoreTarget(original) {
+  if (!fs.existsSync(original)) return original;
+  const dir = path.dirname(original);
+  const ext = path.extname(original);
+  const base = path.basename(original, ext);
+  const ts = new Date().toISOString().replace(/[:.]/g, '').replace('T', '-').slice(0, 15);
+  let candidate = path.join(dir, `${base}-restored-${ts}${ext}`);
+  for (let i = 2; fs.existsSync(candidate); i++) {
+    candidate = path.join(dir, `${base}-restored-${ts}-${i}${ext}`);
+  }
+  return candidate;
+}
+
+function createScanner(options = {}) {
+  const home = path.resolve(options.home || os.homedir());
+  const platform = options.platform || process.platform;
+  const env = options.env || process.env;
+  const isMac = platform === 'darwin';
+  // Elsewhere than macOS, state created before XDG support (under ~/Library) keeps being used where it exists
+  const macDataDir = path.join(home, 'Library', 'Application Support', 'disk-cleaner');
+  const xdgDataDir = path.join(xdgDir('XDG_DATA_HOME'), 'disk-cleaner');
+  const dataDir = path.resolve(options.dataDir || (isMac || (fs.existsSync(macDataDir) && !fs.existsSync(xdgDataDir)) ? macDataDir : xdgDataDir));
+  const journalPath = path.join(dataDir, 'trash-journal.jsonl');
+  const historyPath = path.join(dataDir, 'scan-history.jsonl');
+  const auditPath = path.join(dataDir, 'audit-log.jsonl');
+  const scanIndexDir = path.join(dataDir, 'scan-index'); // one JSON file per walked root
+  const reportsDir = path.join(dataDir, 'reports'); // <reportId>.json per stored scan report
+  const protectionPath = path.join(dataDir, 'protection.json');
+  const rulesFile = options.rulesFile || path.join(dataDir, 'categories.json');
+  const trashDir = path.resolve(options.trashDir || (isMac ? path.join(home, '.Trash') : path.join(xdgDir('XDG_DATA_HOME'), 'Trash')));
+  const trashFormat = options.trashFormat || (isMac ? 'plain' : 'freedesktop');
+  if (trashFormat !== 'plain' && trashFormat !== 'freedesktop') throw new TypeError(`Invalid options.trashFormat: ${trashFormat}`);
+  const defaultConcurrency = Number(options.concurrency) || DEFAULT_SCAN_CONCURRENCY;
+  const fixedRules = Array.isArray(options.categories) ? options.categories.map(normalizeRule) : null;
+  if (fixedRules && fixedRules.some(r => !r)) throw new TypeError('Invalid category rule in options.categories');
+  if (options.protection && validateProtection(options.protection)) {
+    throw new TypeError(`Invalid options.protection: ${validateProtection(options.protection)}`);
+  }
+  let protection = compileProtection(options.protection || loadProtectionConfig());
+
+  function ensureHomeScoped(p) {
+    const normalized = path.resolve(p);
+    return normalized.startsWith(path.resolve(home) + path.sep);
+  }
+
+  function xdgDir(name) {
+    const v = env[name];
+    return v && path.isAbsolute(v) ? path.resolve(v) : path.join(home, XDG_DIRS[name]);
+  }
+
+  function expandHome(p) {
+    if (p === '~') return home;
+    if (p.startsWith('~/')) return path.join(home, p.slice(2));
+    const m = /^\$(XDG_[A-Z]+_HOME)(?=\/|$)/.exec(p);
+    if (m && XDG_DIRS[m[1]]) return xdgDir(m[1]) + p.slice(m[0].length);
+    return p;
+  }
+
+  function loadProtectionConfig() {
+    try {
+      const cfg = JSON.parse(fs.readFileSync(protectionPath, 'utf8'));
+      if (!validateProtection(cfg)) return cfg;
+      console.warn(`[scanner] ignoring invalid ${protectionPath}; using the default protection`);
+    } catch (e) {
+      if (e.code !== 'ENOENT') console.warn(`[scanner] ignoring ${protectionPath}:`, String(e));
+    }
+    return DEFAULT_PROTECTION;
+  }
+
+  function protectionPatternToRegExp(pattern) {
+    const abs = pattern.startsWith('**/') ? pattern : path.resolve(expandHome(pattern));
+    const body = abs.split('**/')
+      .map(part => part.split('**').map(seg => globToRegExp(seg).source.slice(1, -1)).join('.*'))
+      .join('(?:.*/)?');
+    return new RegExp(`^${body}(?:/.*)?$`);
+  }
+
+  // Literal leading directory of a pattern ('' when it starts with a glob)
+  function protectionPatternPrefix(pattern) {
+    if (pattern.startsWith('**/')) return '';
+    const abs = path.resolve(expandHome(pattern));
+    const i = abs.search(/[*?[]/);
+    if (i < 0) return abs;
+    return abs.slice(0, abs.lastIndexOf(path.sep, i)) || '';
+  }
+
+  function compileProtection(cfg) {
+    const compile = (p) => ({ pattern: p, re: protectionPatternToRegExp(p), prefix: protectionPatternPrefix(p) });
+    return { deny: cfg.deny.map(compile), allow: cfg.allow.map(compile), config: { deny: [...cfg.deny], allow: [...cfg.allow] } };
+  }
+
+  function saveProtection(cfg) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    const tmp = `${protectionPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify({ deny: cfg.deny, allow: cfg.allow }, null, 2));
+    fs.renameSync(tmp, protectionPath);
+    protection = compileProtection(cfg);
+  }
+
+  // Why p is (not) protected: { protected, rule?, allowedBy? }
+  function protectionFor(p) {
+    const normalized = path.resolve(p);
+    const deny = protection.deny.find(r => r.re.test(normalized));
+    if (!deny) return { protected: false };
+    const allow = protection.allow.find(r => r.re.test(normalized));
+    if (allow) return { protected: false, rule: deny.pattern, allowedBy: allow.pattern };
+    return { protected: true, rule: deny.pattern };
+  }
+
+  function isProtected(p) {
+    return protectionFor(p).protected;
+  }
+
+  // Protected location inside p (trashing p would take protected data along); returns the rule or null.
+  // Only patterns with a literal prefix below p can be detected without walking p; apply walks folders for
+  // the glob patterns (see globProtectionRule).
+  function containedProtection(p) {
+    const prefix = path.resolve(p) + path.sep;
+    for (const r of protection.deny) {
+      if (!r.prefix || !r.prefix.startsWith(prefix)) continue;
+      if (protectionFor(r.prefix).allowedBy) continue; // re-opened by an allow pattern
+      return r.pattern;
+    }
+    return null;
+  }
+
+  // Rule of a glob deny pattern (e.g. '**/*.vmdk') that protects p, or null; literal patterns are left to
+  // protectionFor/containedProtection on the folder itself
+  function globProtectionRule(p) {
+    if (!protection.deny.some(r => /[*?[]/.test(r.pattern))) return null;
+    const prot = protectionFor(p);
+    return prot.protected ? prot.rule : null;
+  }
+
+  // True when an allow pattern re-opens part of protected directory p, so walks must descend into it
+  function hasAllowedInside(p) {
+    const prefix = path.resolve(p) + path.sep;
+    return protection.allow.some(r => r.prefix && r.prefix.startsWith(prefix));
+  }
+
+  // Persistent scan index: per walked root, every visited directory's mtime and its entries
+  //   { version, root, savedAt, dirs: { [dir]: { mtimeMs, entries: [ [name, kind, size, mtimeMs, allocated, link?], ... ] } } }
+  function scanIndexFile(root) {
+    const key = crypto.createHash('sha1').update(path.resolve(root)).digest('hex');
+    return path.join(scanIndexDir, `${key}.json`);
+  }
+
+  function loadScanIndex(root) {
+    try {
+      const data = JSON.parse(fs.readFileSync(scanIndexFile(root), 'utf8'));
+      if (data && data.version === SCAN_INDEX_VERSION && data.root === path.resolve(root) && data.dirs && typeof data.dirs === 'object') return data.dirs;
+    } catch {}
+    return {};
+  }
+
+  function saveScanIndex(root, dirs) {
+    try {
+      fs.mkdirSync(scanIndexDir, { recursive: true });
+      const file = scanIndexFile(root);
+      const tmp = `${file}.${process.pid}.tmp`;
+      fs.writeFileSync(tmp, JSON.stringify({ version: SCAN_INDEX_VERSION, root: path.resolve(root), savedAt: nowIso(), dirs }));
+      fs.renameSync(tmp, file);
+    } catch (e) {
+      console.warn('[scanner] scan index write failed:', String(e));
+    }
+  }
+
+  // Recursively walk a directory collecting files matching filters
+  async function walkCollect(baseDir, opts, pushItem, reason, category) {
+    // opts: { minBytes, olderDays, maxDepth?, rollupDepth?, onDir?, onStart?, onProtected(path, rule)?, indexStats?, refresh?, pool?, seenLinks?, skipDirs?, signal? }
+    // skipDirs (a Set): folders left out entirely (stores cleaned by their tool); a rolled-up folder holding one is read-only
+    // Avoid massive full-home scans: only scan known dirs passed to this function
+    // With rollupDepth, every directory that many levels below baseDir becomes one aggregated
+    // item (total bytes, file count, newest mtime) instead of individual file items.
+    // With indexStats, the persistent scan index for baseDir is used and updated (refresh skips reading it).
+    // Sizes: bytes is what the file occupies on disk, apparentBytes its length; with seenLinks (shared by a
+    // scan) every hard-linked file counts its bytes once, further links add 0.
+    // Directories are visited as tasks on opts.pool, so several roots sharing a pool walk concurrently.
+    const maxDepth = Number(opts.maxDepth) || Infinity;
+    const rollupDepth = Number(opts.rollupDepth) || 0;
+    const index = opts.indexStats
+      ? { prev: opts.refresh ? {} : loadScanIndex(baseDir), next: {}, stats: opts.indexStats }
+      : null;
+    const pool = opts.pool || createPool(1, opts.signal);
+    const groups = [];
+    let started = false;
+
+    const visit = async ({ dir: current, depth, group }) => {
+      if (opts.signal && opts.signal.aborted) return;
+      if (!started) {
+        started = true;
+        if (opts.onStart) opts.onStart();
+      }
+      let ents;
+      try {
+        ents = await listEntries(current, index, pool.concurrency);
+      } catch (e) {
+        return;
+      }
+      if (opts.onDir) opts.onDir(current);
+      for (const ent of ents) {
+        const full = path.join(current, ent.name);
+        // scope and protection
+        if (!ensureHomeScoped(full)) continue;
+        const prot = protectionFor(full);
+        if (prot.protected) {
+          // A rolled-up folder holding protected data must never be applied as a unit
+          if (group) {
+            group.protected = true;
+            group.protectedBy = group.protectedBy || prot.rule;
+          }
+          // Descend only to reach allow-listed folders inside; their protected siblings are skipped there
+          if (ent.kind === 'dir' && !group && depth < maxDepth && hasAllowedInside(full)) {
+            schedule({ dir: full, depth: depth + 1, group: null });
+          } else if (opts.onProtected) {
+            opts.onProtected(full, prot.rule);
+          }
+          continue;
+        }
+        if (full === dataDir) continue; // our own state (journal, scan index) is never a candidate
+        if (ent.kind === 'symlink') continue; // skip symlinks to avoid cycles
+        if (ent.kind === 'dir' && opts.skipDirs && opts.skipDirs.has(full)) {
+          if (group) group.holdsStore = true;
+          continue;
+        }
+        if (ent.kind === 'dir') {
+          // Avoid descending into massive dirs under Desktop/Documents etc due to deny-list above
+          if (depth < maxDepth) {
+            let childGroup = group;
+            // (>= rather than ===: folders re-opened inside a protected folder start their own group)
+            if (!childGroup && rollupDepth && depth + 1 >= rollupDepth) {
+              const inside = containedProtection(full);
+              childGroup = { path: full, bytes: Number(ent.allocated) || 0, apparentBytes: 0, files: 0, mtimeMs: 0, links: new Map(), protected: !!inside, protectedBy: inside || undefined };
+              groups.push(childGroup);
+            }
+            if (group) group.bytes += Number(ent.allocated) || 0;
+            schedule({ dir: full, depth: depth + 1, group: childGroup });
+          } else if (group) {
+            // Unvisited content: the aggregate would understate what trashing the folder removes
+            group.truncated = true;
+          }
+        } else if (ent.kind === 'file') {
+          const apparentBytes = Number(ent.size) || 0;
+          const linked = ent.link && opts.seenLinks;
+          const counted = linked && (opts.seenLinks.has(ent.link) || (group && group.links.has(ent.link)));
+          const bytes = counted ? 0 : Number(ent.allocated ?? ent.size) || 0;
+          const mtimeMs = Number(ent.mtimeMs) || 0;
+          if (group) {
+            // Claimed for the scan only if the folder is reported (see below)
+            if (linked && !counted) group.links.set(ent.link, bytes);
+            group.bytes += bytes;
+            group.apparentBytes += apparentBytes;
+            group.files += 1;
+            if (mtimeMs > group.mtimeMs) group.mtimeMs = mtimeMs;
+            continue;
+          }
+          if (opts.minBytes && bytes < opts.minBytes) continue;
+          if (opts.olderDays > 0) {
+            const ageMs = Date.now() - mtimeMs;
+            if (ageMs < opts.olderDays * 86400 * 1000) continue;
+          }
+          if (linked) opts.seenLinks.add(ent.link);
+          pushItem({
+            path: full,
+            bytes,
+            apparentBytes,
+            mtime: Math.floor(mtimeMs / 1000),
+            category,
+            reason: counted ? `${reason} (hard link: its data is already counted under another path)` : reason,
+            trashable: true
+          });
+        }
+      }
+    };
+
+    // Directory visits are pool tasks; the walk is done when no visit is pending
+    let pending = 0;
+    let finish;
+    const finished = new Promise((resolve) => { finish = resolve; });
+    const schedule = (entry) => {
+      pending++;
+      pool.run(() => visit(entry)).then(() => { if (--pending === 0) finish(); });
+    };
+    schedule({ dir: baseDir, depth: 0, group: null });
+    await finished;
+
+    // A cancelled walk saw only part of the tree: keep the previous index and do not emit partial folder totals
+    if (opts.signal && opts.signal.aborted) return;
+    if (index) saveScanIndex(baseDir, index.next);
+
+    // Emit rolled-up directories; age filter uses the newest file so a folder only counts as old if all of it is.
+    // A folder's hard links join seenLinks only when it is emitted; links another item claimed meanwhile add 0.
+    for (const g of groups) {
+      let bytes = g.bytes;
+      for (const [link, linkBytes] of g.links) if (opts.seenLinks.has(link)) bytes -= linkBytes;
+      if (opts.minBytes && bytes < opts.minBytes) continue;
+      if (opts.olderDays > 0 && g.mtimeMs && (Date.now() - g.mtimeMs) < opts.olderDays * 86400 * 1000) continue;
+      for (const link of g.links.keys()) opts.seenLinks.add(link);
+      pushItem({
+        path: g.path,
+        type: 'dir',
+        bytes,
+        apparentBytes: g.apparentBytes,
+        files: g.files,
+        mtime: Math.floor(g.mtimeMs / 1000),
+        category,
+        reason: `${reason} (folder)`,
+        trashable: !g.protected && !g.truncated && !g.holdsStore,
+        protectedBy: g.protectedBy
+      });
+    }
+  }
+
+  // Find duplicate files under roots: group by size, then partial hash, then full SHA-256.
+  // Returns groups sorted by reclaimable bytes; the oldest copy of each group is the suggested keeper.
+  async function findDuplicates(roots, opts, hooks = {}) {
+    const candidates = [];
+    const seenInodes = new Set();
+    const collect = (it) => candidates.push(it);
+    await Promise.all(roots.map((root) => {
+      const onStart = () => { if (hooks.onRoot) hooks.onRoot('duplicates', root); };
+      const walkOpts = { minBytes: opts.minBytes, olderDays: 0, onDir: opts.onDir, onStart, onProtected: opts.onProtected, indexStats: opts.indexStats, refresh: opts.refresh, pool: opts.pool, skipDirs: opts.skipDirs, signal: opts.signal };
+      return walkCollect(root, walkOpts, collect, 'Duplicate file', 'duplicates');
+    }));
+    if (opts.signal && opts.signal.aborted) return [];
+
+    // 1) same size; hard links to the same inode are one file, not duplicates
+    const pool = opts.pool || createPool(1, opts.signal);
+    const inodes = new Array(candidates.length).fill(null);
+    await Promise.all(candidates.map((it, i) => pool.run(async () => {
+      const st = await fsp.lstat(it.path);
+      inodes[i] = `${st.dev}:${st.ino}`;
+    })));
+    if (opts.signal && opts.signal.aborted) return [];
+    const bySize = new Map();
+    for (const [i, it] of candidates.entries()) {
+      const ino = inodes[i];
+      if (!ino || seenInodes.has(ino)) continue;
+      seenInodes.add(ino);
+      if (!bySize.has(it.apparentBytes)) bySize.set(it.apparentBytes, []);
+      bySize.get(it.apparentBytes).push(it);
+    }
+    let groups = [...bySize.values()].filter(g => g.length > 1);
+
+    // 2) partial hash, 3) full hash
+    if (hooks.onRoot && groups.length) hooks.onRoot('duplicates', `hashing ${groups.reduce((n, g) => n + g.length, 0)} same-size files`);
+    groups = await refineGroups(groups, (it) => partialHash(it.path, it.apparentBytes), opts.signal);
+    groups = await refineGroups(groups, (it) => hashFile(it.path), opts.signal);
+    if (opts.signal && opts.signal.aborted) return [];
+
+    const out = groups.map((members) => {
+      const sorted = [...members].sort((a, b) => (a.mtime - b.mtime) || (a.path.length - b.path.length));
+      const keeper = sorted[0];
+      const id = members.key.slice(0, 12);
+      const items = sorted.map((it) => Object.assign({}, it, {
+        dupGroup: id,
+        dupKeeper: it === keeper,
+        reason: it === keeper ? 'Duplicate (suggested keeper: oldest copy)' : `Duplicate of ${keeper.path}`
+      }));
+      return {
+        id,
+        sha256: members.key,
+        bytes: keeper.bytes,
+        count: members.length,
+        keeper: keeper.path,
+        reclaimable: keeper.bytes * (members.length - 1),
+        items
+      };
+    });
+    return out.sort((a, b) => b.reclaimable - a.reclaimable);
+  }
+
+  // Stale project build artifacts: find project roots under roots (markers in projects.js), measure each
+  // artifact directory as one folder item and date it by the project's last activity (newest source file or
+  // last git commit, whichever is later), so the age filter keeps projects untouched for that long.
+  // Projects nested in a checkout without their own .git use the enclosing repository's commits.
+  // Items are pushed stalest first once every root has been searched.
+  async function findProjects(roots, opts, pushItem, reason, category, hooks = {}) {
+    const maxDepth = Number(opts.maxDepth) || DEFAULT_PROJECT_DEPTH;
+    const pool = opts.pool || createPool(1, opts.signal);
+    const found = [];
+
+    let pending = 0;
+    let finish;
+    const finished = new Promise((resolve) => { finish = resolve; });
+    const schedule = (task) => {
+      pending++;
+      pool.run(task).then(() => { if (--pending === 0) finish(); });
+    };
+
+    const visit = async (dir, depth, repo) => {
+      let ents;
+      try {
+        ents = await listEntries(dir, null);
+      } catch {
+        return;
+      }
+      if (opts.onDir) opts.onDir(dir);
+      if (ents.some(e => e.name === '.git')) repo = { dir, lastCommit: await projects.lastCommitTime(dir) };
+      const artifacts = projects.isProjectRoot(ents) ? await projects.detectArtifacts(dir, ents) : [];
+      if (artifacts.length) found.push({ dir, artifacts, repo });
+      for (const ent of ents) {
+        if (ent.kind !== 'dir' || ent.name.startsWith('.') || projects.SKIP_DIRS.has(ent.name)) continue;
+        if (artifacts.some(a => a.name === ent.name)) continue;
+        const full = path.join(dir, ent.name);
+        if (!ensureHomeScoped(full) || full === dataDir) continue;
+        const prot = protectionFor(full);
+        if (prot.protected) {
+          if (opts.onProtected) opts.onProtected(full, prot.rule);
+          continue;
+        }
+        if (depth < maxDepth) schedule(() => visit(full, depth + 1, repo));
+      }
+    };
+
+    // The same folder can be listed twice (~/Code and ~/code on a case-insensitive volume)
+    const seen = new Set();
+    const stats = await Promise.all(roots.map(root => fsp.stat(root).catch(() => null)));
+    roots = roots.filter((root, i) => {
+      const st = stats[i];
+      if (!st) return false;
+      const key = `${st.dev}:${st.ino}`;
+      if (seen.has(key)) return false;
+      seen.add(key);
+      return true;
+    });
+    for (const root of roots) {
+      if (hooks.onRoot) hooks.onRoot(category, root);
+      schedule(() => visit(root, 0, null));
+    }
+    if (roots.length) await finished;
+    if (opts.signal && opts.signal.aborted) return;
+
+    const candidates = [];
+    await Promise.all(found.map(project => pool.run(async () => {
+      const sourceMs = await projects.newestSourceMtime(project.dir, project.artifacts.map(a => a.name));
+      const commitMs = project.repo && project.repo.lastCommit ? project.repo.lastCommit * 1000 : 0;
+      let activeMs = Math.max(sourceMs, commitMs);
+      if (!activeMs) {
+        try { activeMs = Number((await fsp.lstat(project.dir)).mtimeMs) || 0; } catch {}
+      }
+      if (opts.olderDays > 0 && Date.now() - activeMs < opts.olderDays * 86400 * 1000) return;
+      for (const artifact of project.artifacts) {
+        const full = path.join(project.dir, artifact.name);
+        const prot = protectionFor(full);
+        if (prot.protected) {
+          if (opts.onProtected) opts.onProtected(full, prot.rule);
+          continue;
+        }
+        const { bytes, apparentBytes, files } = await treeBytes(full, { seenLinks: opts.seenLinks, onDir: opts.onDir, signal: opts.signal });
+        if (opts.minBytes && bytes < opts.minBytes) continue;
+        const inside = containedProtection(full);
+        const since = commitMs >= sourceMs && commitMs
+          ? `last commit ${new Date(commitMs).toISOString().slice(0, 10)}`
+          : `sources last changed ${new Date(activeMs).toISOString().slice(0, 10)}`;
+        candidates.push({
+          path: full,
+          type: 'dir',
+          bytes,
+          apparentBytes,
+          files,
+          mtime: Math.floor(activeMs / 1000),
+          category,
+          reason: `${reason}: ${artifact.label} ${artifact.name} (regenerable), ${since}`,
+          project: project.dir,
+          artifact: artifact.name,
+          lastCommit: commitMs ? Math.floor(commitMs / 1000) : undefined,
+          trashable: !inside,
+          protectedBy: inside || undefined
+        });
+      }
+    })));
+    for (const root of roots) if (hooks.onRootDone) hooks.onRootDone(category, root);
+    if (opts.signal && opts.signal.aborted) return;
+    candidates.sort((a, b) => (a.mtime - b.mtime) || (b.bytes - a.bytes));
+    for (const it of candidates) pushItem(it);
+  }
+
+  // Built-in rules with the user rules file merged over them (same id replaces, new ids are appended),
+  // or options.categories when given. Read on every call so edits apply to the next scan without a restart.
+  function loadCategoryRules() {
+    if (fixedRules) return fixedRules;
+    const rules = readRulesFile(DEFAULT_RULES_PATH);
+    for (const rule of readRulesFile(rulesFile)) {
+      const i = rules.findIndex(r => r.id === rule.id);
+      if (i >= 0) rules[i] = rule;
+      else rules.push(rule);
+    }
+    return rules;
+  }
+
+  // Expand '~' and glob segments (*, ?, [abc]) into existing directories
+  async function expandRootPattern(pattern) {
+    const abs = path.resolve(expandHome(pattern));
+    const segments = abs.split(path.sep).filter(Boolean);
+    let bases = [path.sep];
+    for (const seg of segments) {
+      const next = [];
+      if (/[*?[]/.test(seg)) {
+        const re = globToRegExp(seg);
+        for (const base of bases) {
+          for (const dir of await listDirs(base)) {
+            if (re.test(path.basename(dir))) next.push(dir);
+          }
+        }
+      } else {
+        for (const base of bases) next.push(path.join(base, seg));
+      }
+      bases = next;
+      if (!bases.length) break;
+    }
+    return bases.filter(d => fs.existsSync(d));
+  }
+
+  // Resolve a rule's roots to [ { dir, reason } ] inside home
+  async function resolveRuleRoots(rule) {
+    const out = [];
+    for (const root of rule.roots.filter(r => rootApplies(r, platform))) {
+      const reason = root.reason || rule.reason;
+      const dirs = root.source === 'brew-cache'
+        ? [await brewCacheDir()].filter(Boolean)
+        : await expandRootPattern(root.path);
+      for (const dir of dirs) {
+        if (dir !== home && !ensureHomeScoped(dir)) continue;
+        out.push({ dir, reason, native: root.native });
+      }
+    }
+    return out;
+  }
+
+  // Native item for a store: size estimate now, the tool runs on apply. Subject to the rule's minimum size;
+  // brew cleanup prunes downloads older than the age filter.
+  async function collectNative(action, dirs, opts, category, pushItem, hooks = {}) {
+    // Tools that empty the whole store cannot honour an age filter: reported only when the scan opts in
+    const wholeStore = !native.ACTIONS[action].honorsAge;
+    if (wholeStore && opts.olderDays > 0 && !opts.wholeStores) return;
+    if (hooks.onRoot) hooks.onRoot(category, dirs[0]);
+    const binary = native.findTool(native.ACTIONS[action].tools);
+    const bytes = await native.estimateBytes(action, binary, dirs);
+    if (hooks.onRootDone) hooks.onRootDone(category, dirs[0]);
+    if ((opts.signal && opts.signal.aborted) || (opts.minBytes && bytes < opts.minBytes)) return;
+    const pruneDays = action === 'brew-cleanup' ? native.pruneDaysOf(opts.olderDays) : undefined;
+    pushItem({
+      path: native.commandLine(action, binary, { pruneDays }),
+      type: 'native',
+      action,
+      tool: path.basename(binary),
+      bytes,
+      roots: dirs,
+      pruneDays,
+      wholeStore: wholeStore || undefined,
+      category,
+      reason: wholeStore ? `${native.ACTIONS[action].reason}; removes everything regardless of age` : native.ACTIONS[action].reason,
+      trashable: true
+    });
+  }
+
+  // Store directories of a native action per the current rules (never taken from a plan)
+  async function nativeActionRoots(action) {
+    const dirs = [];
+    for (const rule of loadCategoryRules()) {
+      const roots = rule.roots.filter(r => r.native === action);
+      if (roots.length) for (const r of await resolveRuleRoots({ ...rule, roots })) dirs.push(r.dir);
+    }
+    return [...new Set(dirs)];
+  }
+
+  // Resolve effective scan parameters from scan options (also a parsed /api/scan query).
+  // minBytes/olderDays stay undefined when the request leaves them out, so each category can apply its own default
+  function scanParams(q, rules = loadCategoryRules()) {
+    const minBytes = q.minSize;
+    const olderDays = q.olderThan;
+    const list = (v) => (typeof v === 'string' ? v.split(',').map(c => c.trim()).filter(Boolean) : v);
+    const include = list(q.include);
+    const exclude = list(q.exclude);
+
+    // Determine categories
+    let cats = rules.filter(r => r.default).map(r => r.id);
+    if (q.downloads && !cats.includes('downloads')) cats.push('downloads');
+    if (Array.isArray(include) && include.length) cats = include;
+    if (Array.isArray(exclude) && exclude.length) {
+      cats = cats.filter(c => !exclude.includes(c));
+    }
+    cats = cats.filter(c => rules.some(r => r.id === c));
+    const rollupDepth = (q.rollup ?? q.rollupDepth) ? Math.min(q.rollupDepth || DEFAULT_ROLLUP_DEPTH, MAX_ROLLUP_DEPTH) : 0;
+    return { minBytes, olderDays, cats, rules, downloads: !!q.downloads, rollupDepth, refresh: !!q.refresh, wholeStores: !!q.wholeStores, concurrency: q.concurrency, scanId: q.scanId };
+  }
+
+  // Explorer parameters from options (also a parsed /api/largest query): { root, top, concurrency, scanId, error? }.
+  // root defaults to home and must be inside it and not protected.
+  function largestParams(q) {
+    const root = q.root ? path.resolve(expandHome(String(q.root))) : home;
+    const top = Math.min(Math.max(Math.floor(Number(q.top)) || DEFAULT_LARGEST_TOP, 1), MAX_LARGEST_TOP);
+    const out = { root, top, concurrency: q.concurrency, scanId: q.scanId };
+    let isDir = false;
+    try { isDir = fs.statSync(root).isDirectory(); } catch {}
+    const prot = protectionFor(root);
+    if (root !== home && !ensureHomeScoped(root)) out.error = `${root} is outside ${home}`;
+    else if (prot.protected) out.error = `${root} is protected (${prot.rule})`;
+    else if (!isDir) out.error = `${root} is not a folder`;
+    return out;
+  }
+
+  // Largest files and folders below params.root, walking everything (no category rules, age or depth limits).
+  // Protected files and folders and the data folder are skipped, symlinks are not followed and hard links count once.
+  // Memory stays bounded: only the top N files and folders and the folders of tree size (see LARGEST_TREE_*)
+  // are kept, so a UI can drill into a folder and list its biggest children. Folder totals are final once
+  // everything below them was listed; a cancelled walk keeps the folders completed so far.
+  // hooks (optional): { onProgress(stats, snapshot) } after each folder; stats { dirs, files, bytes, path },
+  // snapshot() -> { files, dirs } as they stand (largest first)
+  async function runLargest(params, hooks = {}, signal) {
+    const { root, top } = params;
+    const concurrency = Math.min(params.concurrency || defaultConcurrency, MAX_SCAN_CONCURRENCY);
+    const pool = createPool(concurrency, signal);
+    const topFiles = createTopList(top);
+    const topDirs = createTopList(top);
+    const tree = new Map(); // folder path -> { path, bytes, apparentBytes, files }
+    let treeMinBytes = LARGEST_TREE_MIN_BYTES;
+    const seenLinks = new Set();
+    const skipped = [];
+    let skippedTotal = 0;
+    const stats = { dirs: 0, files: 0, bytes: 0, apparentBytes: 0, path: root };
+    const snapshot = () => ({ files: topFiles.sorted(), dirs: topDirs.sorted() });
+
+    // Keep the biggest half when the tree outgrows its bound (children finish first, so parents survive)
+    const keepInTree = (entry) => {
+      tree.set(entry.path, entry);
+      if (tree.size <= LARGEST_TREE_MAX_DIRS) return;
+      const sizes = [...tree.values()].map(d => d.bytes).sort((a, b) => a - b);
+      treeMinBytes = sizes[Math.floor(sizes.length / 2)] + 1;
+      for (const [p, d] of tree) if (d.bytes < treeMinBytes && p !== root) tree.delete(p);
+    };
+
+    // A folder whose subtree is fully listed: record it and add its totals to the parent
+    const complete = (node) => {
+      const entry = { path: node.path, type: 'dir', bytes: node.bytes, apparentBytes: node.apparentBytes, files: node.files, mtime: node.mtime };
+      // The root is the whole listing, not one of its largest folders; it stays in the tree as its top
+      if (node.parent && topDirs.accepts(entry.bytes)) topDirs.push(entry);
+      if (entry.bytes >= treeMinBytes || !node.parent) keepInTree(entry);
+      const parent = node.parent;
+      if (!parent) return;
+      parent.bytes += node.bytes;
+      parent.apparentBytes += node.apparentBytes;
+      parent.files += node.files;
+      if (--parent.pending === 0) complete(parent);
+    };
+
+    let pending = 0;
+    let finish;
+    const finished = new Promise((resolve) => { finish = resolve; });
+    const schedule = (node) => {
+      pending++;
+      pool.run(() => visit(node)).then(() => { if (--pending === 0) finish(); });
+    };
+
+    const visit = async (node) => {
+      let ents = [];
+      try { ents = await listEntries(node.path, null, pool.concurrency); } catch {}
+      stats.dirs += 1;
+      stats.path = node.path;
+      for (const ent of ents) {
+        const full = path.join(node.path, ent.name);
+        if ((ent.kind !== 'file' && ent.kind !== 'dir') || full === dataDir) continue;
+        // Protected files and folders (literal paths and glob patterns) are neither listed nor counted
+        const prot = protectionFor(full);
+        if (prot.protected) {
+          skippedTotal += 1;
+          if (skipped.length < MAX_REPORTED_SKIPS) skipped.push({ path: full, rule: prot.rule });
+          continue;
+        }
+        if (ent.kind === 'file') {
+          const bytes = ent.link && seenLinks.has(ent.link) ? 0 : ent.allocated;
+          if (ent.link) seenLinks.add(ent.link);
+          node.bytes += bytes;
+          node.apparentBytes += ent.size;
+          node.files += 1;
+          stats.files += 1;
+          stats.bytes += bytes;
+          stats.apparentBytes += ent.size;
+          if (topFiles.accepts(bytes)) topFiles.push({ path: full, type: 'file', bytes, apparentBytes: ent.size, mtime: Math.floor(ent.mtimeMs / 1000) });
+        } else {
+          node.bytes += ent.allocated;
+          stats.bytes += ent.allocated;
+          node.pending += 1;
+          schedule({ path: full, parent: node, bytes: 0, apparentBytes: 0, files: 0, pending: 1, mtime: Math.floor(ent.mtimeMs / 1000) });
+        }
+      }
+      if (hooks.onProgress) hooks.onProgress(stats, snapshot);
+      if (--node.pending === 0) complete(node);
+    };
+
+    let rootSt = null;
+    try { rootSt = await fsp.lstat(root); } catch {}
+    const rootNode = { path: root, parent: null, bytes: rootSt ? allocatedOf(rootSt) : 0, apparentBytes: 0, files: 0, pending: 1, mtime: rootSt ? Math.floor(Number(rootSt.mtimeMs) / 1000) : 0 };
+    stats.bytes += rootNode.bytes;
+    schedule(rootNode);
+    await finished;
+
+    return {
+      generatedAt: nowIso(),
+      home,
+      root,
+      top,
+      totals: { bytes: stats.bytes, apparentBytes: stats.apparentBytes, files: stats.files, dirs: stats.dirs },
+      files: topFiles.sorted(),
+      dirs: topDirs.sorted(),
+      tree: [...tree.values()].sort((a, b) => b.bytes - a.bytes),
+      treeMinBytes,
+      protection: { skipped, truncated: skippedTotal > skipped.length },
+      cancelled: !!(signal && signal.aborted)
+    };
+  }
+
+  // Run a scan and return the report body.
+  // hooks (optional): { onRoot(category, dir), onRootDone(category, dir), onDir(dir), onItem(item) } for progress reporting
+  // signal (optional AbortSignal): stops the walk; the report then holds the partial results and cancelled: true
+  async function runScan(params, hooks = {}, signal) {
+    const { minBytes, olderDays, cats, rollupDepth, refresh, wholeStores } = params;
+    const rules = params.rules || loadCategoryRules();
+    const concurrency = Math.min(params.concurrency || defaultConcurrency, MAX_SCAN_CONCURRENCY);
+    const pool = createPool(concurrency, signal);
+    const indexStats = { dirsFromIndex: 0, dirsRescanned: 0, entriesFromIndex: 0, entriesRescanned: 0 };
+    const items = [];
+    // Fingerprint (lstat) and kind (name, else magic bytes) are taken as pool tasks next to the walks; items keep
+    // their push order and reach onItem once stamped, and the report waits for all of them
+    const stamping = [];
+    const pushItem = (it) => {
+      items.push(it);
+      if (it.type === 'native') {
+        it.kind = 'other';
+        if (hooks.onItem) hooks.onItem(it);
+        return;
+      }
+      stamping.push(pool.run(async () => {
+        const [st, kind] = await Promise.all([
+          fsp.lstat(it.path).catch(() => null),
+          filetypes.classify(it.path, { type: it.type, size: it.apparentBytes ?? it.bytes })
+        ]);
+        if (st) it.fingerprint = fingerprintOf(st);
+        it.kind = kind;
+      }).then(() => {
+        if (!it.kind) it.kind = 'other'; // cancelled before it was classified
+        if (hooks.onItem) hooks.onItem(it);
+      }));
+    };
+
+    // Protected paths the walks skipped (report.protection), so the UI can explain what was left out
+    const skipped = [];
+    const onProtected = (p, rule) => {
+      if (skipped.length < MAX_REPORTED_SKIPS && !skipped.some(s => s.path === p)) skipped.push({ path: p, rule });
+    };
+    // Hard links seen so far: a file linked from several places (pnpm stores, Time Machine-style copies) counts once
+    const seenLinks = new Set();
+    // Stores handed to their installed tool (see native.js) are left out of every other walk, e.g. user-caches
+    // (~/.cache/pip, Homebrew's cache) and duplicates (~/Library): removing files there corrupts the store
+    const nativeStores = new Set();
+    for (const rule of rules) {
+      const roots = rule.roots.filter(r => r.native && native.findTool(native.ACTIONS[r.native].tools));
+      if (!roots.length) continue;
+      for (const { dir } of await resolveRuleRoots({ ...rule, roots })) {
+        if (!protectionFor(dir).protected) nativeStores.add(dir);
+      }
+    }
+    const inNativeStore = (dir) => [...nativeStores].some(s => dir === s || dir.startsWith(s + path.sep));
+    const options = { rollupDepth, onDir: hooks.onDir, onProtected, indexStats, refresh, pool, seenLinks, skipDirs: nativeStores, signal };
+    // Roots are walked concurrently on the shared pool; collect their completion promises
+    const walks = [];
+    const walk = (dir, opts, reason, category) => {
+      if (inNativeStore(dir)) return;
+      const onStart = () => { if (hooks.onRoot) hooks.onRoot(category, dir); };
+      walks.push(walkCollect(dir, { ...opts, onStart }, pushItem, reason, category)
+        .then(() => { if (hooks.onRootDone) hooks.onRootDone(category, dir); }));
+    };
+
+    // Walk every root of each selected category (rules order); request filters override category defaults
+    let duplicates;
+    for (const rule of rules.filter(r => cats.includes(r.id))) {
+      const roots = await resolveRuleRoots(rule);
+      const ruleMinBytes = minBytes ?? rule.minSize ?? DEFAULT_MIN_BYTES;
+
+      // Duplicates: same content saved more than once under the rule's roots (age filter not applied)
+      if (rule.kind === 'duplicates') {
+        const dupOpts = { minBytes: Math.max(ruleMinBytes, DUPLICATE_MIN_BYTES), onDir: hooks.onDir, onProtected, indexStats, refresh, pool, skipDirs: nativeStores, signal };
+        walks.push(findDuplicates(roots.map(r => r.dir).filter(dir => !inNativeStore(dir)), dupOpts, hooks).then((groups) => {
+          const summaries = groups.map(({ items: groupItems, ...summary }) => {
+            for (const it of groupItems) pushItem(it);
+            return summary;
+          });
+          duplicates = (duplicates || []).concat(summaries);
+        }));
+        continue;
+      }
+
+      const ruleOpts = { ...options, minBytes: ruleMinBytes, olderDays: olderDays ?? rule.olderThan ?? DEFAULT_OLDER_DAYS, wholeStores };
+      if (rule.maxDepth !== undefined) ruleOpts.maxDepth = rule.maxDepth;
+
+      // Projects: build artifacts of checkouts under the roots, aged by the project's last activity
+      if (rule.kind === 'projects') {
+        walks.push(findProjects(roots.map(r => r.dir), ruleOpts, pushItem, rule.reason, rule.id, hooks));
+        continue;
+      }
+      // Stores whose tool is installed become one native item (see native.js) instead of being walked
+      const nativeDirs = new Map();
+      for (const { dir, reason, native: action } of roots) {
+        if (action && native.findTool(native.ACTIONS[action].tools) && !protectionFor(dir).protected) {
+          if (!nativeDirs.has(action)) nativeDirs.set(action, []);
+          nativeDirs.get(action).push(dir);
+        } else {
+          walk(dir, ruleOpts, reason, rule.id);
+        }
+      }
+      for (const [action, dirs] of nativeDirs) walks.push(collectNative(action, dirs, ruleOpts, rule.id, pushItem, hooks));
+    }
+
+    await Promise.all(walks);
+    await Promise.all(stamping);
+
+    // Reclaimable totals: the suggested keeper of each duplicate group stays (as in categoryTotals)
+    const totals = items.reduce((acc, it) => {
+      if (it.dupKeeper) return acc;
+      acc.count += 1;
+      acc.bytes += Number(it.bytes) || 0;
+      acc.apparentBytes += Number(it.apparentBytes ?? it.bytes) || 0;
+      return acc;
+    }, { count: 0, bytes: 0, apparentBytes: 0 });
+
+    const report = {
+      generatedAt: nowIso(),
+      home: home,
+      totals,
+      kinds: kindTotals(items),
+      categories: cats,
+      rollupDepth,
+      duplicates,
+      index: Object.assign({ refresh: !!refresh }, indexStats),
+      concurrency,
+      protection: { skipped, truncated: skipped.length >= MAX_REPORTED_SKIPS },
+      cancelled: !!(signal && signal.aborted),
+      items
+    };
+    if (!report.cancelled) {
+      try {
+        report.reportId = storeReport(report);
+      } catch (e) {
+        console.warn('[scanner] report store failed:', String(e));
+      }
+    }
+    const byCategory = categoryTotals(items, cats);
+    try {
+      appendHistory({
+        type: 'scan',
+        ts: report.generatedAt,
+        reportId: report.reportId,
+        params: { categories: cats, minSize: minBytes ?? null, olderThan: olderDays ?? null, rollupDepth },
+        totals: Object.values(byCategory).reduce((acc, t) => ({ count: acc.count + t.count, bytes: acc.bytes + t.bytes }), { count: 0, bytes: 0 }),
+        categories: byCategory,
+        cancelled: report.cancelled || undefined
+      });
+    } catch (e) {
+      console.warn('[scanner] history write failed:', String(e));
+    }
+    return report;
+  }
+
+  function ensureTrashDir() {
+    try {
+      if (!fs.existsSync(trashDir)) fs.mkdirSync(trashDir, { recursive: true });
+      return trashDir;
+    } catch {
+      return null;
+    }
+  }
+
+  // The trash folder of another volume, as the platform's file managers use it, or null:
+  //   macOS: <top>/.Trashes/<uid> (.Trashes is created sticky and world-writable like Finder does)
+  //   freedesktop: <top>/.Trash/<uid> when the admin provided a sticky, non-symlink .Trash, else <top>/.Trash-<uid>
+  // { dir, topdir }: the trash and the volume's top directory (freedesktop info Paths are relative to it)
+  function volumeTrash(p, dev) {
+    if (typeof process.getuid !== 'function') return null;
+    const uid = String(process.getuid());
+    const topdir = volumeTopdir(path.dirname(path.resolve(p)), dev);
+    if (trashFormat === 'plain') return { dir: path.join(topdir, '.Trashes', uid), topdir, shared: path.join(topdir, '.Trashes') };
+    try {
+      const st = fs.lstatSync(path.join(topdir, '.Trash'));
+      if (st.isDirectory() && (st.mode & 0o1000)) return { dir: path.join(topdir, '.Trash', uid), topdir };
+    } catch {}
+    return { dir: path.join(topdir, `.Trash-${uid}`), topdir };
+  }
+
+  // Inside the home Trash or a volume trash folder (.Trashes, .Trash-<uid>, .Trash/<uid>)
+  function isInTrash(p) {
+    const resolved = path.resolve(p);
+    if ((resolved + path.sep).startsWith(trashDir + path.sep)) return true;
+    const parts = resolved.split(path.sep);
+    return parts.some((seg, i) => seg === '.Trashes' || /^\.Trash-\d+$/.test(seg) || (seg === '.Trash' && /^\d+$/.test(parts[i + 1] || '')));
+  }
+
+  // Errors after which a volume trash is given up for the verified copy into the home Trash
+  const VOLUME_TRASH_FALLBACK = new Set(['EXDEV', 'EACCES', 'EPERM', 'ENOTSUP', 'EOPNOTSUPP']);
+
+  // Move p to a Trash: { dest, info?, strategy, originalRemained? } (info: the freedesktop .trashinfo file written for it)
+  //   'rename'  renamed into the home Trash (p is on its volume)
+  //   'volume'  renamed into the trash folder of p's own volume (external drives, other partitions)
+  //   'copy'    no usable trash on p's volume: copied into the home Trash, verified, then removed;
+  //             onProgress(copiedBytes) while copying, size (apparent bytes) is checked against free space first;
+  //             originalRemained: why removing the original failed after the copy was verified (the copy stays)
+  async function safeTrashMove(p, st, { size = 0, onProgress, signal } = {}) {
+    const dir = ensureTrashDir();
+    if (!dir) throw new Error(`Cannot access ${trashDir}`);
+    const rename = async (src, dest) => fs.renameSync(src, dest);
+    // Bind mounts share the device but still refuse renames across them (EXDEV)
+    if (fs.statSync(dir).dev === st.dev) {
+      try {
+        return { ...(await placeInTrash(p, { dir }, rename)), strategy: 'rename' };
+      } catch (e) {
+        if (e.code !== 'EXDEV') throw e;
+      }
+    }
+    const vol = volumeTrash(p, st.dev);
+    if (vol) {
+      try {
+        if (vol.shared && !fs.existsSync(vol.shared)) {
+          fs.mkdirSync(vol.shared);
+          fs.chmodSync(vol.shared, 0o1333);
+        }
+        return { ...(await placeInTrash(p, vol, rename)), strategy: 'volume' };
+      } catch (e) {
+        if (!VOLUME_TRASH_FALLBACK.has(e.code)) throw e;
+      }
+    }
+    // The original must be removable before anything is copied
+    fs.accessSync(path.dirname(path.resolve(p)), fs.constants.W_OK);
+    if (typeof fs.statfsSync === 'function') {
+      const free = fs.statfsSync(dir);
+      if (free.bavail * free.bsize < size) throw new Error(`Not enough free space in ${trashDir} to copy ${humanize(size)} from another volume`);
+    }
+    let originalRemained;
+    const copyThenRemove = async (src, dest) => {
+      await verifiedCopy(src, dest, { onProgress, signal });
+      try {
+        fs.rmSync(src, { recursive: true, force: true });
+      } catch (e) {
+        originalRemained = e.message;
+      }
+    };
+    return { ...(await placeInTrash(p, { dir }, copyThenRemove)), strategy: 'copy', originalRemained };
+  }
+
+  // Reserve a name for p in a trash ({ dir, topdir? }) and move it there with move(src, dest).
+  // Plain format: <dir>/<name>, "<name>-<ts>" on collision.
+  // freedesktop.org Trash spec: the item goes to <dir>/files/<name>, and <dir>/info/<name>.trashinfo holds its
+  // original path (URL-escaped; relative to topdir in a volume trash) and local deletion time. The info file is
+  // created first with O_EXCL, which reserves the name against other programs trashing at the same time;
+  // "name.2.ext", ... on collisions.
+  async function placeInTrash(p, trash, move) {
+    const name = path.basename(p);
+    if (trashFormat === 'plain') {
+      fs.mkdirSync(trash.dir, { recursive: true, mode: 0o700 });
+      const ts = new Date().toISOString().replace(/[:.]/g, '').replace('T', '-').slice(0, 15);
+      // name, name-<ts>, name-<ts>-2, ...: never move onto an entry that is already there
+      for (let i = 1; i <= 1000; i++) {
+        const dest = path.join(trash.dir, i === 1 ? name : i === 2 ? `${name}-${ts}` : `${name}-${ts}-${i - 1}`);
+        if (fs.lstatSync(dest, { throwIfNoEntry: false })) continue;
+        try {
+          await move(p, dest);
+        } catch (e) {
+          if (e.code === 'EEXIST' || e.code === 'ENOTEMPTY') continue; // taken meanwhile
+          throw e;
+        }
+        return { dest };
+      }
+      throw new Error(`No free name for ${name} in ${trash.dir}`);
+    }
+    const filesDir = path.join(trash.dir, 'files');
+    const infoDir = path.join(trash.dir, 'info');
+    fs.mkdirSync(filesDir, { recursive: true, mode: 0o700 });
+    fs.mkdirSync(infoDir, { recursive: true, mode: 0o700 });
+    const ext = path.extname(name);
+    const base = ext ? name.slice(0, -ext.length) : name;
+    const d = new Date();
+    const pad = (n) => String(n).padStart(2, '0');
+    const deletionDate = `${d.getFullYear()}-${pad(d.getMonth() + 1)}-${pad(d.getDate())}T${pad(d.getHours())}:${pad(d.getMinutes())}:${pad(d.getSeconds())}`;
+    const resolved = path.resolve(p);
+    const original = (trash.topdir ? path.relative(trash.topdir, resolved) : resolved).split(path.sep).map(encodeURIComponent).join('/');
+    for (let i = 1; i <= 1000; i++) {
+      const candidate = i === 1 ? name : `${base}.${i}${ext}`;
+      const info = path.join(infoDir, `${candidate}.trashinfo`);
+      const dest = path.join(filesDir, candidate);
+      let fd;
+      try {
+        fd = fs.openSync(info, 'wx', 0o600);
+      } catch (e) {
+        if (e.code === 'EEXIST') continue;
+        throw e;
+      }
+      try {
+        fs.writeSync(fd, `[Trash Info]\nPath=${original}\nDeletionDate=${deletionDate}\n`);
+      } finally {
+        fs.closeSync(fd);
+      }
+      try {
+        if (fs.lstatSync(dest, { throwIfNoEntry: false })) {
+          fs.unlinkSync(info); // files/ entry without info (left by another program): keep it, try the next name
+          continue;
+        }
+        await move(p, dest);
+      } catch (e) {
+        // A copy that is complete but whose original could not be removed keeps its info file
+        if (!fs.lstatSync(dest, { throwIfNoEntry: false })) {
+          try { fs.unlinkSync(info); } catch {}
+        }
+        throw e;
+      }
+      return { dest, info };
+    }
+    throw new Error(`No free name for ${name} in ${filesDir}`);
+  }
+
+  // The .trashinfo file of an entry directly in the files/ folder of a freedesktop Trash (home or volume), or null
+  function trashInfoOf(p) {
+    if (trashFormat !== 'freedesktop') return null;
+    const filesDir = path.dirname(path.resolve(p));
+    const trash = path.dirname(filesDir);
+    if (path.basename(filesDir) !== 'files' || (trash !== trashDir && !isInTrash(trash))) return null;
+    return path.join(trash, 'info', `${path.basename(p)}.trashinfo`);
+  }
+
+  // Volumes holding paths (missing ones skipped), one per device in the order first met: Map dev -> volumeInfo
+  async function volumesOf(paths) {
+    const byDev = new Map();
+    if (typeof fsp.statfs !== 'function') return byDev;
+    for (const p of paths) {
+      let st;
+      try { st = await fsp.stat(p); } catch { continue; }
+      if (byDev.has(st.dev)) continue;
+      try { byDev.set(st.dev, await volumeInfo(p, st)); } catch {}
+    }
+    return byDev;
+  }
+
+  // Volumes of home, the Trash and every category root that exists, home first:
+  // [ { path, dev, home, total, used, free, categories: [ids of categories with roots on it] } ]
+  async function diskUsage() {
+    const roots = [];
+    for (const rule of loadCategoryRules()) {
+      for (const root of rule.roots.filter(r => r.path && rootApplies(r, platform))) {
+        for (const dir of await expandRootPattern(root.path)) {
+          if (dir === home || ensureHomeScoped(dir)) roots.push({ dir, category: rule.id });
+        }
+      }
+    }
+    const byDev = await volumesOf([home, trashDir, ...roots.map(r => r.dir)]);
+    const homeDev = byDev.size ? [...byDev.keys()][0] : null;
+    const volumes = [...byDev.values()].map(v => ({ ...v, home: v.dev === homeDev, categories: [] }));
+    for (const r of roots) {
+      let dev;
+      try { dev = fs.statSync(r.dir).dev; } catch { continue; }
+      const v = volumes.find(x => x.dev === dev);
+      if (v && !v.categories.includes(r.category)) v.categories.push(r.category);
+    }
+    return volumes;
+  }
+
+  // Apply journal: append-only JSON Lines under dataDir.
+  //   { type: 'trash', applyId, ts, path, dest, info? (freedesktop .trashinfo), strategy ('rename'|'volume'|'copy'), bytes, category }
+  //   { type: 'restore', applyId, ts, dest, restoredTo }
+  function appendJournal(records) {
+    if (!records.length) return;
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.appendFileSync(journalPath, records.map(r => JSON.stringify(r)).join('\n') + '\n');
+  }
+
+  // Audit log: append-only JSON Lines under dataDir, one record per apply item (dry runs included), never trimmed.
+  //   { ts, applyId, source: 'api'|'job'|'cli'|'policy', origin, mode, dryRun, category, path, status,
+  //     bytes?, dest?, sha256? (files up to AUDIT_HASH_MAX_BYTES), reason?, rule?, changed?, error? }
+  function appendAudit(record) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.appendFileSync(auditPath, JSON.stringify(record) + '\n');
+  }
+
+  // Audit records newest first, filtered and paged:
+  //   { applyId, status, mode, source, dryRun (true|false), path (substring), since, until (ISO), offset, limit }
+  function readAudit(query = {}) {
+    let txt = '';
+    try { txt = fs.readFileSync(auditPath, 'utf8'); } catch {}
+    const needle = query.path ? String(query.path).toLowerCase() : '';
+    const entries = [];
+    for (const line of txt.split('\n')) {
+      if (!line) continue;
+      let r;
+      try { r = JSON.parse(line); } catch { continue; }
+      if (query.applyId && r.applyId !== query.applyId) continue;
+      if (query.status && r.status !== query.status) continue;
+      if (query.mode && r.mode !== query.mode) continue;
+      if (query.source && r.source !== query.source) continue;
+      if (typeof query.dryRun === 'boolean' && r.dryRun !== query.dryRun) continue;
+      if (needle && !String(r.path || '').toLowerCase().includes(needle)) continue;
+      if (query.since && String(r.ts) < query.since) continue;
+      if (query.until && String(r.ts) > query.until) continue;
+      entries.push(r);
+    }
+    entries.reverse();
+    const offset = Math.max(0, Math.floor(Number(query.offset)) || 0);
+    const limit = Math.min(Math.max(1, Math.floor(Number(query.limit)) || DEFAULT_AUDIT_PAGE), MAX_AUDIT_PAGE);
+    return { file: auditPath, total: entries.length, offset, limit, entries: entries.slice(offset, offset + limit) };
+  }
+
+  // Stored reports: the report without per-run details, items reduced to what a comparison needs.
+  // Only the newest MAX_STORED_REPORTS are kept. Returns the report id.
+  function storeReport(report) {
+    const id = newId();
+    const stored = {
+      reportId: id,
+      generatedAt: report.generatedAt,
+      home: report.home,
+      totals: report.totals,
+      kinds: report.kinds,
+      categories: report.categories,
+      rollupDepth: report.rollupDepth,
+      items: report.items.map(({ path: p, bytes, apparentBytes, mtime, category, kind, type, files, dupGroup, dupKeeper }) => ({ path: p, bytes, apparentBytes, mtime, category, kind, type, files, dupGroup, dupKeeper }))
+    };
+    fs.mkdirSync(reportsDir, { recursive: true });
+    fs.writeFileSync(path.join(reportsDir, `${id}.json`), JSON.stringify(stored));
+    // Ids start with the creation time in base 36, so name order is age order
+    const files = fs.readdirSync(reportsDir).filter(f => f.endsWith('.json')).sort();
+    for (const f of files.slice(0, Math.max(0, files.length - MAX_STORED_REPORTS))) {
+      try { fs.unlinkSync(path.join(reportsDir, f)); } catch {}
+    }
+    return id;
+  }
+
+  function readStoredReport(id) {
+    if (!/^[\w-]{1,64}$/.test(String(id))) return null;
+    try {
+      return JSON.parse(fs.readFileSync(path.join(reportsDir, `${id}.json`), 'utf8'));
+    } catch {
+      return null;
+    }
+  }
+
+  // Stored reports, newest first, described by their scan history records (no items)
+  function listStoredReports() {
+    let names = [];
+    try { names = fs.readdirSync(reportsDir); } catch {}
+    const ids = new Set(names.filter(f => f.endsWith('.json')).map(f => f.slice(0, -5)));
+    return readHistory().scans.filter(s => s.reportId && ids.has(s.reportId)).reverse()
+      .map(s => ({ reportId: s.reportId, generatedAt: s.ts, categories: s.params.categories, params: s.params, totals: s.totals }));
+  }
+
+  // Scan/apply history: compact JSON Lines under dataDir, one record per scan and per (non-dry) apply.
+  //   { type: 'scan', ts, reportId?, params: { categories, minSize, olderThan, rollupDepth }, totals: { count, bytes },
+  //     categories: { [id]: { count, bytes } }, cancelled? }     (bytes = reclaimable: duplicate keepers left out)
+  //   { type: 'apply', ts, applyId, mode, count, bytes, categories: { [id]: { count, bytes } } }
+  function appendHistory(record) {
+    fs.mkdirSync(dataDir, { recursive: true });
+    fs.appendFileSync(historyPath, JSON.stringify(record) + '\n');
+    if (fs.statSync(historyPath).size <= HISTORY_MAX_BYTES) return;
+    const lines = fs.readFileSync(historyPath, 'utf8').split('\n').filter(Boolean);
+    const tmp = `${historyPath}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, lines.slice(Math.floor(lines.length / 2)).join('\n') + '\n');
+    fs.renameSync(tmp, historyPath);
+  }
+
+  // History records oldest first, split by type; since: ISO timestamp, limit: newest N of each type
+  function readHistory({ since, limit } = {}) {
+    let txt = '';
+    try { txt = fs.readFileSync(historyPath, 'utf8'); } catch {}
+    const sinceMs = since ? Date.parse(since) : NaN;
+    const scans = [];
+    const applies = [];
+    for (const line of txt.split('\n')) {
+      if (!line.trim()) continue;
+      let r;
+      try { r = JSON.parse(line); } catch { continue; }
+      if (!Number.isNaN(sinceMs) && !(Date.parse(r.ts) >= sinceMs)) continue;
+      if (r.type === 'scan') scans.push(r);
+      else if (r.type === 'apply') applies.push(r);
+    }
+    const newest = (list) => (limit ? list.slice(-limit) : list);
+    return { scans: newest(scans), applies: newest(applies) };
+  }
+
+  function readJournal() {
+    let txt = '';
+    try { txt = fs.readFileSync(journalPath, 'utf8'); } catch { return []; }
+    const out = [];
+    for (const line of txt.split('\n')) {
+      if (!line.trim()) continue;
+      try { out.push(JSON.parse(line)); } catch {}
+    }
+    return out;
+  }
+
+  // Fold the journal into apply batches (newest first); each item gets a current status:
+  // in_trash | restored | gone (no longer in Trash, e.g. Trash was emptied)
+  function journalBatches() {
+    const batches = new Map();
+    const restored = new Map();
+    for (const r of readJournal()) {
+      if (r.type === 'restore') { restored.set(`${r.applyId}:${r.dest}`, r); continue; }
+      if (r.type !== 'trash') continue;
+      if (!batches.has(r.applyId)) batches.set(r.applyId, { applyId: r.applyId, ts: r.ts, count: 0, bytes: 0, items: [] });
+      const b = batches.get(r.applyId);
+      b.count += 1;
+      b.bytes += Number(r.bytes) || 0;
+      b.items.push({ path: r.path, dest: r.dest, info: r.info, strategy: r.strategy, bytes: r.bytes, category: r.category });
+    }
+    const out = [...batches.values()];
+    for (const b of out) {
+      b.restorable = 0;
+      for (const it of b.items) {
+        const rr = restored.get(`${b.applyId}:${it.dest}`);
+        if (rr) { it.status = 'restored'; it.restoredTo = rr.restoredTo; }
+        else if (fs.existsSync(it.dest)) { it.status = 'in_trash'; b.restorable += 1; }
+        else it.status = 'gone';
+      }
+    }
+    return out.reverse();
+  }
+
+  // Move trashed items back. body: { applyId } | { last: true } | { items: [ { dest, applyId? } ] }
+  // Items that went to the home Trash by copy come back the same way (verified copy, then removal from the Trash).
+  async function runRestore(body) {
+    body = body || {};
+    const batches = journalBatches();
+    const details = [];
+    let targets = [];
+    if (body.last) {
+      const b = batches.find(x => x.restorable > 0);
+      if (b) targets = b.items.map(it => Object.assign({ applyId: b.applyId }, it));
+    } else if (body.applyId) {
+      const b = batches.find(x => x.applyId === String(body.applyId));
+      if (!b) return { ok: false, error: 'Unknown applyId' };
+      targets = b.items.map(it => Object.assign({ applyId: b.applyId }, it));
+    } else if (Array.isArray(body.items) && body.items.length) {
+      // Match on dest (and applyId when given); only the newest batch that still holds a dest is used
+      const seen = new Set();
+      for (const want of body.items) {
+        const dest = want && typeof want.dest === 'string' ? want.dest : '';
+        if (!dest) {
+          details.push({ dest: null, status: 'skipped', reason: 'invalid_item' });
+          continue;
+        }
+        if (seen.has(dest)) continue;
+        seen.add(dest);
+        const b = batches.find(x => (!want.applyId || x.applyId === want.applyId) && x.items.some(it => it.dest === dest && it.status === 'in_trash'));
+        if (b) targets.push(Object.assign({ applyId: b.applyId }, b.items.find(it => it.dest === dest && it.status === 'in_trash')));
+        else details.push({ dest, status: 'missing' });
+      }
+    } else {
+      return { ok: false, error: 'Nothing to restore; expected { applyId } or { last: true } or { items: [ { dest, applyId? } ] }' };
+    }
+
+    let count = 0;
+    let totalBytes = 0;
+    const records = [];
+    for (const it of targets) {
+      if (it.status !== 'in_trash') {
+        details.push({ path: it.path, dest: it.dest, status: it.status === 'restored' ? 'already_restored' : 'missing' });
+        continue;
+      }
+      if (!ensureHomeScoped(it.path)) {
+        details.push({ path: it.path, dest: it.dest, status: 'skipped', reason: 'outside_home' });
+        continue;
+      }
+      try {
+        const target = restoreTarget(it.path);
+        fs.mkdirSync(path.dirname(target), { recursive: true });
+        let strategy = 'rename';
+        try {
+          fs.renameSync(it.dest, target);
+        } catch (e) {
+          if (e.code !== 'EXDEV') throw e;
+          await verifiedCopy(it.dest, target);
+          fs.rmSync(it.dest, { recursive: true, force: true });
+          strategy = 'copy';
+        }
+        if (it.info) fs.rmSync(it.info, { force: true }); // freedesktop Trash: the entry is gone from it
+        records.push({ type: 'restore', applyId: it.applyId, ts: nowIso(), dest: it.dest, restoredTo: target });
+        details.push({ path: it.path, dest: it.dest, status: 'restored', restoredTo: target, renamed: target !== it.path, strategy, bytes: it.bytes });
+        count++;
+        totalBytes += Number(it.bytes) || 0;
+      } catch (e) {
+        details.push({ path: it.path, dest: it.dest, status: 'error', error: String(e) });
+      }
+    }
+    try { appendJournal(records); } catch (e) { console.warn('[scanner] journal write failed:', String(e)); }
+
+    return { ok: true, summary: { count, bytes: totalBytes, human: humanize(totalBytes) }, details };
+  }
+
+  // Apply a plan: trash or delete each item (dryRun only reports what would happen).
+  // hooks (optional): { onProgress({ done, total, count, bytes, copying? }) }; copying { path, copied, total } is
+  // set while an item from another volume is copied into the Trash
+  // signal (optional AbortSignal): stops before the next item (or aborts such a copy, keeping the original);
+  // remaining items are reported as 'cancelled'
+  // Items whose plan entry carries a fingerprint are skipped as changed_since_scan when the path no longer
+  // matches it (allowChanged applies them anyway). The path itself is never followed: symlinks are lstat'ed,
+  // trashed or deleted as links.
+  async function runApply(plan, { dryRun, mode, allowChanged, source, origin }, hooks = {}, signal) {
+    let totalBytes = 0;
+    let totalApparent = 0;
+    const appliedLinks = new Set();
+    let count = 0;
+    const details = [];
+    const applyId = newId();
+    const journal = [];
+    // Entries that are not { path: string, ... } are reported as invalid instead of failing the whole apply
+    const items = plan.items.map(it => (it && typeof it === 'object' && typeof it.path === 'string' ? it : null));
+    const total = items.length;
+    // Every item outcome goes to the response details and, as it happens, to the audit log
+    let auditFailed = false;
+    const record = (it, detail) => {
+      details.push(detail);
+      if (auditFailed) return;
+      try {
+        appendAudit({ ts: nowIso(), applyId, source: source || 'api', origin: origin || null, mode, dryRun: !!dryRun, category: it.category || null, ...detail });
+      } catch (e) {
+        auditFailed = true;
+        console.warn('[scanner] audit log write failed:', String(e));
+      }
+    };
+
+    // Free space of the volumes involved (items' folders, home, the Trash), measured again when done
+    const volumePaths = [...new Set([home, trashDir, ...items.filter(it => it && it.path && it.action === undefined).map(it => path.dirname(path.resolve(String(it.path))))])];
+    const volumesBefore = dryRun ? null : await volumesOf(volumePaths);
+
+    for (const it of items) {
+      if (hooks.onProgress) hooks.onProgress({ done: details.length, total, count, bytes: totalBytes });
+      if (!it) {
+        record({}, { path: '', status: 'skipped', reason: 'invalid_item' });
+        continue;
+      }
+      const p = it.path;
+      if (signal && signal.aborted) {
+        record(it, { path: p, status: 'cancelled' });
+        continue;
+      }
+      // Native items run their tool (both modes; nothing goes to Trash). Only actions the rules use are accepted.
+      if (it.action !== undefined) {
+        const roots = native.isAction(it.action) ? await nativeActionRoots(it.action) : [];
+        const rule = roots.map(dir => protectionFor(dir)).find(prot => prot.protected);
+        if (!roots.length) {
+          record(it, { path: p, action: String(it.action), status: 'skipped', reason: 'unknown_action' });
+        } else if (rule) {
+          record(it, { path: p, action: it.action, status: 'skipped', reason: 'deny_listed', rule: rule.rule });
+        } else {
+          const detail = await native.runAction(it, { dryRun, roots, home, signal });
+          record(it, detail);
+          if (detail.status === 'ran' || detail.status === 'dry') { totalBytes += detail.bytes; count++; }
+        }
+        continue;
+      }
+      let st = null;
+      try { st = p ? fs.lstatSync(p) : null; } catch {}
+      if (!st) {
+        record(it, { path: p, status: 'missing' });
+        continue;
+      }
+      if (!ensureHomeScoped(p)) {
+        record(it, { path: p, status: 'skipped', reason: 'outside_home' });
+        continue;
+      }
+      const prot = protectionFor(p);
+      const rule = prot.protected ? prot.rule : containedProtection(p);
+      if (rule) {
+        record(it, { path: p, status: 'skipped', reason: 'deny_listed', rule });
+        continue;
+      }
+      // Items already in a Trash (trash category, volume trash folders) can only be deleted
+      if (mode !== 'delete' && isInTrash(p)) {
+        record(it, { path: p, status: 'skipped', reason: 'already_in_trash' });
+        continue;
+      }
+      const drift = it.fingerprint && typeof it.fingerprint === 'object' ? fingerprintDrift(it.fingerprint, st) : null;
+      if (drift && !allowChanged) {
+        record(it, { path: p, status: 'changed_since_scan', reason: drift });
+        continue;
+      }
+      // Bytes freed on disk: a folder is measured (its own lstat size is only the directory entry), and a
+      // hard-linked file whose inode this apply already counted adds nothing. The same walk refuses folders
+      // holding anything a glob deny pattern protects (containedProtection only sees literal prefixes).
+      let bytes;
+      let apparentBytes;
+      if (st.isDirectory()) {
+        const measured = await treeBytes(p, { seenLinks: appliedLinks, protectedRule: globProtectionRule, signal });
+        if (measured.protected) {
+          record(it, { path: p, status: 'skipped', reason: 'deny_listed', rule: measured.protected.rule, protectedPath: measured.protected.path });
+          continue;
+        }
+        ({ bytes, apparentBytes } = measured);
+      } else {
+        const link = linkKeyOf(st);
+        bytes = link && appliedLinks.has(link) ? 0 : allocatedOf(st);
+        if (link) appliedLinks.add(link);
+        apparentBytes = Number(st.size) || 0;
+      }
+
+      if (dryRun) {
+        record(it, { path: p, status: 'dry', action: (mode === 'delete' ? 'delete' : 'trash'), bytes, apparentBytes, changed: drift || undefined });
+        totalBytes += bytes; totalApparent += apparentBytes; count++;
+        continue;
+      }
+
+      // Content hash for the audit log, taken before the file goes away
+      let sha256;
+      if (st.isFile() && apparentBytes <= AUDIT_HASH_MAX_BYTES) {
+        try { sha256 = await hashFile(p); } catch {}
+      }
+      try {
+        let freed = true;
+        if (mode === 'delete') {
+          // Be careful: rm recursive if directory
+          if (st.isDirectory()) fs.rmSync(p, { recursive: true, force: true });
+          else fs.rmSync(p, { force: true });
+          // Emptying a freedesktop Trash entry: its .trashinfo goes too, or file managers list a ghost
+          const info = trashInfoOf(p);
+          if (info) fs.rmSync(info, { force: true });
+          record(it, { path: p, status: 'deleted', bytes, apparentBytes, sha256, changed: drift || undefined });
+        } else {
+          const onProgress = hooks.onProgress
+            ? (copied) => hooks.onProgress({ done: details.length, total, count, bytes: totalBytes, copying: { path: p, copied, total: apparentBytes } })
+            : undefined;
+          const { dest, info, strategy, originalRemained } = await safeTrashMove(p, st, { size: apparentBytes, onProgress, signal });
+          journal.push({ type: 'trash', applyId, ts: nowIso(), path: p, dest, info, strategy, bytes, category: it.category || null });
+          freed = !originalRemained;
+          if (originalRemained) {
+            // The verified copy stays in the Trash, journaled so it can be restored or emptied; nothing was freed
+            record(it, { path: p, status: 'partial', originalRemained: true, dest, strategy, bytes, apparentBytes, sha256, error: `Copied to ${dest}, but removing the original failed: ${originalRemained}` });
+          } else {
+            record(it, { path: p, status: 'trashed', dest, strategy, bytes, apparentBytes, sha256, changed: drift || undefined });
+          }
+        }
+        if (freed) {
+          totalBytes += bytes; totalApparent += apparentBytes; count++;
+        }
+      } catch (e) {
+        if (signal && signal.aborted) record(it, { path: p, status: 'cancelled' });
+        else record(it, { path: p, status: 'error', error: String(e), sha256 });
+      }
+      // Let other requests (job polling, progress streams) run between items
+      await new Promise(resolve => setImmediate(resolve));
+    }
+    if (hooks.onProgress) hooks.onProgress({ done: details.length, total, count, bytes: totalBytes });
+
+    // Measured change in free space: differs from bytes when the Trash is on the same volume (nothing is freed
+    // until it is emptied), when other programs write meanwhile, or when filesystem snapshots keep the data
+    let disk;
+    if (volumesBefore && volumesBefore.size) {
+      const after = await volumesOf(volumePaths);
+      const volumes = [...volumesBefore.values()].filter(v => after.has(v.dev)).map(v => {
+        const freeAfter = after.get(v.dev).free;
+        return { path: v.path, dev: v.dev, freeBefore: v.free, freeAfter, freed: freeAfter - v.free };
+      });
+      disk = { freed: volumes.reduce((sum, v) => sum + v.freed, 0), volumes };
+    }
+
+    // Record trash moves so they can be restored later via /api/restore
+    try { appendJournal(journal); } catch (e) { console.warn('[scanner] journal write failed:', String(e)); }
+    if (!dryRun && count > 0) {
+      const done = details.filter(d => d.status === 'trashed' || d.status === 'deleted' || d.status === 'ran');
+      const categoryOf = new Map(items.filter(Boolean).map(it => [it.path, it.category]));
+      const byCategory = categoryTotals(done.map(d => ({ category: categoryOf.get(d.path), bytes: d.bytes })));
+      try {
+        appendHistory({ type: 'apply', ts: nowIso(), applyId, mode, count, bytes: totalBytes, categories: byCategory });
+      } catch (e) {
+        console.warn('[scanner] history write failed:', String(e));
+      }
+    }
+
+    return {
+      ok: true,
+      applyId,
+      summary: {
+        count,
+        bytes: totalBytes,
+        apparentBytes: totalApparent,
+        human: humanize(totalBytes),
+        dryRun,
+        mode,
+        changedSinceScan: details.filter(d => d.status === 'changed_since_scan').length,
+        cancelled: !!(signal && signal.aborted),
+        disk
+      },
+      details
+    };
+  }
+
+  return {
+    home,
+    dataDir,
+    rulesFile,
+    expandHome,
+    scan(scanOptions = {}) {
+      return runScan(scanParams(scanOptions), scanOptions.hooks || {}, scanOptions.signal);
+    },
+    scanParams,
+    largest(largestOptions = {}) {
+      const params = largestParams(largestOptions);
+      if (params.error) return Promise.reject(new Error(params.error));
+      return runLargest(params, largestOptions.hooks || {}, largestOptions.signal);
+    },
+    largestParams,
+    // Resolves to the details array; applyId and summary are attached to it as properties
+    async apply(plan, { mode = 'trash', dryRun = false, allowChanged = false, source, origin, onProgress, signal } = {}) {
+      if (!plan || !Array.isArray(plan.items)) throw new TypeError('plan must be { items: [ { path, category } ] }');
+      const opts = { dryRun, mode: mode === 'delete' ? 'delete' : 'trash', allowChanged: !!allowChanged, source, origin };
+      const result = await runApply(plan, opts, { onProgress }, signal);
+      return Object.assign(result.details, { applyId: result.applyId, summary: result.summary });
+    },
+    history: journalBatches,
+    audit: readAudit,
+    scanHistory: readHistory,
+    reports: listStoredReports,
+    report: readStoredReport,
+    restore: runRestore,
+    categories() {
+      return loadCategoryRules().map(rule => ruleSummary(rule, platform));
+    },
+    tools: native.detectTools,
+    disk: diskUsage,
+    getProtection() {
+      return { file: protectionPath, ...protection.config, defaults: DEFAULT_PROTECTION };
+    },
+    setProtection(cfg) {
+      const error = validateProtection(cfg);
+      if (error) throw new TypeError(error);
+      saveProtection({ deny: cfg.deny, allow: cfg.allow });
+    },
+    checkPath(p) {
+      const resolved = path.resolve(expandHome(p));
+      const prot = protectionFor(resolved);
+      const contains = prot.protected ? null : containedProtection(resolved);
+      return { path: resolved, homeScoped: ensureHomeScoped(resolved), ...prot, contains: contains || undefined };
+    }
+  };
+}
+
+module.exports = {
+  createScanner,
+  validateProtection,
+  humanize,
+  nowIso,
+  newId,
+  DEFAULT_PROTECTION,
+  DEFAULT_ROLLUP_DEPTH,
+  MAX_ROLLUP_DEPTH
+};
@@ -10,7 +10,18 @@
      "categories": ["user-caches", ...],
      "items": [
         { "path": "...", "bytes": 123, "mtime": 1710000000, "category": "dev", "reason": "Developer cache", "trashable": true }
-     ]
+        // server scans: "bytes" is the size on disk (allocated blocks, hard links counted once), plus "apparentBytes"
+        // roll-up scans also emit folders: { ..., "type": "dir", "files": 31000 }
+        // duplicates category: { ..., "dupGroup": "<sha256 prefix>", "dupKeeper": true|false }
+        // projects category: { ..., "type": "dir", "project": "<checkout>", "artifact": "node_modules", "lastCommit"?: 1690000000 }
+        //   (mtime is the project's last activity)
+        // folders holding protected data: { ..., "trashable": false, "protectedBy": "<pattern>" }
+        // server scans: { ..., "fingerprint": { "type", "size", "mtimeMs", "dev", "ino" } } (echoed back in apply plans)
+        // server scans: { ..., "kind": "disk-image"|"installer"|"archive"|"video"|"audio"|"vm-disk"|"log"|"crash-dump"|"folder"|"other" }
+     ],
+     "kinds": { "video": { "count": N, "bytes": M, "apparentBytes": A }, ... },   // server scans: totals per kind
+     "protection": { "skipped": [ { "path": "...", "rule": "~/Documents" } ] },  // server scans
+     "reportId": "..."   // server scans: stored for Compare Reports (GET /api/reports/:id)
    }
 
    Plan JSON schema (exported by UI):
@@ -18,7 +29,7 @@
      "generatedAt": "ISO8601",
      "home": "<from report>",
      "applyMode": "trash" | "delete",
-     "items": [ { "path": "...", "category": "..." }, ... ]
+     "items": [ { "path": "...", "category": "...", "fingerprint": { ... } }, ... ]   // fingerprint: from the report, if any
    }
 */
 
@@ -35,16 +46,25 @@
     minSizeUi: document.getElementById("minSizeUi"),
     olderThanUi: document.getElementById("olderThanUi"),
     categoryFilter: document.getElementById("categoryFilter"),
+    kindFilter: document.getElementById("kindFilter"),
     applyModeRadios: document.querySelectorAll("input[name='applyMode']"),
     topN: document.getElementById("topN"),
+    rollupCheck: document.getElementById("rollupCheck"),
+    rollupDepth: document.getElementById("rollupDepth"),
     selectAllBtn: document.getElementById("selectAllBtn"),
+    selectStaleBtn: document.getElementById("selectStaleBtn"),
     clearSelBtn: document.getElementById("clearSelBtn"),
     toggleAll: document.getElementById("toggleAll"),
 
     // Server integration
     scanServerBtn: document.getElementById("scanServerBtn"),
     applyServerBtn: document.getElementById("applyServerBtn"),
+    undoApplyBtn: document.getElementById("undoApplyBtn"),
+    historyList: document.getElementById("historyList"),
     dryRunCheck: document.getElementById("dryRunCheck"),
+    allowChangedCheck: document.getElementById("allowChangedCheck"),
+    refreshCheck: document.getElementById("refreshCheck"),
+    wholeStoresCheck: document.getElementById("wholeStoresCheck"),
     backendStatus: document.getElementById("backendStatus"),
 
     totalCount: document.getElementById("totalCount"),
@@ -53,11 +73,24 @@
     visibleSize: document.getElementById("visibleSize"),
     selectedCount: document.getElementById("selectedCount"),
     selectedSize: document.getElementById("selectedSize"),
+    diskStat: document.getElementById("diskStat"),
+    diskFree: document.getElementById("diskFree"),
+    diskProjected: document.getElementById("diskProjected"),
+    diskLastApply: document.getElementById("diskLastApply"),
     homePath: document.getElementById("homePath"),
     generatedAt: document.getElementById("generatedAt"),
+    indexStatus: document.getElementById("indexStatus"),
 
     tableBody: document.getElementById("tableBody"),
-    table: document.getElementById("itemsTable")
+    table: document.getElementById("itemsTable"),
+
+    // Compare mode
+    compareFile: document.getElementById("compareFile"),
+    compareInfo: document.getElementById("compareInfo"),
+    compareFilters: document.getElementById("compareFilters"),
+    compareClearBtn: document.getElementById("compareClearBtn"),
+    compareCategoryBody: document.getElementById("compareCategoryBody"),
+    compareBody: document.getElementById("compareBody")
   };
 
   // State
@@ -72,15 +105,23 @@
     minBytes: 0,
     olderDays: 0,
     categoriesEnabled: new Set(["user-caches","browsers","dev","pkg"]),
+    kindsEnabled: new Set(), // Type chips: empty = every kind
+    kindCounts: {}, // { [kind]: { count, bytes } } of the items the other filters let through (chip counts)
     search: "",
     topN: 0,
     applyMode: "trash",
     lastPlanFileName: "disk_cleaner_plan.json",
+    compare: null, // { other: report, label, diff } while comparing (see diffReports)
+    disk: null, // { volumes: [ { path, dev, home, total, used, free } ] (GET /api/disk), lastApply: summary.disk of the last apply }
     // Charts
     catChart: null,
+    trendChart: null,
     // Backend
     backendOnline: false,
-    backendBase: "" // "" = same-origin; or "http://localhost:8765"
+    backendBase: "", // "" = same-origin; or "http://localhost:8765"
+    backendLocked: false, // server answered but rejected our API token
+    activeScanId: null, // server scan currently running (cancellable)
+    activeJobId: null // background job being followed (see dc.activeJob in localStorage)
   };
 
   // One-time guard for row click delegation
@@ -124,21 +165,35 @@
   function computeTotals(items) {
     let count = 0;
     let bytes = 0;
+    let apparentBytes = 0;
     for (const it of items) {
+      if (it.dupKeeper) continue; // kept copy of a duplicate group: not reclaimable
       count++;
       const b = Number(it.bytes) || 0;
       if (b > 0) bytes += b;
+      apparentBytes += Number(it.apparentBytes ?? it.bytes) || 0;
     }
-    return { count, bytes };
+    return { count, bytes, apparentBytes };
+  }
+
+  // "1.2 GB on disk · 40 GB apparent" (reports without apparent sizes show the on-disk figure for both)
+  function humanizeSizes(bytes, apparentBytes) {
+    return `${humanizeBytes(bytes)} on disk · ${humanizeBytes(apparentBytes ?? bytes)} apparent`;
   }
 
   function updateHeader(report) {
     if (!report) return;
     const totals = report.totals || computeTotals(report.items || []);
     el.totalCount.textContent = String(totals.count || 0);
-    el.totalSize.textContent = humanizeBytes(Number(totals.bytes || 0));
+    el.totalSize.textContent = humanizeSizes(Number(totals.bytes || 0), totals.apparentBytes ?? computeTotals(report.items || []).apparentBytes);
     el.homePath.textContent = `home: ${report.home || "-"}`;
     el.generatedAt.textContent = `generated: ${report.generatedAt || "-"}`;
+    if (el.indexStatus) {
+      const ix = report.index;
+      el.indexStatus.textContent = ix
+        ? (ix.refresh ? `index: full rescan (${ix.dirsRescanned} folders)` : `index: ${ix.dirsFromIndex} cached / ${ix.dirsRescanned} rescanned folders`)
+        : "index: -";
+    }
   }
 
   function getApplyMode() {
@@ -153,6 +208,8 @@
     const search = state.search;
     const searchParts = search.toLowerCase().split(/\s+/).filter(Boolean);
     const cats = state.categoriesEnabled;
+    const kinds = state.kindsEnabled;
+    const kindCounts = {};
 
     const out = [];
     for (const it of state.items) {
@@ -161,8 +218,8 @@
       // Min size
       const b = Number(it.bytes) || 0;
       if (b < minBytes) continue;
-      // Older-than gating (only include items older than N days)
-      if (cutoff && (Number(it.mtime) || 0) > cutoff) continue;
+      // Older-than gating (only include items older than N days); duplicate groups are kept whole
+      if (cutoff && !it.dupGroup && (Number(it.mtime) || 0) > cutoff) continue;
       // Search matches path or reason
       if (searchParts.length) {
         const hay = `${it.path} ${it.reason || ""}`.toLowerCase();
@@ -172,13 +229,19 @@
         }
         if (!ok) continue;
       }
+      // Type facet: counted before gating, so unchecked chips still show what they would add
+      const kc = kindCounts[it.kind] || (kindCounts[it.kind] = { count: 0, bytes: 0 });
+      kc.count += 1;
+      kc.bytes += b;
+      if (kinds.size && !kinds.has(it.kind)) continue;
       out.push(it);
     }
     state.filtered = out;
+    state.kindCounts = kindCounts;
   }
 
   function doSort() {
-    const arr = [...state.filtered];
+    let arr = [...state.filtered];
     const key = state.sortKey;
     const dir = state.sortDir;
 
@@ -189,6 +252,10 @@
           av = Number(a.bytes) || 0;
           bv = Number(b.bytes) || 0;
           break;
+        case "apparentBytes":
+          av = Number(a.apparentBytes) || 0;
+          bv = Number(b.apparentBytes) || 0;
+          break;
         case "mtime":
           av = Number(a.mtime) || 0;
           bv = Number(b.mtime) || 0;
@@ -197,6 +264,11 @@
           av = (a.category || "").localeCompare ? a.category : String(a.category || "");
           bv = (b.category || "").localeCompare ? b.category : String(b.category || "");
           return dir === "asc" ? av.localeCompare(bv) : bv.localeCompare(av);
+        case "kind":
+          av = kindLabel(a.kind);
+          bv = kindLabel(b.kind);
+          if (av === bv) return (Number(b.bytes) || 0) - (Number(a.bytes) || 0);
+          return dir === "asc" ? av.localeCompare(bv) : bv.localeCompare(av);
         case "path":
         default:
           av = a.path || "";
@@ -211,6 +283,25 @@
       return dir === "asc" ? av - bv : bv - av;
     });
 
+    // Keep duplicate groups together: members follow the group's best-ranked row
+    if (arr.some(it => it.dupGroup)) {
+      const groups = new Map();
+      for (const it of arr) {
+        if (!it.dupGroup) continue;
+        if (!groups.has(it.dupGroup)) groups.set(it.dupGroup, []);
+        groups.get(it.dupGroup).push(it);
+      }
+      const grouped = [];
+      const emitted = new Set();
+      for (const it of arr) {
+        if (!it.dupGroup) { grouped.push(it); continue; }
+        if (emitted.has(it.dupGroup)) continue;
+        emitted.add(it.dupGroup);
+        grouped.push(...groups.get(it.dupGroup));
+      }
+      arr = grouped;
+    }
+
     let top = Number(state.topN || 0);
     if (Number.isFinite(top) && top > 0) {
       state.sorted = arr.slice(0, top);
@@ -222,36 +313,65 @@
   function renderTable() {
     const rows = [];
     let visibleBytes = 0;
+    let visibleApparent = 0;
+
+    // Duplicate group sizes among visible rows (for group header rows)
+    const dupCounts = new Map();
+    for (const it of state.sorted) {
+      if (it.dupGroup) dupCounts.set(it.dupGroup, (dupCounts.get(it.dupGroup) || 0) + 1);
+    }
+    const dupHeaded = new Set();
 
     for (const it of state.sorted) {
+      if (it.dupGroup && !dupHeaded.has(it.dupGroup)) {
+        dupHeaded.add(it.dupGroup);
+        const g = escapeHtmlAttr(it.dupGroup);
+        rows.push(
+          `<tr class="dup-head">
+            <td class="w-select"></td>
+            <td colspan="7">Duplicate group ${escapeHtml(it.dupGroup)} · ${dupCounts.get(it.dupGroup)} copies × ${humanizeBytes(Number(it.bytes)||0)}
+              <span class="dup-actions">
+                <button class="ghost" data-dup-group="${g}" data-dup-keep="newest" title="Select every copy except the most recently modified">Select all but newest</button>
+                <button class="ghost" data-dup-group="${g}" data-dup-keep="oldest" title="Select every copy except the oldest">Select all but oldest</button>
+              </span>
+            </td>
+          </tr>`
+        );
+      }
       const selected = state.selectedPaths.has(it.path);
       const isDisabled = it.trashable === false;
       const classes = [];
       if (isDisabled) classes.push("disabled");
       if (selected && !isDisabled) classes.push("selected");
+      if (it.dupGroup) classes.push("dup-member");
       const trClass = classes.length ? ` class="${classes.join(' ')}"` : "";
       const checkedAttr = selected && !isDisabled ? " checked" : "";
       const disableAttr = isDisabled ? " disabled" : "";
 
       visibleBytes += Number(it.bytes) || 0;
+      visibleApparent += Number(it.apparentBytes) || 0;
 
-      const trTitleAttr = isDisabled ? ' title="Read-only item: cannot be selected or applied (not trashable)"' : '';
+      const readOnlyWhy = it.protectedBy ? `contains protected data (${it.protectedBy})` : "not trashable";
+      const trTitleAttr = isDisabled ? ` title="Read-only item: cannot be selected or applied (${escapeHtmlAttr(readOnlyWhy)})"` : '';
       rows.push(
         `<tr${trClass}${trTitleAttr} data-path="${escapeHtmlAttr(it.path)}">
           <td class="w-select"><input type="checkbox" class="row-select"${checkedAttr}${disableAttr}></td>
-          <td class="path">${escapeHtml(it.path)}</td>
+          <td class="path">${escapeHtml(it.path)}${it.type === 'dir' ? ` <span class="badge-dir" title="Folder rolled up as one item">folder · ${(Number(it.files) || 0).toLocaleString()} files</span>` : ''}${it.type === 'native' ? ` <span class="badge-dir" title="Applying runs ${escapeHtmlAttr(it.tool)} instead of removing files (not restorable from Trash); the size is an estimate">runs ${escapeHtml(it.tool)}</span>` : ''}${it.wholeStore ? ' <span class="badge-warn" title="This tool cannot apply the Older Than filter: it empties the whole store">removes everything regardless of age</span>' : ''}${it.project ? ` <span class="badge-dir" title="Project ${escapeHtmlAttr(it.project)}: last activity (newest source file or git commit) ${escapeHtmlAttr(formatMtime(it.mtime))}">idle ${idleDays(it)} days</span>` : ''}${it.dupKeeper ? ' <span class="badge-keeper" title="Suggested copy to keep">keeper</span>' : ''}</td>
           <td class="bytes w-size" data-bytes="${Number(it.bytes) || 0}">${humanizeBytes(Number(it.bytes)||0)}</td>
+          <td class="bytes w-size" data-bytes="${Number(it.apparentBytes) || 0}">${humanizeBytes(Number(it.apparentBytes)||0)}</td>
           <td class="mtime w-time" data-mtime="${Number(it.mtime) || 0}">${formatMtime(Number(it.mtime)||0)}</td>
           <td class="category w-cat">${escapeHtml(it.category || "-")}</td>
+          <td class="kind w-kind" data-kind="${escapeHtmlAttr(it.kind)}">${escapeHtml(kindLabel(it.kind))}</td>
           <td class="reason w-reason">${escapeHtml(it.reason || "-")}${isDisabled ? ' <span class="badge-warn">read-only</span>' : ''}</td>
         </tr>`
       );
     }
 
     el.tableBody.innerHTML = rows.join("");
-    const visibleTotals = { count: state.sorted.length, bytes: visibleBytes };
+    renderKindChips();
+    const visibleTotals = { count: state.sorted.length, bytes: visibleBytes, apparentBytes: visibleApparent };
     el.visibleCount.textContent = String(visibleTotals.count);
-    el.visibleSize.textContent = humanizeBytes(visibleTotals.bytes);
+    el.visibleSize.textContent = humanizeSizes(visibleTotals.bytes, visibleTotals.apparentBytes);
 
     // Update selected summary
     updateSelectedSummary();
@@ -307,6 +427,10 @@
     if (el.exportCsvBtn) el.exportCsvBtn.disabled = !enabled || needSel;
     if (el.copyCmdBtn) el.copyCmdBtn.disabled = !enabled || needSel;
     if (el.selectAllBtn) el.selectAllBtn.disabled = !enabled;
+    if (el.selectStaleBtn) {
+      el.selectStaleBtn.hidden = !state.items.some(it => it.project);
+      el.selectStaleBtn.disabled = !enabled || staleProjectItems().length === 0;
+    }
     if (el.clearSelBtn) el.clearSelBtn.disabled = !enabled || needSel;
     if (el.toggleAll) el.toggleAll.disabled = !enabled || state.sorted.length === 0;
 
@@ -333,16 +457,19 @@
 
   function updateSelectedSummary() {
     let bytes = 0;
+    let apparentBytes = 0;
     let count = 0;
     const selected = state.selectedPaths;
     for (const it of state.items) {
       if (selected.has(it.path)) {
         bytes += Number(it.bytes) || 0;
+        apparentBytes += Number(it.apparentBytes) || 0;
         count++;
       }
     }
     el.selectedCount.textContent = String(count);
-    el.selectedSize.textContent = humanizeBytes(bytes);
+    el.selectedSize.textContent = humanizeSizes(bytes, apparentBytes);
+    updateDiskPanel();
 
     // Button enablement tied to selection
     const noData = state.items.length === 0;
@@ -350,6 +477,10 @@
     if (el.exportCsvBtn) el.exportCsvBtn.disabled = noData || count === 0;
     if (el.copyCmdBtn) el.copyCmdBtn.disabled = noData || count === 0;
     if (el.clearSelBtn) el.clearSelBtn.disabled = count === 0;
+    if (el.applyServerBtn) {
+      el.applyServerBtn.disabled = count === 0;
+      el.applyServerBtn.title = count > 0 ? `Apply ${count} selected item(s) via backend` : 'Select rows to enable apply';
+    }
 
     // Titles reflecting current state
     if (el.exportPlanBtn) el.exportPlanBtn.title = (noData ? 'Load a report or run a scan to enable' : (count === 0 ? 'Select at least one row to export a plan' : 'Export selected items as a cleanup plan (JSON)'));
@@ -390,6 +521,40 @@
     try { refreshSelectionButtons(); } catch {}
   }
 
+  // Stale projects: build artifacts (projects category) of visible projects idle for STALE_PROJECT_DAYS,
+  // or for the Older Than filter when that is longer
+  const STALE_PROJECT_DAYS = 180;
+
+  function idleDays(it) {
+    return Math.max(0, Math.floor((Date.now() / 1000 - (Number(it.mtime) || 0)) / 86400));
+  }
+
+  function staleProjectItems() {
+    const days = Math.max(STALE_PROJECT_DAYS, Number(state.olderDays || 0));
+    return (state.filtered || []).filter(it => it.project && it.trashable !== false && idleDays(it) >= days);
+  }
+
+  function selectStaleProjects() {
+    const items = staleProjectItems();
+    for (const it of items) setRowSelected(it.path, true);
+    renderTable();
+    const bytes = items.reduce((sum, it) => sum + (Number(it.bytes) || 0), 0);
+    try { toast(`Selected ${items.length} build artifact folder(s) of stale projects (${humanizeBytes(bytes)})`); } catch {}
+  }
+
+  // Duplicate groups: select every copy in the group except the newest/oldest one
+  function selectDuplicatesExcept(group, keep) {
+    const members = state.items.filter(it => it.dupGroup === group && it.trashable !== false);
+    if (members.length < 2) return;
+    const pick = (a, b) => keep === "oldest"
+      ? ((a.mtime < b.mtime || (a.mtime === b.mtime && a.path.length <= b.path.length)) ? a : b)
+      : ((a.mtime > b.mtime || (a.mtime === b.mtime && a.path.length <= b.path.length)) ? a : b);
+    const keeper = members.reduce(pick);
+    for (const it of members) setRowSelected(it.path, it !== keeper);
+    renderTable();
+    try { toast(`Keeping ${keep} copy: ${keeper.path}`); } catch {}
+  }
+
   function clearSelection() {
     state.selectedPaths.clear();
     // Uncheck visible
@@ -440,6 +605,7 @@
         applyFilters();
         doSort();
         renderTable();
+        refreshCompare();
       } catch (err) {
         console.error(err);
         alert("Failed to load or parse the report JSON.");
@@ -448,6 +614,29 @@
       }
     });
 
+    // Compare mode: second report from a file
+    if (el.compareFile) {
+      el.compareFile.addEventListener("change", async (e) => {
+        const f = e.target.files && e.target.files[0];
+        if (!f) return;
+        try {
+          const data = JSON.parse(await readFileAsText(f));
+          if (!data || !Array.isArray(data.items)) {
+            alert("Invalid report file format. Expecting a JSON with an 'items' array.");
+            return;
+          }
+          setCompareReport(data, f.name);
+        } catch (err) {
+          console.error(err);
+          alert("Failed to load or parse the report JSON.");
+        } finally {
+          el.compareFile.value = "";
+        }
+      });
+      el.compareClearBtn.addEventListener("click", () => clearCompare());
+      el.compareFilters.addEventListener("change", () => renderCompare());
+    }
+
     // Search/filter handlers
     el.search.addEventListener("input", debounce(() => {
       state.search = (el.search.value || "").trim();
@@ -477,10 +666,22 @@
       }
     });
 
+    // Type chips (none checked = every type)
+    if (el.kindFilter) {
+      el.kindFilter.addEventListener("change", (e) => {
+        if (e.target && e.target.type === "checkbox") {
+          if (e.target.checked) state.kindsEnabled.add(e.target.value);
+          else state.kindsEnabled.delete(e.target.value);
+          applyFilters(); doSort(); renderTable();
+        }
+      });
+    }
+
     // Apply mode radios
     for (const r of el.applyModeRadios) {
       r.addEventListener("change", () => {
         state.applyMode = getApplyMode();
+        updateDiskPanel();
       });
     }
 
@@ -496,6 +697,8 @@
       selectAllVisible();
     });
 
+    if (el.selectStaleBtn) el.selectStaleBtn.addEventListener("click", selectStaleProjects);
+
     // Clear selection (all)
     el.clearSelBtn.addEventListener("click", () => {
       clearSelection();
@@ -531,7 +734,7 @@
         } else {
           state.sortKey = key;
           // default dir: numeric desc, text asc
-          state.sortDir = (key === "path" || key === "category") ? "asc" : "desc";
+          state.sortDir = (key === "path" || key === "category" || key === "kind") ? "asc" : "desc";
         }
         doSort(); renderTable();
       });
@@ -542,14 +745,16 @@
     if (el.exportCsvBtn) {
       el.exportCsvBtn.addEventListener("click", () => {
         if (!state.report) return;
-        const lines = ['path,category,bytes,mtime'];
+        const lines = ['path,category,kind,bytes,apparentBytes,mtime'];
         for (const it of state.items) {
           if (state.selectedPaths.has(it.path)) {
             const pathCsv = '"' + String(it.path).replaceAll('"','""') + '"';
             const catCsv = '"' + String(it.category || '').replaceAll('"','""') + '"';
+            const kindCsv = '"' + String(it.kind || '').replaceAll('"','""') + '"';
             const bytes = Number(it.bytes) || 0;
+            const apparentBytes = Number(it.apparentBytes) || 0;
             const mtime = Number(it.mtime) || 0;
-            lines.push([pathCsv, catCsv, String(bytes), String(mtime)].join(','));
+            lines.push([pathCsv, catCsv, kindCsv, String(bytes), String(apparentBytes), String(mtime)].join(','));
           }
         }
         if (lines.length <= 1) { try { toast("No selected items"); } catch {} return; }
@@ -585,6 +790,11 @@
     // Row click toggles selection (event delegation, one-time)
     if (!rowDelegationWired && el.tableBody) {
       el.tableBody.addEventListener("click", (e) => {
+        const dupBtn = e.target.closest("button[data-dup-keep]");
+        if (dupBtn) {
+          selectDuplicatesExcept(dupBtn.getAttribute("data-dup-group"), dupBtn.getAttribute("data-dup-keep"));
+          return;
+        }
         // Ignore native interactive controls
         const ignore = e.target.closest("input,button,a,select,label,textarea");
         if (ignore) return;
@@ -639,33 +849,258 @@
     // Ensure expected fields exist, coerce types
     return items.map(it => ({
       path: String(it.path || ""),
-      bytes: Number(it.bytes || 0),
+      bytes: Number(it.bytes || 0),  // on disk (reclaimable); older reports and the shell CLI only have apparent sizes
+      apparentBytes: Number(it.apparentBytes ?? it.bytes ?? 0),
       mtime: Number(it.mtime || 0),
       category: it.category ? String(it.category) : "-",
       reason: it.reason ? String(it.reason) : "",
-      trashable: it.trashable !== false // default to true if missing
+      trashable: it.trashable !== false, // default to true if missing
+      type: it.type === "dir" || it.type === "native" ? it.type : "file",
+      action: it.action ? String(it.action) : "",  // native items: tool action id (path is its command line)
+      tool: it.tool ? String(it.tool) : "",
+      pruneDays: it.pruneDays,
+      files: Number(it.files || 0),
+      dupGroup: it.dupGroup ? String(it.dupGroup) : "",
+      dupKeeper: it.dupKeeper === true,
+      kind: it.kind ? String(it.kind) : (it.type === "dir" ? "folder" : "other"),  // reports without kinds: files are "other"
+      protectedBy: it.protectedBy ? String(it.protectedBy) : "",
+      fingerprint: it.fingerprint && typeof it.fingerprint === "object" ? it.fingerprint : null,
+      project: it.project ? String(it.project) : "",  // projects category: checkout the artifact folder belongs to
+      artifact: it.artifact ? String(it.artifact) : "",
+      lastCommit: Number(it.lastCommit || 0)
     }));
   }
 
+  // Compare mode: diff the current report against a second one (report file or stored server scan).
+  // Items are matched by category + path; the older report is "before".
+  // Row: { status: 'added'|'removed'|'grew'|'shrank'|'unchanged', path, category, type, before, after, delta }
+  const MAX_COMPARE_ROWS = 1000;
+
+  function diffReports(before, after) {
+    const key = (it) => `${it.category}\u0000${it.path}`;
+    const previous = new Map(normalizeItems(before.items || []).map(it => [key(it), it]));
+    const rows = [];
+    for (const it of normalizeItems(after.items || [])) {
+      const prev = previous.get(key(it));
+      previous.delete(key(it));
+      const delta = it.bytes - (prev ? prev.bytes : 0);
+      const status = !prev ? "added" : delta > 0 ? "grew" : delta < 0 ? "shrank" : "unchanged";
+      rows.push({ status, path: it.path, category: it.category, type: it.type, before: prev ? prev.bytes : null, after: it.bytes, delta });
+    }
+    for (const it of previous.values()) {
+      rows.push({ status: "removed", path: it.path, category: it.category, type: it.type, before: it.bytes, after: null, delta: -it.bytes });
+    }
+    rows.sort((a, b) => Math.abs(b.delta) - Math.abs(a.delta) || a.path.localeCompare(b.path));
+
+    const byCategory = new Map();
+    for (const r of rows) {
+      if (!byCategory.has(r.category)) {
+        byCategory.set(r.category, { category: r.category, before: 0, after: 0, added: 0, removed: 0, grew: 0, shrank: 0, unchanged: 0 });
+      }
+      const c = byCategory.get(r.category);
+      c.before += r.before || 0;
+      c.after += r.after || 0;
+      c[r.status] += 1;
+    }
+    const categories = [...byCategory.values()].sort((a, b) => Math.abs(b.after - b.before) - Math.abs(a.after - a.before));
+    return { rows, categories };
+  }
+
+  // Disk Free card: free space of the home volume now, and after applying the selection. Selected on-disk bytes
+  // count against the volume of each item (fingerprint dev; items without one against home). Trash moves free
+  // nothing until the Trash is emptied, so that mode projects the state after emptying it.
+  function setDiskInfo(volumes) {
+    state.disk = Object.assign({}, state.disk, { volumes: Array.isArray(volumes) ? volumes : [] });
+    updateDiskPanel();
+  }
+
+  // disk: summary.disk of an apply, mode: its mode
+  function setLastApplyDisk(disk, mode) {
+    state.disk = Object.assign({ volumes: [] }, state.disk, { lastApply: disk ? Object.assign({ mode }, disk) : null });
+    updateDiskPanel();
+  }
+
+  function updateDiskPanel() {
+    if (!el.diskFree) return;
+    const volumes = (state.disk && state.disk.volumes) || [];
+    const home = volumes.find(v => v.home) || volumes[0];
+    if (!home) {
+      el.diskFree.textContent = "-";
+      el.diskProjected.textContent = state.backendOnline ? "free space unavailable" : "backend offline";
+      el.diskLastApply.hidden = true;
+      el.diskStat.title = "Free space on the home volume (needs the backend)";
+      return;
+    }
+    const selectedByDev = new Map();
+    let selectedCount = 0;
+    for (const it of state.items) {
+      if (!state.selectedPaths.has(it.path)) continue;
+      selectedCount++;
+      const dev = it.fingerprint && it.fingerprint.dev !== undefined ? it.fingerprint.dev : home.dev;
+      selectedByDev.set(dev, (selectedByDev.get(dev) || 0) + (Number(it.bytes) || 0));
+    }
+    const gain = selectedByDev.get(home.dev) || 0;
+    const after = state.applyMode === "delete" ? "after delete" : "after apply + emptying Trash";
+    el.diskFree.textContent = `${humanizeBytes(home.free)} of ${humanizeBytes(home.total)}`;
+    el.diskProjected.textContent = selectedCount
+      ? `${after}: ${humanizeBytes(home.free + gain)} (+${humanizeBytes(gain)})`
+      : "select items to see the projection";
+
+    const last = state.disk.lastApply;
+    el.diskLastApply.hidden = !last;
+    if (last) {
+      el.diskLastApply.textContent = `last apply: ${last.freed < 0 ? "−" : "+"}${humanizeBytes(Math.abs(last.freed))} measured` +
+        (last.mode === "trash" ? " (until the Trash is emptied)" : "");
+    }
+
+    el.diskStat.title = volumes.map(v => {
+      const g = selectedByDev.get(v.dev) || 0;
+      const used = v.total ? Math.round((v.used / v.total) * 100) : 0;
+      return `${v.path}${v.home ? " (home)" : ""}: ${humanizeBytes(v.free)} free of ${humanizeBytes(v.total)}, ${used}% used` +
+        (g ? ` → ${humanizeBytes(v.free + g)} ${after}` : "");
+    }).concat(last ? last.volumes.map(v => `last apply on ${v.path}: ${humanizeBytes(v.freeBefore)} → ${humanizeBytes(v.freeAfter)} free`) : []).join("\n");
+  }
+
+  function setCompareReport(other, label) {
+    if (!state.report) {
+      alert("Load or scan a report first, then compare it with another one.");
+      return;
+    }
+    state.compare = { other, label, diff: null };
+    refreshCompare();
+    const panel = document.getElementById("comparePanel");
+    if (panel) panel.open = true;
+  }
+
+  function clearCompare() {
+    state.compare = null;
+    refreshCompare();
+  }
+
+  // Recompute the diff, e.g. after a new scan replaced the current report
+  function refreshCompare() {
+    if (!el.compareBody) return;
+    const compare = state.compare;
+    el.compareClearBtn.disabled = !compare;
+    if (!compare || !state.report) {
+      el.compareInfo.textContent = "No comparison loaded.";
+      el.compareBody.innerHTML = "";
+      el.compareCategoryBody.innerHTML = "";
+      for (const span of el.compareFilters.querySelectorAll("[data-count]")) span.textContent = "";
+      return;
+    }
+    const otherIsOlder = String(compare.other.generatedAt || "") <= String(state.report.generatedAt || "");
+    const before = otherIsOlder ? compare.other : state.report;
+    const after = otherIsOlder ? state.report : compare.other;
+    compare.diff = diffReports(before, after);
+
+    const describe = (r) => {
+      const when = r.generatedAt ? new Date(r.generatedAt).toLocaleString() : "unknown time";
+      return `${when} (${r === state.report ? "current report" : compare.label})`;
+    };
+    const beforeCats = new Set(before.categories || []);
+    const afterCats = new Set(after.categories || []);
+    const onlyOne = [...new Set([...beforeCats, ...afterCats])].filter(c => !(beforeCats.has(c) && afterCats.has(c)));
+    el.compareInfo.textContent = `Before: ${describe(before)} → After: ${describe(after)}` +
+      (onlyOne.length ? ` · scanned in only one report (all added/removed): ${onlyOne.join(", ")}` : "");
+    renderCompare();
+  }
+
+  function renderCompare() {
+    const diff = state.compare && state.compare.diff;
+    if (!diff || !el.compareBody) return;
+    const statuses = new Set([...el.compareFilters.querySelectorAll("input[name='compareStatus']:checked")].map(i => i.value));
+    const counts = {};
+    for (const r of diff.rows) counts[r.status] = (counts[r.status] || 0) + 1;
+    for (const span of el.compareFilters.querySelectorAll("[data-count]")) span.textContent = `(${counts[span.dataset.count] || 0})`;
+
+    const signed = (n) => (n === 0 ? "0 B" : `${n > 0 ? "+" : "−"}${humanizeBytes(Math.abs(n))}`);
+    const size = (n) => (n === null ? "—" : humanizeBytes(n));
+    const trend = (n) => (n > 0 ? "grew" : n < 0 ? "shrank" : "unchanged");
+
+    el.compareCategoryBody.innerHTML = diff.categories.map(c => `<tr>
+        <td class="category">${escapeHtml(c.category)}</td>
+        <td class="bytes">${humanizeBytes(c.before)}</td>
+        <td class="bytes">${humanizeBytes(c.after)}</td>
+        <td class="bytes diff-${trend(c.after - c.before)}">${signed(c.after - c.before)}</td>
+        <td class="bytes">${c.added} / ${c.removed} / ${c.grew} / ${c.shrank}</td>
+      </tr>`).join("") || '<tr><td colspan="5" class="reason">Both reports are empty.</td></tr>';
+
+    const visible = diff.rows.filter(r => statuses.has(r.status));
+    const shown = visible.slice(0, MAX_COMPARE_ROWS);
+    el.compareBody.innerHTML = shown.map(r => `<tr>
+        <td><span class="diff-status diff-${r.status}">${r.status}</span></td>
+        <td class="path">${escapeHtml(r.path)}${r.type === "dir" ? "/" : ""}</td>
+        <td class="category">${escapeHtml(r.category)}</td>
+        <td class="bytes">${size(r.before)}</td>
+        <td class="bytes">${size(r.after)}</td>
+        <td class="bytes diff-${r.status}">${signed(r.delta)}</td>
+      </tr>`).join("") +
+      (visible.length > shown.length ? `<tr><td colspan="6" class="reason">Showing the ${shown.length} largest changes of ${visible.length}.</td></tr>` : "") ||
+      '<tr><td colspan="6" class="reason">No items with the selected statuses.</td></tr>';
+  }
+
+  // Category chips: built from the backend's GET /api/categories (setCategoryDefinitions),
+  // plus any category found in a loaded report that has no chip yet
+  function categoryChipHtml(def) {
+    const title = def.description ? ` title="${escapeHtmlAttr(def.description)}"` : "";
+    return `<label${title}><input type="checkbox" value="${escapeHtmlAttr(def.id)}" /> ${escapeHtml(def.label || def.id)}</label>`;
+  }
+
+  function setCategoryDefinitions(defs) {
+    state.categoriesEnabled = new Set(defs.filter(d => d.default).map(d => d.id));
+    el.categoryFilter.innerHTML = defs.map(categoryChipHtml).join("");
+    initCategoryChipsFromData([]);
+  }
+
   function initCategoryChipsFromData(categories) {
-    // Show all chips; only check defaults are already set in HTML
-    // If a category exists in data but not in chips, we could add dynamically, but our known set is fixed.
+    const known = new Set([...el.categoryFilter.querySelectorAll("input[type='checkbox']")].map(i => i.value));
+    const extra = [...new Set(categories)].filter(id => id && !known.has(id));
+    if (extra.length) el.categoryFilter.insertAdjacentHTML("beforeend", extra.map(id => categoryChipHtml({ id })).join(""));
     // Sync checkboxes to state.categoriesEnabled
     for (const input of el.categoryFilter.querySelectorAll("input[type='checkbox']")) {
       input.checked = state.categoriesEnabled.has(input.value);
     }
   }
 
+  // Type chips: one per kind present among the items the other filters let through (plus any checked one),
+  // with its count and size; checking chips narrows the table to those types
+  const KIND_LABELS = {
+    "disk-image": "Disk image", installer: "Installer", archive: "Archive", video: "Video", audio: "Audio",
+    "vm-disk": "VM disk", log: "Log", "crash-dump": "Crash dump", folder: "Folder", other: "Other"
+  };
+  const kindLabel = (kind) => KIND_LABELS[kind] || String(kind || "other");
+
+  function renderKindChips() {
+    if (!el.kindFilter) return;
+    const counts = state.kindCounts || {};
+    const kinds = [...new Set([...Object.keys(counts), ...state.kindsEnabled])]
+      .sort((a, b) => ((counts[b] && counts[b].bytes) || 0) - ((counts[a] && counts[a].bytes) || 0));
+    el.kindFilter.innerHTML = kinds.map(k => {
+      const c = counts[k] || { count: 0, bytes: 0 };
+      return `<label title="${escapeHtmlAttr(`${c.count} items, ${humanizeBytes(c.bytes)}`)}"><input type="checkbox" value="${escapeHtmlAttr(k)}"${state.kindsEnabled.has(k) ? " checked" : ""} /> ${escapeHtml(kindLabel(k))} <span class="hint">${c.count}</span></label>`;
+    }).join("") || '<span class="hint">No items</span>';
+  }
 
   function buildCopyApplyCommand() {
-    // Build a self-contained snippet that writes selected paths to a temp file and applies it.
     const paths = [];
+    const toolCommands = []; // native items: their path is the tool's command line
     for (const it of state.items) {
-      if (state.selectedPaths.has(it.path)) paths.push(it.path);
+      if (!state.selectedPaths.has(it.path)) continue;
+      if (it.type === "native") toolCommands.push(it.path);
+      else paths.push(it.path);
     }
-    if (paths.length === 0) {
+    if (paths.length === 0 && toolCommands.length === 0) {
       return "# No selected items. Select rows in the UI to generate apply commands.";
     }
+    const parts = [];
+    if (paths.length) parts.push(buildPathsCommand(paths));
+    if (toolCommands.length) parts.push(["# Tool cleanups (the tools keep their stores consistent; not restorable)", ...toolCommands].join("\n"));
+    return parts.join("\n\n");
+  }
+
+  function buildPathsCommand(paths) {
+    // Build a self-contained snippet that writes selected paths to a temp file and applies it.
     const ts = new Date().toISOString().replace(/[-:T]/g,'').slice(0,15);
     const tmpName = `disk_cleaner_paths_${ts}.txt`;
     const trashFlag = state.applyMode === 'delete' ? '--no-trash' : '--trash';
@@ -718,13 +1153,20 @@
   }
 
   // Loading overlay helpers + UI indicators
-  function overlayShow(message = "Working…") {
+  // onCancel (optional): shows a Cancel button in the overlay that calls it
+  function overlayShow(message = "Working…", onCancel) {
     try {
       const ov = document.getElementById("loadingOverlay");
       if (!ov) return;
       ov.classList.remove("hidden");
       const m = ov.querySelector(".msg");
       if (m) m.textContent = message;
+      const cancel = document.getElementById("overlayCancelBtn");
+      if (cancel) {
+        cancel.classList.toggle("hidden", typeof onCancel !== "function");
+        cancel.disabled = false;
+        cancel.onclick = typeof onCancel === "function" ? () => { cancel.disabled = true; onCancel(); } : null;
+      }
     } catch {}
   }
   function overlayHide() {
@@ -748,7 +1190,7 @@
 
   function refreshSortTitles() {
     try {
-      const labels = { path: 'Path', bytes: 'Size', mtime: 'Modified', category: 'Category' };
+      const labels = { path: 'Path', bytes: 'On Disk', apparentBytes: 'Apparent', mtime: 'Modified', category: 'Category', kind: 'Type' };
       const ths = document.querySelectorAll("thead th[data-sort]");
       for (const th of ths) {
         const key = th.getAttribute('data-sort');
@@ -772,6 +1214,10 @@
       if (el.clearSelBtn) {
         el.clearSelBtn.textContent = sel > 0 ? `Clear Selection (${sel})` : "Clear Selection";
       }
+      if (el.selectStaleBtn && !el.selectStaleBtn.hidden) {
+        const stale = staleProjectItems().length;
+        el.selectStaleBtn.textContent = stale > 0 ? `Select Stale Projects (${stale})` : "Select Stale Projects";
+      }
     } catch {}
   }
 // Compute totals by category for currently visible items (state.sorted)
@@ -794,6 +1240,12 @@ function computeVisibleCategoryTotals() {
   }
 }
 
+// Chart palette (category distribution and trends)
+const CHART_COLORS = [
+  '#62a0ff','#7bd389','#ffcf40','#ff6b6b','#a78bfa','#f472b6','#34d399',
+  '#f59e0b','#60a5fa','#22d3ee','#fb7185','#84cc16','#eab308'
+];
+
 // Create or update the Category Distribution chart (uses Chart.js if present)
 // This reflects the currently visible (filtered + sorted + topN) items.
 function updateCategoryChart() {
@@ -823,11 +1275,7 @@ function updateCategoryChart() {
     }
 
     // Build colors deterministically based on index
-    const baseColors = [
-      '#62a0ff','#7bd389','#ffcf40','#ff6b6b','#a78bfa','#f472b6','#34d399',
-      '#f59e0b','#60a5fa','#22d3ee','#fb7185','#84cc16','#eab308'
-    ];
-    const bgColors = labels.map((_, i) => baseColors[i % baseColors.length]);
+    const bgColors = labels.map((_, i) => CHART_COLORS[i % CHART_COLORS.length]);
 
     // Create or update chart
     if (!state.catChart) {
@@ -891,6 +1339,7 @@ function updateCategoryChart() {
 
   // Init
   wireEvents();
+  initCategoryChipsFromData([...state.categoriesEnabled]);
 
   // Expose key objects/functions for server integration outside the IIFE
   try {
@@ -903,8 +1352,18 @@ function updateCategoryChart() {
       updateSelectedSummary,
       normalizeItems,
       initCategoryChipsFromData,
+      setCategoryDefinitions,
       updateHeader,
       getApplyMode,
+      humanizeBytes,
+      escapeHtml,
+      chartColors: CHART_COLORS,
+      setCompareReport,
+      refreshCompare,
+      setDiskInfo,
+      setLastApplyDisk,
+      formatMtime,
+      toast,
       overlayShow,
       overlayHide,
       refreshSortIndicators,
@@ -995,11 +1454,32 @@ async function autoLoadReport() {
       getApplyMode
     } = DC;
 
+    // Per-launch API token the server injects into index.html (required on /api/* except ping)
+    const API_TOKEN = document.querySelector('meta[name="dc-api-token"]')?.getAttribute('content') || '';
+
+    function apiFetch(pathAndQuery, opts = {}) {
+      const headers = Object.assign({}, opts.headers, { 'X-Disk-Cleaner-Token': API_TOKEN });
+      return fetch(`${STATE.backendBase}${pathAndQuery}`, Object.assign({}, opts, { headers }));
+    }
+
+    // EventSource cannot send headers: pass the token as a query parameter
+    function withToken(u) {
+      return `${u}${u.includes('?') ? '&' : '?'}token=${encodeURIComponent(API_TOKEN)}`;
+    }
+
+    // First candidate that answers and accepts our token; a server that answers but rejects the token is
+    // reported as locked (page not opened from the server's own URL)
     async function pingBackend(candidates) {
       for (const base of candidates) {
         try {
-          const r = await fetch(base + '/api/ping', { method: 'GET', cache: 'no-store' });
-          if (r.ok) return base;
+          const r = await fetch(base + '/api/ping', { method: 'GET', cache: 'no-store', headers: { 'X-Disk-Cleaner-Token': API_TOKEN } });
+          if (!r.ok) continue;
+          const data = await r.json().catch(() => ({}));
+          if (data.authorized === false) {
+            STATE.backendLocked = true;
+            continue;
+          }
+          return base;
         } catch {}
       }
       return null;
@@ -1015,10 +1495,17 @@ async function autoLoadReport() {
         }
       }
       const include = cats.length ? cats.join(',') : undefined;
-      return { minSize: minBytes, olderThan: olderDays, include };
+      const rollup = !!EL.rollupCheck?.checked;
+      const rollupDepth = Math.max(1, Math.min(6, Number(EL.rollupDepth?.value || 1) || 1));
+      return { minSize: minBytes, olderThan: olderDays, include, rollup, rollupDepth };
     }
 
     function updateBackendStatusBadge() {
+      const largestBtn = document.getElementById('largestRunBtn');
+      if (largestBtn) {
+        largestBtn.disabled = !STATE.backendOnline || !!largest.scanId;
+        largestBtn.title = STATE.backendOnline ? 'Walk the whole home folder and keep the biggest files and folders' : 'Needs the backend';
+      }
       if (!EL.backendStatus) return;
       if (STATE.backendOnline) {
         EL.backendStatus.textContent = 'backend: online';
@@ -1026,10 +1513,15 @@ async function autoLoadReport() {
         EL.backendStatus.style.color = '#9fd6ff';
         if (EL.scanServerBtn) EL.scanServerBtn.title = 'Run a scan via backend server (online)';
       } else {
-        EL.backendStatus.textContent = 'backend: offline';
+        EL.backendStatus.textContent = STATE.backendLocked ? 'backend: locked' : 'backend: offline';
         EL.backendStatus.style.background = '#3a1e28';
         EL.backendStatus.style.color = '#ffc1c1';
-        if (EL.scanServerBtn) EL.scanServerBtn.title = 'Backend offline. Start: node server.js (http://localhost:8765)';
+        if (EL.scanServerBtn) {
+          EL.scanServerBtn.title = STATE.backendLocked
+            ? 'Backend rejected this page (no API token). Open the UI from the URL printed by node server.js'
+            : 'Backend offline. Start: node server.js (http://localhost:8765)';
+        }
+        EL.backendStatus.title = EL.scanServerBtn ? EL.scanServerBtn.title : '';
       }
     }
 
@@ -1040,6 +1532,84 @@ async function autoLoadReport() {
       EL.applyServerBtn.title = n > 0 ? `Apply ${n} selected item(s) via backend` : 'Select rows to enable apply';
     }
 
+    // Background jobs: the running scan/apply job id is kept in localStorage so a reload
+    // reattaches to it (or picks up its finished result) instead of starting over.
+    const ACTIVE_JOB_KEY = 'dc.activeJob';
+    function rememberJob(job) {
+      try { localStorage.setItem(ACTIVE_JOB_KEY, JSON.stringify({ id: job.id, type: job.type })); } catch {}
+    }
+    function forgetJob() {
+      try { localStorage.removeItem(ACTIVE_JOB_KEY); } catch {}
+    }
+    function storedJob() {
+      try { return JSON.parse(localStorage.getItem(ACTIVE_JOB_KEY) || 'null'); } catch { return null; }
+    }
+
+    // POST /api/jobs. Rejects with { unavailable: true } when the server has no job API.
+    async function startJob(body) {
+      const r = await apiFetch(`/api/jobs`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(body)
+      });
+      if (r.status === 404) {
+        const err = new Error('job API not available');
+        err.unavailable = true;
+        throw err;
+      }
+      if (!r.ok) throw new Error(`job http ${r.status}`);
+      const data = await r.json();
+      rememberJob(data.job);
+      return data.job;
+    }
+
+    // Follow a job until it finishes: SSE when possible, polling GET /api/jobs/:id otherwise (also when
+    // the stream drops mid-job). handlers: { onProgress(p), onItems(items) }. Resolves with the job result.
+    // The remembered job is forgotten only once the server reports it finished; a job we lost track of
+    // stays remembered so a reload reattaches to it.
+    async function followJob(jobId, handlers) {
+      let received = 0;
+      const counted = {
+        ...handlers,
+        onItems(items) {
+          received += items.length;
+          if (handlers.onItems) handlers.onItems(items);
+        }
+      };
+      try {
+        let result;
+        try {
+          result = await consumeEvents(`${STATE.backendBase}/api/jobs/${encodeURIComponent(jobId)}/events`, counted);
+        } catch (e) {
+          if (e && e.finished) throw e;
+          result = await pollJob(jobId, counted, received);
+        }
+        forgetJob();
+        return result;
+      } catch (e) {
+        if (e && e.finished) forgetJob();
+        throw e;
+      }
+    }
+
+    async function pollJob(jobId, handlers, since = 0) {
+      for (;;) {
+        const r = await apiFetch(`/api/jobs/${encodeURIComponent(jobId)}?since=${since}`, { cache: 'no-store' });
+        if (!r.ok) throw new Error(`job http ${r.status}`);
+        const job = await r.json();
+        if (Array.isArray(job.items) && job.items.length && handlers.onItems) handlers.onItems(job.items);
+        if (typeof job.itemsTotal === 'number') since = job.itemsTotal;
+        if (job.progress && handlers.onProgress) handlers.onProgress(job.progress);
+        if (job.status === 'failed') {
+          const err = new Error(job.error || 'job failed');
+          err.finished = true;
+          throw err;
+        }
+        if (job.status !== 'running') return job.result;
+        await new Promise(resolve => setTimeout(resolve, 1000));
+      }
+    }
+
     async function doServerScan(auto = false) {
       if (!STATE.backendOnline || !STATE.backendBase) {
         await detectBackendAndMaybeAutoScan();
@@ -1054,6 +1624,12 @@ async function autoLoadReport() {
       if (p.olderThan) qs.set('olderThan', String(p.olderThan));
       if (p.include) qs.set('include', p.include);
       if (p.include && p.include.split(',').includes('downloads')) qs.set('downloads', '1');
+      if (EL.refreshCheck?.checked) qs.set('refresh', '1');
+      if (EL.wholeStoresCheck?.checked) qs.set('wholeStores', '1');
+      if (p.rollup) {
+        qs.set('rollup', '1');
+        qs.set('rollupDepth', String(p.rollupDepth));
+      }
 
       // Confirm for potentially heavy 'full' scans when not auto
       if (!auto && p.include && p.include.split(',').includes('full')) {
@@ -1061,70 +1637,1110 @@ async function autoLoadReport() {
         if (!proceed) { return; }
       }
 
+      await runServerScan(auto, async (handlers) => {
+        let job;
+        try {
+          job = await startJob({ type: 'scan', params: Object.fromEntries(qs) });
+        } catch (e) {
+          if (!e || !e.unavailable) throw e;
+          // Older server without /api/jobs: stream the scan directly
+          const scanId = `ui-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+          qs.set('scanId', scanId);
+          STATE.activeScanId = scanId;
+          return streamScan(qs, handlers);
+        }
+        STATE.activeJobId = job.id;
+        return followJob(job.id, handlers);
+      });
+    }
+
+    // Reattach to a scan job started before a page reload
+    function resumeServerScan(jobId) {
+      STATE.activeJobId = jobId;
+      return runServerScan(true, (handlers) => followJob(jobId, handlers));
+    }
+
+    // Shared scan flow: clear the table, show progress, let `start` produce the final report
+    // (streamed items are appended as they arrive), then render it.
+    async function runServerScan(auto, start) {
       try {
-        try { if (window.DC && window.DC.overlayShow) window.DC.overlayShow('Scanning…'); } catch {}
-        const r = await fetch(`${STATE.backendBase}/api/scan?${qs.toString()}`, { method: 'GET', cache: 'no-store' });
-        if (!r.ok) throw new Error(`scan http ${r.status}`);
-        const data = await r.json();
+        if (EL.scanServerBtn) EL.scanServerBtn.disabled = true;
+        // Start from an empty table; streamed items are appended as they arrive
+        STATE.report = null;
+        STATE.items = [];
+        STATE.selectedPaths.clear();
+        applyFilters();
+        doSort();
+        renderTable();
+        scanProgressShow();
+
+        let renderTimer = null;
+        const handlers = {
+          onProgress: scanProgressUpdate,
+          onItems(items) {
+            STATE.items.push(...normalizeItems(items));
+            if (renderTimer) return;
+            renderTimer = setTimeout(() => {
+              renderTimer = null;
+              applyFilters();
+              doSort();
+              renderTable();
+            }, 300);
+          }
+        };
+
+        let data;
+        try {
+          data = await start(handlers);
+        } catch (e) {
+          if (!e || !e.unavailable) throw e;
+          // Streaming endpoint not reachable (older server): fall back to the blocking scan
+          scanProgressHide();
+          try { if (window.DC && window.DC.overlayShow) window.DC.overlayShow('Scanning…', cancelServerScan); } catch {}
+          const qs = new URLSearchParams(e.query || '');
+          const r = await apiFetch(`/api/scan?${qs.toString()}`, { method: 'GET', cache: 'no-store' });
+          if (!r.ok) throw new Error(`scan http ${r.status}`);
+          data = await r.json();
+        } finally {
+          if (renderTimer) clearTimeout(renderTimer);
+        }
 
         STATE.report = data;
         STATE.items = normalizeItems(data.items || []);
-        STATE.selectedPaths.clear();
+        // Keep rows the user already selected while results were streaming in
+        const present = new Set(STATE.items.map(it => it.path));
+        for (const p of [...STATE.selectedPaths]) if (!present.has(p)) STATE.selectedPaths.delete(p);
 
         initCategoryChipsFromData(data.categories || []);
         updateHeader(data);
+        renderProtectionSkipped(data.protection);
+        loadTrends();
+        loadDisk();
+        loadStoredReports();
+        DC.refreshCompare();
 
         applyFilters();
         doSort();
         renderTable();
         refreshApplyBtn();
-        if (!auto) {
+        if (data.cancelled) {
+          try { DC.toast(`Scan cancelled — showing ${STATE.items.length} partial result(s)`); } catch {}
+        } else if (!auto) {
           try { const t = (window.toast || (()=>{})); t('Scan complete'); } catch {}
         }
       } catch (e) {
         console.warn('Scan failed', e);
         if (!auto) alert('Scan failed. Check server log. Ensure: node server.js');
       } finally {
+        STATE.activeJobId = null;
+        STATE.activeScanId = null;
+        if (EL.scanServerBtn) EL.scanServerBtn.disabled = false;
+        scanProgressHide();
         try { if (window.DC && window.DC.overlayHide) window.DC.overlayHide(); } catch {}
       }
     }
 
+    // Ask the server to stop the running scan/apply job; it then finishes with the partial results
+    async function cancelServerScan() {
+      const jobId = STATE.activeJobId;
+      const scanId = STATE.activeScanId;
+      if (!jobId && !scanId) return;
+      const btn = document.getElementById('scanCancelBtn');
+      if (btn) btn.disabled = true;
+      const msg = document.getElementById('scanProgressMsg');
+      if (msg) msg.textContent = 'Cancelling…';
+      const endpoint = jobId
+        ? `/api/jobs/${encodeURIComponent(jobId)}/cancel`
+        : `/api/scan/${encodeURIComponent(scanId)}/cancel`;
+      try {
+        await apiFetch(`${endpoint}`, { method: 'POST' });
+      } catch (e) {
+        console.warn('Cancel failed', e);
+      }
+    }
+
+    // Live progress panel for streamed scans
+    function scanProgressShow() {
+      const box = document.getElementById('scanProgress');
+      if (!box) return;
+      box.classList.remove('hidden');
+      const btn = document.getElementById('scanCancelBtn');
+      if (btn) btn.disabled = false;
+      scanProgressUpdate({ category: null, root: null, dirs: 0, count: 0, bytes: 0 });
+    }
+    function scanProgressHide() {
+      const box = document.getElementById('scanProgress');
+      if (box) box.classList.add('hidden');
+    }
+    function scanProgressUpdate(p) {
+      const msg = document.getElementById('scanProgressMsg');
+      const stats = document.getElementById('scanProgressStats');
+      const human = DC.humanizeBytes || ((b) => `${b} B`);
+      if (msg) {
+        msg.textContent = p.category ? `Scanning ${p.category}: ${p.root || ''}` : 'Scanning…';
+        msg.title = p.root || '';
+      }
+      if (stats) {
+        const roots = Number(p.rootsStarted) ? ` · ${Number(p.rootsDone) || 0}/${Number(p.rootsStarted)} roots done` : '';
+        stats.textContent = `${Number(p.dirs) || 0} folders · ${Number(p.count) || 0} items · ${human(Number(p.bytes) || 0)}${roots}`;
+      }
+    }
+
+    // Consume /api/scan/stream (servers without the job API). Rejects with
+    // { unavailable: true, query } so the caller can fall back to /api/scan.
+    async function streamScan(qs, handlers) {
+      try {
+        return await consumeEvents(`${STATE.backendBase}/api/scan/stream?${qs.toString()}`, handlers);
+      } catch (e) {
+        if (e && e.unavailable) e.query = qs.toString();
+        throw e;
+      }
+    }
+
+    // Read a progress/items/done/failed event stream. Resolves with the `done` payload.
+    // Rejects with { unavailable: true } when the stream could not be opened at all.
+    function consumeEvents(streamUrl, handlers) {
+      return new Promise((resolve, reject) => {
+        if (typeof window.EventSource === 'undefined') {
+          const err = new Error('EventSource not supported');
+          err.unavailable = true;
+          return reject(err);
+        }
+        const es = new EventSource(withToken(streamUrl));
+        let received = false;
+
+        es.addEventListener('progress', (ev) => {
+          received = true;
+          try { if (handlers.onProgress) handlers.onProgress(JSON.parse(ev.data)); } catch {}
+        });
+        es.addEventListener('items', (ev) => {
+          received = true;
+          try {
+            const d = JSON.parse(ev.data);
+            if (handlers.onItems) handlers.onItems(d.items || []);
+          } catch {}
+        });
+        es.addEventListener('done', (ev) => {
+          es.close();
+          try { resolve(JSON.parse(ev.data)); } catch (e) { reject(e); }
+        });
+        es.addEventListener('failed', (ev) => {
+          es.close();
+          let msg = 'job failed';
+          try { msg = JSON.parse(ev.data).error || msg; } catch {}
+          const err = new Error(msg);
+          err.finished = true; // terminal: the server ended the scan or job
+          reject(err);
+        });
+        es.onerror = () => {
+          es.close();
+          const err = new Error(received ? 'event stream interrupted' : 'event stream unavailable');
+          err.unavailable = !received;
+          reject(err);
+        };
+      });
+    }
+
     async function doServerApply() {
       if (!STATE.backendOnline || !STATE.backendBase) {
         alert('Backend is offline. Start it with: node server.js');
         return;
       }
       const dry = !!EL.dryRunCheck?.checked;
+      const allowChanged = !!EL.allowChangedCheck?.checked;
       const mode = getApplyMode(); // 'trash' | 'delete'
+      // Echo the scan's fingerprints so the server skips items that changed since (changed_since_scan)
+      // Native items name their tool action instead (the server runs npm/brew/pnpm/pip/docker)
       const items = [];
+      const tools = new Set();
+      let wholeStores = 0;
       for (const it of STATE.items) {
-        if (STATE.selectedPaths.has(it.path)) items.push({ path: it.path, category: it.category });
+        if (!STATE.selectedPaths.has(it.path)) continue;
+        if (it.type === 'native') {
+          items.push({ path: it.path, category: it.category, action: it.action, pruneDays: it.pruneDays, wholeStore: it.wholeStore });
+          tools.add(it.tool);
+          if (it.wholeStore) wholeStores++;
+        } else {
+          items.push(it.fingerprint ? { path: it.path, category: it.category, fingerprint: it.fingerprint } : { path: it.path, category: it.category });
+        }
       }
       if (!items.length) { alert('No items selected.'); return; }
+      if (mode === 'delete' && !dry) {
+        if (!window.confirm('Permanently delete selected items? This cannot be undone. Continue?')) { return; }
+      }
+      if (tools.size && !dry) {
+        if (!window.confirm(`The selection runs ${[...tools].join(', ')} to clean their stores. Tool cleanups are not moved to Trash and cannot be undone.${wholeStores ? ` ${wholeStores} of them remove everything in the store regardless of age.` : ''} Continue?`)) { return; }
+      }
 
-      try {
-        if (mode === 'delete' && !dry) {
-          if (!window.confirm('Permanently delete selected items? This cannot be undone. Continue?')) { return; }
+      await runServerApply(dry, async (onProgress) => {
+        let job;
+        try {
+          job = await startJob({ type: 'apply', dryRun: dry, mode, allowChanged, plan: { items } });
+        } catch (e) {
+          if (!e || !e.unavailable) throw e;
+          // Older server without /api/jobs: blocking apply
+          const r = await apiFetch(`/api/apply?dryRun=${dry ? '1' : '0'}&mode=${encodeURIComponent(mode)}&allowChanged=${allowChanged ? '1' : '0'}`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ items })
+          });
+          if (!r.ok) throw new Error(`apply http ${r.status}`);
+          return r.json();
         }
-        try { if (window.DC && window.DC.overlayShow) window.DC.overlayShow(dry ? 'Simulating (dry run)…' : 'Applying…'); } catch {}
-        const r = await fetch(`${STATE.backendBase}/api/apply?dryRun=${dry ? '1' : '0'}&mode=${encodeURIComponent(mode)}`, {
-          method: 'POST',
-          headers: { 'Content-Type': 'application/json' },
-          body: JSON.stringify({ items })
-        });
-        if (!r.ok) throw new Error(`apply http ${r.status}`);
-        const resp = await r.json();
+        STATE.activeJobId = job.id;
+        return followJob(job.id, { onProgress });
+      });
+    }
+
+    // Reattach to an apply job started before a page reload
+    function resumeServerApply(job) {
+      STATE.activeJobId = job.id;
+      return runServerApply(!!(job.params && job.params.dryRun), (onProgress) => followJob(job.id, { onProgress }));
+    }
+
+    async function runServerApply(dry, start) {
+      const label = dry ? 'Simulating (dry run)…' : 'Applying…';
+      try {
+        try { if (window.DC && window.DC.overlayShow) window.DC.overlayShow(label, cancelServerScan); } catch {}
+        const onProgress = (p) => {
+          const msg = document.querySelector('#loadingOverlay .msg');
+          if (!msg || !p || !p.total) return;
+          const c = p.copying;
+          msg.textContent = c
+            ? `${label} ${p.done}/${p.total} · copying ${c.path.split('/').pop()} from another volume (${DC.humanizeBytes(c.copied)} of ${DC.humanizeBytes(c.total)})`
+            : `${label} ${p.done}/${p.total}`;
+        };
+        const resp = await start(onProgress);
         const summary = resp?.summary;
         if (summary) {
-          alert(`${dry ? '[DRY RUN]\n' : ''}Applied ${summary.count} items, total ${summary.human || (summary.bytes + ' B')} (mode: ${summary.mode})`);
+          const cancelled = summary.cancelled ? '\n(cancelled before all items were processed)' : '';
+          const skipped = (resp.details || []).filter(d => d.status === 'skipped' && d.rule);
+          const protectedNote = skipped.length
+            ? `\n${skipped.length} skipped as protected:\n${skipped.slice(0, 10).map(d => `  ${d.path} (${d.rule})`).join('\n')}`
+            : '';
+          const toolRuns = (resp.details || []).filter(d => d.action && d.tool);
+          const toolNote = toolRuns.length
+            ? `\nTool cleanups:\n${toolRuns.map(d => {
+              const failedCmd = (d.commands || []).find(c => c.exitCode !== 0);
+              if (d.status === 'dry') return `  would run: ${d.wouldRun} (about ${DC.humanizeBytes(d.bytesBefore || 0)})`;
+              if (d.status === 'failed') return `  ${d.path}: failed${failedCmd ? ` (${failedCmd.command}: ${failedCmd.error || `exit ${failedCmd.exitCode}`})` : ''}`;
+              return `  ${d.path}: freed ${DC.humanizeBytes(d.bytes || 0)} (${DC.humanizeBytes(d.bytesBefore || 0)} → ${DC.humanizeBytes(d.bytesAfter || 0)})`;
+            }).join('\n')}\nTool output is in the Audit Log.`
+            : '';
+          const changed = (resp.details || []).filter(d => d.status === 'changed_since_scan');
+          const changedNote = changed.length
+            ? `\n${changed.length} skipped as changed since the scan (rescan, or check "Apply Changed Items"):\n${changed.slice(0, 10).map(d => `  ${d.path} (${d.reason})`).join('\n')}`
+            : '';
+          const moved = (resp.details || []).filter(d => d.strategy === 'volume' || d.strategy === 'copy');
+          const volumeNote = moved.length
+            ? `\nFrom other volumes:\n${moved.slice(0, 10).map(d => `  ${d.path} → ${d.dest}${d.status === 'partial' ? ' (copied, but the original could not be removed)' : d.strategy === 'copy' ? ' (copied, original removed)' : ''}`).join('\n')}`
+            : '';
+          const diskNote = summary.disk
+            ? `\nFree space measured: ${summary.disk.freed < 0 ? '−' : '+'}${DC.humanizeBytes(Math.abs(summary.disk.freed))}${summary.mode === 'trash' ? ' (Trash moves free space once the Trash is emptied)' : ''}`
+            : '';
+          alert(`${dry ? '[DRY RUN]\n' : ''}Applied ${summary.count} items, total ${summary.human || (summary.bytes + ' B')} (mode: ${summary.mode})${diskNote}${cancelled}${protectedNote}${changedNote}${volumeNote}${toolNote}`);
+          if (!dry && summary.mode === 'trash') loadHistory();
+          if (!dry) loadTrends();
+          if (!dry) {
+            DC.setLastApplyDisk(summary.disk, summary.mode);
+            loadDisk();
+          }
+          loadAudit();
         } else {
           alert('Apply finished.');
         }
       } catch (e) {
         console.warn('Apply failed', e);
         alert('Apply failed. See console for details.');
+      } finally {
+        STATE.activeJobId = null;
+        try { if (window.DC && window.DC.overlayHide) window.DC.overlayHide(); } catch {}
+      }
+    }
+
+    // After a reload: reattach to the remembered job if it is still running, or show its
+    // finished result. Returns false when there is nothing to resume.
+    async function resumeStoredJob() {
+      const stored = storedJob();
+      if (!stored || !stored.id) return false;
+      let job = null;
+      try {
+        const r = await apiFetch(`/api/jobs/${encodeURIComponent(stored.id)}`, { cache: 'no-store' });
+        if (r.ok) job = await r.json();
+      } catch {}
+      if (!job) { forgetJob(); return false; }
+      if (job.type === 'apply') {
+        resumeServerApply(job);
+        return true;
+      }
+      await resumeServerScan(job.id);
+      return true;
+    }
+
+    // Category chips come from the server's rules (built-ins + user rules file)
+    async function loadCategories() {
+      try {
+        const r = await apiFetch(`/api/categories`, { cache: 'no-store' });
+        if (!r.ok) throw new Error(`categories http ${r.status}`);
+        const data = await r.json();
+        if (Array.isArray(data.categories) && data.categories.length) {
+          DC.setCategoryDefinitions(data.categories);
+          renderPolicyCategories(data.categories);
+        }
+      } catch (e) {
+        console.warn('Categories load failed', e);
+      }
+    }
+
+    // Protected paths settings (GET/PUT /api/protection)
+    let protectionDefaults = null;
+    const linesOf = (ta) => (ta ? ta.value.split('\n').map(l => l.trim()).filter(Boolean) : []);
+
+    function protectionStatus(text) {
+      const st = document.getElementById('protectionStatus');
+      if (st) st.textContent = text;
+    }
+
+    function fillProtection(cfg) {
+      const deny = document.getElementById('protectionDeny');
+      const allow = document.getElementById('protectionAllow');
+      if (deny) deny.value = (cfg.deny || []).join('\n');
+      if (allow) allow.value = (cfg.allow || []).join('\n');
+    }
+
+    async function loadProtection() {
+      try {
+        const r = await apiFetch(`/api/protection`, { cache: 'no-store' });
+        if (!r.ok) throw new Error(`protection http ${r.status}`);
+        const data = await r.json();
+        protectionDefaults = data.defaults || null;
+        fillProtection(data);
+        for (const id of ['protectionSaveBtn', 'protectionResetBtn', 'protectionCheckBtn']) {
+          const btn = document.getElementById(id);
+          if (btn) btn.disabled = false;
+        }
+        protectionStatus(data.file ? `Saved in ${data.file}` : '');
+      } catch (e) {
+        console.warn('Protection load failed', e);
+      }
+    }
+
+    async function saveProtection() {
+      const body = {
+        deny: linesOf(document.getElementById('protectionDeny')),
+        allow: linesOf(document.getElementById('protectionAllow'))
+      };
+      try {
+        const r = await apiFetch(`/api/protection`, {
+          method: 'PUT',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        const data = await r.json().catch(() => ({}));
+        if (!r.ok) throw new Error(data.error || `protection http ${r.status}`);
+        fillProtection(data);
+        protectionStatus('Saved. Applies to the next scan and apply.');
+      } catch (e) {
+        console.warn('Protection save failed', e);
+        protectionStatus(String(e.message || e));
+      }
+    }
+
+    async function checkProtection() {
+      const input = document.getElementById('protectionCheckPath');
+      const out = document.getElementById('protectionCheckResult');
+      const p = input ? input.value.trim() : '';
+      if (!p || !out) return;
+      try {
+        const r = await apiFetch(`/api/protection?path=${encodeURIComponent(p)}`, { cache: 'no-store' });
+        if (!r.ok) throw new Error(`protection http ${r.status}`);
+        const c = (await r.json()).check || {};
+        if (!c.homeScoped) out.textContent = `${c.path}: outside the home folder (never scanned)`;
+        else if (c.protected) out.textContent = `${c.path}: protected by ${c.rule}`;
+        else if (c.allowedBy) out.textContent = `${c.path}: allowed by ${c.allowedBy} (overrides ${c.rule})`;
+        else if (c.contains) out.textContent = `${c.path}: not protected, but contains protected data (${c.contains}) so it cannot be applied as a whole`;
+        else out.textContent = `${c.path}: not protected`;
+      } catch (e) {
+        console.warn('Protection check failed', e);
+        out.textContent = 'Check failed (see console)';
+      }
+    }
+
+    function renderProtectionSkipped(prot) {
+      const box = document.getElementById('protectionSkipped');
+      if (!box) return;
+      const skipped = (prot && Array.isArray(prot.skipped)) ? prot.skipped : [];
+      if (!skipped.length) {
+        box.innerHTML = '<p class="hint">The last server scan skipped no protected paths.</p>';
+        return;
+      }
+      const esc = DC.escapeHtml;
+      const items = skipped.map(s => `<li>${esc(s.path)} <span class="st">(${esc(s.rule)})</span></li>`).join('');
+      box.innerHTML = `<div class="history-batch">
+          <div class="head"><strong>Skipped by the last scan</strong><span class="hint">${skipped.length}${prot.truncated ? '+' : ''} protected path(s)</span></div>
+          <ul>${items}</ul>
+        </div>`;
+    }
+
+    // Cleanup policies (GET/POST /api/policies, PUT/DELETE /api/policies/:id, POST .../run, GET .../runs)
+    const policyRunsShown = new Set(); // policy ids whose recent runs are expanded
+    let policyPollTimer = null;
+    let policiesBusy = false;
+
+    function policyStatus(text) {
+      const st = document.getElementById('policyStatus');
+      if (st) st.textContent = text;
+    }
+
+    // Category checkboxes for new policies (duplicates cannot be scheduled)
+    function renderPolicyCategories(defs) {
+      const box = document.getElementById('policyCategories');
+      if (!box) return;
+      const esc = DC.escapeHtml;
+      box.innerHTML = defs.filter(d => d.kind !== 'duplicates').map(d => {
+        const title = d.description ? ` title="${esc(d.description)}"` : '';
+        return `<label${title}><input type="checkbox" value="${esc(d.id)}" /> ${esc(d.label || d.id)}</label>`;
+      }).join('');
+    }
+
+    async function policyRequest(pathAndQuery, method = 'GET', body) {
+      const opts = { method, cache: 'no-store' };
+      if (body) {
+        opts.headers = { 'Content-Type': 'application/json' };
+        opts.body = JSON.stringify(body);
+      }
+      const r = await apiFetch(pathAndQuery, opts);
+      const data = await r.json().catch(() => ({}));
+      if (!r.ok) throw new Error(data.error || `policies http ${r.status}`);
+      return data;
+    }
+
+    async function loadPolicies() {
+      if (!STATE.backendOnline || !STATE.backendBase) return;
+      clearTimeout(policyPollTimer);
+      try {
+        const data = await policyRequest(`/api/policies`);
+        const list = Array.isArray(data.policies) ? data.policies : [];
+        const btn = document.getElementById('policyCreateBtn');
+        if (btn) btn.disabled = false;
+        await renderPolicies(list);
+        // Poll while runs are queued/running; a finished run may have added a Trash batch
+        const busy = list.some(p => p.state !== 'idle');
+        if (policiesBusy && !busy) {
+          loadHistory();
+          loadTrends();
+          loadAudit();
+        }
+        policiesBusy = busy;
+        if (busy) policyPollTimer = setTimeout(loadPolicies, 2000);
+      } catch (e) {
+        console.warn('Policies load failed', e);
+      }
+    }
+
+    function describePolicyRun(run) {
+      if (run.status === 'failed') return `failed: ${run.error}`;
+      const s = run.summary || {};
+      let text = `${run.dryRun ? 'would ' : ''}${run.mode === 'delete' ? 'delete' : 'trash'} ${s.count || 0} item(s), ${s.human || '0 B'}`;
+      if (run.capped) text += ' (max per run reached)';
+      if (run.dryRunFirst) {
+        const held = Object.entries(run.dryRunFirst.statuses || {}).filter(([st]) => st !== 'dry');
+        if (held.length) text += ` · dry run held back ${held.map(([st, n]) => `${n} ${st}`).join(', ')}`;
+      }
+      const problems = Object.entries(run.statuses || {}).filter(([st]) => !['dry', 'trashed', 'deleted'].includes(st));
+      if (problems.length) text += ` · ${problems.map(([st, n]) => `${n} ${st}`).join(', ')}`;
+      return text;
+    }
+
+    function policyHtml(p, runs) {
+      const esc = DC.escapeHtml;
+      const human = DC.humanizeBytes;
+      const when = (iso) => (iso ? new Date(iso).toLocaleString() : '—');
+      const id = esc(p.id);
+      const filters = [
+        p.minSize !== null ? `≥ ${human(p.minSize)}` : 'default size',
+        p.olderThan !== null ? `older than ${p.olderThan} days` : 'default age',
+        p.maxBytes ? `max ${human(p.maxBytes)} per run` : 'no per-run limit',
+        ...(p.wholeStores ? ['whole tool stores regardless of age'] : []),
+        `${p.dryRun ? 'dry run, ' : p.dryRunFirst ? 'dry run first, ' : ''}${p.mode === 'delete' ? 'delete permanently' : 'move to Trash'}`
+      ].join(' · ');
+      const state = p.state !== 'idle' ? `${p.state}…` : (p.enabled ? `next ${when(p.nextRunAt)}` : 'disabled');
+      const last = p.lastRun
+        ? `Last run ${when(p.lastRun.finishedAt)} (${p.lastRun.trigger}): ${describePolicyRun(p.lastRun)}`
+        : 'Not run yet';
+      let runList = '';
+      if (runs) {
+        runList = runs.length ? `<ul>${runs.map(r => {
+          const details = (r.details || []).map(d => `<li>${esc(d.path)} <span class="st">(${esc(d.status)}${d.bytes !== undefined ? `, ${human(Number(d.bytes) || 0)}` : ''}${d.reason ? `, ${esc(d.reason)}` : ''})</span></li>`).join('');
+          const more = r.detailsTruncated ? '<li class="st">…</li>' : '';
+          const body = details ? `<details><summary>${(r.details || []).length} item(s)</summary><ul>${details}${more}</ul></details>` : '';
+          return `<li>${esc(when(r.finishedAt))} <span class="st">(${esc(r.trigger)}: ${esc(describePolicyRun(r))})</span>${body}</li>`;
+        }).join('')}</ul>` : '<p class="hint">No finished runs yet.</p>';
+      }
+      const busy = p.state !== 'idle';
+      return `<div class="history-batch${p.enabled ? '' : ' policy-disabled'}">
+          <div class="head">
+            <strong>${esc(p.name)}</strong>
+            <span class="hint">${esc(p.schedule)} · ${esc(p.include.join(', '))} · ${esc(state)}</span>
+            <span class="spacer"></span>
+            <button class="ghost" data-policy="${id}" data-action="run" data-live="${p.dryRun ? '0' : '1'}"${busy ? ' disabled' : ''}>Run Now</button>
+            <button class="ghost" data-policy="${id}" data-action="toggle" data-enabled="${p.enabled ? '1' : '0'}">${p.enabled ? 'Disable' : 'Enable'}</button>
+            <button class="ghost" data-policy="${id}" data-action="runs">${runs ? 'Hide Runs' : 'Runs'}</button>
+            <button class="ghost" data-policy="${id}" data-action="delete"${busy ? ' disabled' : ''}>Delete</button>
+          </div>
+          <p class="policy-meta">${esc(filters)}</p>
+          <p class="policy-meta${p.lastRun && p.lastRun.status === 'failed' ? ' failed' : ''}">${esc(last)}</p>
+          ${runList}
+        </div>`;
+    }
+
+    async function renderPolicies(list) {
+      const box = document.getElementById('policyList');
+      if (!box) return;
+      if (!list.length) {
+        box.innerHTML = '<p class="hint">No cleanup policies yet.</p>';
+        return;
+      }
+      const runsById = new Map();
+      await Promise.all(list.filter(p => policyRunsShown.has(p.id)).map(async (p) => {
+        try {
+          const data = await policyRequest(`/api/policies/${encodeURIComponent(p.id)}/runs?limit=5`);
+          runsById.set(p.id, Array.isArray(data.runs) ? data.runs : []);
+        } catch (e) {
+          console.warn('Policy runs load failed', e);
+          runsById.set(p.id, []);
+        }
+      }));
+      box.innerHTML = list.map(p => policyHtml(p, runsById.get(p.id))).join('');
+    }
+
+    function policyFromForm() {
+      const val = (id) => (document.getElementById(id)?.value || '').trim();
+      const mbToBytes = (v) => (v === '' ? null : Math.round(Number(v) * 1024 * 1024));
+      return {
+        name: val('policyName'),
+        schedule: val('policySchedule'),
+        include: [...document.querySelectorAll('#policyCategories input:checked')].map(i => i.value),
+        minSize: mbToBytes(val('policyMinSize')),
+        olderThan: val('policyOlderThan') === '' ? null : Number(val('policyOlderThan')),
+        maxBytes: mbToBytes(val('policyMaxBytes')),
+        mode: val('policyMode') || 'trash',
+        dryRun: !!document.getElementById('policyDryRun')?.checked,
+        dryRunFirst: !!document.getElementById('policyDryRunFirst')?.checked,
+        wholeStores: !!document.getElementById('policyWholeStores')?.checked
+      };
+    }
+
+    async function createPolicy() {
+      const body = policyFromForm();
+      if (body.mode === 'delete' && !body.dryRun &&
+          !window.confirm(`Policy "${body.name}" will PERMANENTLY delete matching items on every run. Continue?`)) return;
+      try {
+        const data = await policyRequest(`/api/policies`, 'POST', body);
+        const next = data.policy.nextRunAt ? new Date(data.policy.nextRunAt).toLocaleString() : '—';
+        policyStatus(`Added "${data.policy.name}"; next run ${next}.`);
+        for (const id of ['policyName', 'policySchedule']) document.getElementById(id).value = '';
+      } catch (e) {
+        console.warn('Policy create failed', e);
+        policyStatus(String(e.message || e));
+      }
+      loadPolicies();
+    }
+
+    async function onPolicyListClick(e) {
+      const btn = e.target.closest('button[data-policy]');
+      if (!btn) return;
+      const id = btn.getAttribute('data-policy');
+      const action = btn.getAttribute('data-action');
+      const name = btn.closest('.history-batch')?.querySelector('strong')?.textContent || 'this policy';
+      const url = `/api/policies/${encodeURIComponent(id)}`;
+      try {
+        if (action === 'runs') {
+          if (policyRunsShown.has(id)) policyRunsShown.delete(id);
+          else policyRunsShown.add(id);
+        } else if (action === 'toggle') {
+          await policyRequest(url, 'PUT', { enabled: btn.getAttribute('data-enabled') !== '1' });
+        } else if (action === 'run') {
+          if (btn.getAttribute('data-live') === '1' && !window.confirm(`Run "${name}" now? Matching items will be removed (not a dry run).`)) return;
+          await policyRequest(`${url}/run`, 'POST');
+          policyStatus(`"${name}" queued.`);
+        } else if (action === 'delete') {
+          if (!window.confirm(`Delete policy "${name}"? Its past runs stay in the server's run log.`)) return;
+          await policyRequest(url, 'DELETE');
+          policyRunsShown.delete(id);
+        }
+      } catch (err) {
+        console.warn('Policy action failed', err);
+        policyStatus(String(err.message || err));
+      }
+      loadPolicies();
+    }
+
+    // Reclaimable-space trends (GET /api/history/scans): one line per category across server scans,
+    // bars for the bytes each apply reclaimed and a cumulative reclaimed line
+    async function loadTrends() {
+      if (!STATE.backendOnline || !STATE.backendBase) return;
+      try {
+        const r = await apiFetch(`/api/history/scans?limit=200`, { cache: 'no-store' });
+        if (!r.ok) throw new Error(`scan history http ${r.status}`);
+        renderTrends(await r.json());
+      } catch (e) {
+        console.warn('Scan history load failed', e);
+      }
+    }
+
+    function renderTrends(data) {
+      const human = DC.humanizeBytes;
+      const scans = (Array.isArray(data.scans) ? data.scans : []).filter(s => !s.cancelled);
+      const applies = Array.isArray(data.applies) ? data.applies : [];
+      const summary = document.getElementById('trendSummary');
+      if (summary) {
+        const reclaimed = data.reclaimed || { count: 0, bytes: 0 };
+        summary.textContent = scans.length || applies.length
+          ? `${scans.length} scan(s) · reclaimed by applies: ${human(reclaimed.bytes)} in ${reclaimed.count} item(s)`
+          : 'No server scans recorded yet.';
+      }
+      const canvas = document.getElementById('trendChart');
+      if (!canvas || typeof window.Chart === 'undefined') return;
+
+      const events = [...scans.map(s => ({ ts: s.ts, scan: s })), ...applies.map(a => ({ ts: a.ts, apply: a }))]
+        .sort((a, b) => String(a.ts).localeCompare(String(b.ts)));
+      const labels = events.map(e => new Date(e.ts).toLocaleString([], { month: 'short', day: 'numeric', hour: '2-digit', minute: '2-digit' }));
+      const cats = [...new Set(scans.flatMap(s => Object.keys(s.categories || {})))];
+      const colors = DC.chartColors;
+      // Categories a scan did not include stay gaps (spanGaps joins the points around them)
+      const datasets = cats.map((cat, i) => ({
+        type: 'line',
+        label: cat,
+        data: events.map(e => (e.scan && e.scan.categories[cat] ? e.scan.categories[cat].bytes : null)),
+        borderColor: colors[i % colors.length],
+        backgroundColor: colors[i % colors.length],
+        spanGaps: true,
+        tension: 0.2,
+        pointRadius: 2
+      }));
+      let cumulative = 0;
+      datasets.push({
+        type: 'bar',
+        label: 'Reclaimed (apply)',
+        data: events.map(e => (e.apply ? e.apply.bytes : null)),
+        backgroundColor: 'rgba(230, 234, 242, 0.35)'
+      }, {
+        type: 'line',
+        label: 'Reclaimed (total)',
+        data: events.map(e => (cumulative += e.apply ? e.apply.bytes : 0)),
+        borderColor: '#e6eaf2',
+        borderDash: [4, 4],
+        pointRadius: 0
+      });
+
+      if (STATE.trendChart) STATE.trendChart.destroy();
+      if (!events.length) {
+        STATE.trendChart = null;
+        return;
+      }
+      STATE.trendChart = new Chart(canvas.getContext('2d'), {
+        type: 'line',
+        data: { labels, datasets },
+        options: {
+          responsive: true,
+          maintainAspectRatio: true,
+          aspectRatio: 2,
+          scales: {
+            x: { ticks: { color: '#a8b3cf', maxRotation: 0, autoSkip: true } },
+            y: { beginAtZero: true, ticks: { color: '#a8b3cf', callback: (v) => human(v) } }
+          },
+          plugins: {
+            legend: { position: 'right', labels: { color: '#e6eaf2', boxWidth: 12, boxHeight: 12 } },
+            title: { display: true, text: 'Reclaimable Space Over Time', color: '#e6eaf2', font: { weight: '600' } },
+            tooltip: { callbacks: { label: (ctx) => `${ctx.dataset.label}: ${human(ctx.parsed.y || 0)}` } }
+          },
+          layout: { padding: 4 }
+        }
+      });
+    }
+
+    // Compare mode: stored server scans (GET /api/reports) as the second report
+    async function loadStoredReports() {
+      const select = document.getElementById('compareStored');
+      const btn = document.getElementById('compareStoredBtn');
+      if (!select || !STATE.backendOnline || !STATE.backendBase) return;
+      try {
+        const r = await apiFetch(`/api/reports`, { cache: 'no-store' });
+        if (!r.ok) throw new Error(`reports http ${r.status}`);
+        const data = await r.json();
+        const reports = Array.isArray(data.reports) ? data.reports : [];
+        const current = STATE.report && STATE.report.reportId;
+        select.innerHTML = reports.map(rep => {
+          const label = `${new Date(rep.generatedAt).toLocaleString()} · ${(rep.categories || []).join(', ')} · ${DC.humanizeBytes((rep.totals && rep.totals.bytes) || 0)}`;
+          return `<option value="${DC.escapeHtml(rep.reportId)}">${DC.escapeHtml(label)}${rep.reportId === current ? ' (current)' : ''}</option>`;
+        }).join('') || '<option value="">No stored scans</option>';
+        select.disabled = !reports.length;
+        if (btn) btn.disabled = !reports.length;
+      } catch (e) {
+        console.warn('Stored reports load failed', e);
+      }
+    }
+
+    async function compareWithStored() {
+      const select = document.getElementById('compareStored');
+      const id = select && select.value;
+      if (!id) return;
+      try {
+        const r = await apiFetch(`/api/reports/${encodeURIComponent(id)}`, { cache: 'no-store' });
+        const data = await r.json().catch(() => ({}));
+        if (!r.ok) throw new Error(data.error || `report http ${r.status}`);
+        DC.setCompareReport(data, 'stored server scan');
+      } catch (e) {
+        console.warn('Stored report load failed', e);
+        alert(`Could not load the stored scan: ${e.message || e}`);
+      }
+    }
+
+    // Trash history / restore
+    async function loadDisk() {
+      if (!STATE.backendOnline || !STATE.backendBase) return;
+      try {
+        const r = await apiFetch(`/api/disk`, { cache: 'no-store' });
+        if (!r.ok) throw new Error(`disk http ${r.status}`);
+        const data = await r.json();
+        DC.setDiskInfo(data.volumes);
+      } catch (e) {
+        console.warn('Disk info unavailable', e);
+      }
+    }
+
+    async function loadHistory() {
+      if (!STATE.backendOnline || !STATE.backendBase) return;
+      try {
+        const r = await apiFetch(`/api/history`, { cache: 'no-store' });
+        if (!r.ok) throw new Error(`history http ${r.status}`);
+        const data = await r.json();
+        renderHistory(Array.isArray(data.applies) ? data.applies : []);
+      } catch (e) {
+        console.warn('History load failed', e);
+      }
+    }
+
+    function renderHistory(applies) {
+      const human = DC.humanizeBytes;
+      const esc = DC.escapeHtml;
+      if (EL.undoApplyBtn) {
+        const last = applies.find(b => b.restorable > 0);
+        EL.undoApplyBtn.disabled = !last;
+        EL.undoApplyBtn.title = last
+          ? `Restore ${last.restorable} item(s) trashed at ${new Date(last.ts).toLocaleString()}`
+          : 'Nothing to undo (no restorable Trash applies)';
+      }
+      if (!EL.historyList) return;
+      if (!applies.length) {
+        EL.historyList.innerHTML = '<p class="hint">No server applies recorded yet.</p>';
+        return;
+      }
+      EL.historyList.innerHTML = applies.map(b => {
+        const items = b.items.map(it => {
+          const st = it.status === 'restored' ? `restored → ${it.restoredTo}` : (it.status === 'gone' ? 'no longer in Trash' : 'in Trash');
+          return `<li>${esc(it.path)} <span class="st">(${human(Number(it.bytes) || 0)}, ${esc(st)})</span></li>`;
+        }).join('');
+        const btn = b.restorable > 0
+          ? `<button class="ghost" data-restore="${esc(b.applyId)}">Restore ${b.restorable} item(s)</button>`
+          : '<span class="hint">nothing to restore</span>';
+        return `<div class="history-batch">
+          <div class="head">
+            <strong>${esc(new Date(b.ts).toLocaleString())}</strong>
+            <span class="hint">${b.count} item(s) · ${human(Number(b.bytes) || 0)}</span>
+            <span class="spacer"></span>
+            ${btn}
+          </div>
+          <ul>${items}</ul>
+        </div>`;
+      }).join('');
+    }
+
+    // Audit log viewer (GET /api/audit): one page of apply item records, newest first
+    const AUDIT_PAGE_SIZE = 50;
+    const AUDIT_SOURCES = { job: 'UI', api: 'API', cli: 'command line', policy: 'policy' };
+    let auditOffset = 0;
+
+    function auditFilters() {
+      const qs = new URLSearchParams();
+      for (const [param, id] of [['status', 'auditStatus'], ['mode', 'auditMode'], ['dryRun', 'auditDryRun'], ['source', 'auditSource'], ['path', 'auditPath'], ['applyId', 'auditApplyId']]) {
+        const v = (document.getElementById(id)?.value || '').trim();
+        if (v) qs.set(param, v);
+      }
+      return qs;
+    }
+
+    async function loadAudit() {
+      if (!STATE.backendOnline || !STATE.backendBase || !document.getElementById('auditBody')) return;
+      const qs = auditFilters();
+      qs.set('offset', String(auditOffset));
+      qs.set('limit', String(AUDIT_PAGE_SIZE));
+      try {
+        const r = await apiFetch(`/api/audit?${qs.toString()}`, { cache: 'no-store' });
+        if (!r.ok) throw new Error(`audit http ${r.status}`);
+        renderAudit(await r.json());
+      } catch (e) {
+        console.warn('Audit log load failed', e);
+      }
+    }
+
+    function renderAudit(data) {
+      const human = DC.humanizeBytes;
+      const esc = DC.escapeHtml;
+      const entries = Array.isArray(data.entries) ? data.entries : [];
+      const total = Number(data.total) || 0;
+      const info = document.getElementById('auditInfo');
+      if (info) {
+        info.textContent = total
+          ? `${auditOffset + 1}–${auditOffset + entries.length} of ${total} record(s)${data.file ? ` · ${data.file}` : ''}`
+          : 'No matching audit records.';
+      }
+      const prev = document.getElementById('auditPrevBtn');
+      const next = document.getElementById('auditNextBtn');
+      if (prev) prev.disabled = auditOffset === 0;
+      if (next) next.disabled = auditOffset + entries.length >= total;
+      const refresh = document.getElementById('auditRefreshBtn');
+      if (refresh) refresh.disabled = false;
+
+      document.getElementById('auditBody').innerHTML = entries.map(e => {
+        const notes = [];
+        if (e.dest) notes.push(`→ ${esc(e.dest)}${e.strategy === 'volume' ? ' (volume trash)' : e.strategy === 'copy' ? ' (copied from another volume)' : ''}`);
+        if (e.rule) notes.push(`protected by ${esc(e.rule)}`);
+        else if (e.reason) notes.push(esc(e.reason));
+        if (e.changed) notes.push(`applied although ${esc(e.changed)}`);
+        if (e.error) notes.push(esc(e.error));
+        if (e.sha256) notes.push(`<span class="audit-hash" title="SHA-256 before removal">sha256:${esc(e.sha256)}</span>`);
+        if (e.bytesBefore !== undefined && e.bytesAfter !== undefined) notes.push(`${human(e.bytesBefore)} → ${human(e.bytesAfter)}`);
+        if (e.wouldRun) notes.push(`would run: ${esc(e.wouldRun)}`);
+        for (const c of Array.isArray(e.commands) ? e.commands : []) {
+          const out = `${c.stdout || ''}${c.stderr || ''}`.trim();
+          notes.push(`<details><summary>$ ${esc(c.command)} (${c.exitCode === null ? esc(c.error || 'no exit code') : `exit ${c.exitCode}`})</summary><pre class="audit-output">${esc(out || '(no output)')}</pre></details>`);
+        }
+        const status = e.status === 'dry' ? `dry (${e.action || e.mode})` : e.status;
+        return `<tr>
+          <td class="mtime">${esc(new Date(e.ts).toLocaleString())}</td>
+          <td>${esc(AUDIT_SOURCES[e.source] || e.source || '-')}<br><span class="hint">${esc(e.origin || '')}</span></td>
+          <td><span class="diff-status audit-${esc(e.status)}">${esc(status)}</span></td>
+          <td class="path">${esc(e.path)}<br><span class="hint">${esc(e.category || '-')} · ${esc(e.mode)} · ${esc(e.applyId)}</span></td>
+          <td class="bytes">${e.bytes !== undefined ? human(Number(e.bytes) || 0) : '—'}</td>
+          <td class="reason">${notes.join('<br>')}</td>
+        </tr>`;
+      }).join('') || '<tr><td colspan="6" class="reason">No audit records.</td></tr>';
+    }
+
+    // Largest files explorer (GET /api/largest/stream): top files/folders stream in while the walk runs; the
+    // folder tree for browsing arrives with the result. A folder's children are the tree folders and top files
+    // directly inside it; the rest of its size shows as one "smaller items" row.
+    const largest = { result: null, live: null, dir: null, scanId: null };
+
+    const parentDir = (p) => p.slice(0, p.lastIndexOf('/')) || '/';
+
+    function largestView() {
+      const checked = document.querySelector("input[name='largestView']:checked");
+      return checked ? checked.value : 'browse';
+    }
+
+    async function runLargest() {
+      if (!STATE.backendOnline || !STATE.backendBase) {
+        alert('Backend is offline. Start it with: node server.js');
+        return;
+      }
+      const top = Math.max(1, Math.min(1000, Number(document.getElementById('largestTop')?.value) || 50));
+      const scanId = `ui-${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 8)}`;
+      const qs = new URLSearchParams({ top: String(top), scanId });
+      const runBtn = document.getElementById('largestRunBtn');
+      const cancelBtn = document.getElementById('largestCancelBtn');
+      Object.assign(largest, { result: null, live: { dirs: 0, files: 0, bytes: 0 }, dir: null, scanId });
+      if (runBtn) runBtn.disabled = true;
+      if (cancelBtn) cancelBtn.disabled = false;
+      renderLargest();
+      try {
+        try {
+          largest.result = await consumeEvents(`${STATE.backendBase}/api/largest/stream?${qs.toString()}`, {
+            onProgress(p) {
+              largest.live = p;
+              renderLargest();
+            }
+          });
+        } catch (e) {
+          if (!e || !e.unavailable) throw e;
+          const r = await apiFetch(`/api/largest?${qs.toString()}`);
+          if (!r.ok) throw new Error(`largest http ${r.status}`);
+          largest.result = await r.json();
+        }
+        largest.dir = largest.result.root;
+      } catch (e) {
+        console.warn('Explore failed', e);
+        alert(`Explore failed: ${e && e.message ? e.message : e}`);
+      } finally {
+        largest.live = null;
+        largest.scanId = null;
+        if (runBtn) runBtn.disabled = !STATE.backendOnline;
+        if (cancelBtn) cancelBtn.disabled = true;
+        renderLargest();
+      }
+    }
+
+    async function cancelLargest() {
+      if (!largest.scanId) return;
+      const btn = document.getElementById('largestCancelBtn');
+      if (btn) btn.disabled = true;
+      try {
+        await apiFetch(`/api/scan/${encodeURIComponent(largest.scanId)}/cancel`, { method: 'POST' });
+      } catch (e) {
+        console.warn('Cancel failed', e);
+      }
+    }
+
+    function renderLargest() {
+      const body = document.getElementById('largestBody');
+      if (!body) return;
+      const esc = DC.escapeHtml;
+      const human = DC.humanizeBytes;
+      const info = document.getElementById('largestInfo');
+      const crumbs = document.getElementById('largestCrumbs');
+      const res = largest.result;
+      const live = largest.live;
+      const view = largestView();
+      const tree = new Map(((res && res.tree) || []).map(d => [d.path, d]));
+      const files = res ? res.files : (live && live.top ? live.top.files : []);
+      const dirs = res ? res.dirs : (live && live.top ? live.top.dirs : []);
+
+      if (info) {
+        if (live) info.textContent = `Exploring… ${live.dirs} folders · ${live.files} files · ${human(live.bytes || 0)}${live.path ? ` · ${live.path}` : ''}`;
+        else if (res) {
+          const skipped = res.protection && res.protection.skipped.length ? ` · ${res.protection.skipped.length}${res.protection.truncated ? '+' : ''} protected folders skipped` : '';
+          info.textContent = `${res.totals.files} files in ${res.totals.dirs} folders, ${human(res.totals.bytes)} on disk below ${res.root}${res.cancelled ? ' (cancelled: partial results)' : ''}${skipped} · folders under ${human(res.treeMinBytes)} are not browsable`;
+        } else info.textContent = 'Not explored yet.';
+      }
+
+      const row = (it, base, label) => {
+        const share = base > 0 ? Math.min(100, (it.bytes / base) * 100) : 0;
+        const name = it.type === 'dir' && tree.has(it.path)
+          ? `<button type="button" class="largest-dir" data-path="${esc(it.path)}" title="Show the biggest children">${esc(label)}/</button>`
+          : `${esc(label)}${it.type === 'dir' ? '/' : ''}`;
+        const files = it.type === 'dir' ? ` <span class="badge-dir">${(Number(it.files) || 0).toLocaleString()} files</span>` : '';
+        return `<tr>
+          <td class="path">${name}${files}</td>
+          <td class="bytes">${human(it.bytes)}</td>
+          <td class="bytes">${human(it.apparentBytes || 0)}</td>
+          <td>${base > 0 ? `<div class="share-bar" style="width:${share.toFixed(1)}%" title="${share.toFixed(1)}%"></div>` : ''}</td>
+          <td class="mtime">${esc(DC.formatMtime(it.mtime))}</td>
+        </tr>`;
+      };
+
+      if (view !== 'browse') {
+        if (crumbs) crumbs.innerHTML = '';
+        const list = view === 'files' ? files : dirs;
+        const base = res ? res.totals.bytes : 0;
+        body.innerHTML = list.map(it => row(it, base, it.path)).join('') ||
+          `<tr><td colspan="5" class="reason">${live ? 'Nothing found yet.' : 'Explore to list the largest items.'}</td></tr>`;
+        return;
+      }
+
+      const current = res && tree.get(largest.dir);
+      if (!current) {
+        if (crumbs) crumbs.innerHTML = '';
+        body.innerHTML = `<tr><td colspan="5" class="reason">${live ? 'Browsing is available when the walk finishes; see Largest files / folders meanwhile.' : 'Explore to browse folders by size.'}</td></tr>`;
+        return;
+      }
+      if (crumbs) {
+        const parts = [];
+        for (let p = current.path; ; p = parentDir(p)) {
+          parts.unshift(p);
+          if (p === res.root || p === '/' || !tree.has(parentDir(p))) break;
+        }
+        crumbs.innerHTML = parts.map((p, i) => {
+          const label = i === 0 ? p : p.slice(p.lastIndexOf('/') + 1);
+          return i === parts.length - 1 ? `<strong>${esc(label)}</strong>` : `<button type="button" data-path="${esc(p)}">${esc(label)}</button>`;
+        }).join(' / ');
+      }
+      const children = [
+        ...res.tree.filter(d => d.path !== current.path && parentDir(d.path) === current.path),
+        ...res.files.filter(f => parentDir(f.path) === current.path)
+      ].sort((a, b) => b.bytes - a.bytes);
+      const shown = children.reduce((sum, c) => sum + c.bytes, 0);
+      const rest = current.bytes - shown;
+      const rows = children.map(c => row(c, current.bytes, c.path.slice(c.path.lastIndexOf('/') + 1)));
+      if (rest > 0) {
+        rows.push(`<tr class="largest-rest">
+          <td class="path">Smaller items</td>
+          <td class="bytes">${human(rest)}</td>
+          <td class="bytes"></td>
+          <td><div class="share-bar" style="width:${Math.min(100, (rest / (current.bytes || 1)) * 100).toFixed(1)}%"></div></td>
+          <td></td>
+        </tr>`);
+      }
+      body.innerHTML = rows.join('') || '<tr><td colspan="5" class="reason">Empty folder.</td></tr>';
+    }
+
+    function wireLargest() {
+      const runBtn = document.getElementById('largestRunBtn');
+      if (runBtn) runBtn.addEventListener('click', () => runLargest());
+      const cancelBtn = document.getElementById('largestCancelBtn');
+      if (cancelBtn) cancelBtn.addEventListener('click', () => cancelLargest());
+      for (const r of document.querySelectorAll("input[name='largestView']")) r.addEventListener('change', () => renderLargest());
+      // Folder names and breadcrumbs drill into that folder (browse view)
+      const onDrill = (e) => {
+        const btn = e.target.closest('button[data-path]');
+        if (!btn) return;
+        largest.dir = btn.getAttribute('data-path');
+        const browse = document.querySelector("input[name='largestView'][value='browse']");
+        if (browse) browse.checked = true;
+        renderLargest();
+      };
+      for (const id of ['largestBody', 'largestCrumbs']) {
+        const elem = document.getElementById(id);
+        if (elem) elem.addEventListener('click', onDrill);
+      }
+    }
+
+    function wireAudit() {
+      const reload = (offset) => { auditOffset = Math.max(0, offset); loadAudit(); };
+      for (const id of ['auditStatus', 'auditMode', 'auditDryRun', 'auditSource', 'auditPath', 'auditApplyId']) {
+        const input = document.getElementById(id);
+        if (input) input.addEventListener('change', () => reload(0));
+      }
+      const buttons = { auditRefreshBtn: () => reload(0), auditPrevBtn: () => reload(auditOffset - AUDIT_PAGE_SIZE), auditNextBtn: () => reload(auditOffset + AUDIT_PAGE_SIZE) };
+      for (const [id, fn] of Object.entries(buttons)) {
+        const btn = document.getElementById(id);
+        if (btn) btn.addEventListener('click', fn);
+      }
+      const panel = document.getElementById('auditPanel');
+      if (panel) panel.addEventListener('toggle', () => { if (panel.open) loadAudit(); });
+    }
+
+    async function doRestore(body, label) {
+      if (!STATE.backendOnline || !STATE.backendBase) {
+        alert('Backend is offline. Start it with: node server.js');
+        return;
+      }
+      if (!window.confirm(`${label}? Items will be moved from Trash back to their original locations.`)) return;
+      try {
+        try { if (window.DC && window.DC.overlayShow) window.DC.overlayShow('Restoring…'); } catch {}
+        const r = await apiFetch(`/api/restore`, {
+          method: 'POST',
+          headers: { 'Content-Type': 'application/json' },
+          body: JSON.stringify(body)
+        });
+        if (!r.ok) throw new Error(`restore http ${r.status}`);
+        const resp = await r.json();
+        const details = Array.isArray(resp.details) ? resp.details : [];
+        const renamed = details.filter(d => d.status === 'restored' && d.renamed).length;
+        const failed = details.filter(d => d.status === 'error').length;
+        let msg = `Restored ${resp.summary?.count || 0} item(s), total ${resp.summary?.human || '0 B'}`;
+        if (renamed) msg += `\n${renamed} restored under a new name (original path was taken)`;
+        if (failed) msg += `\n${failed} failed (see console)`;
+        if (failed) console.warn('Restore errors', details.filter(d => d.status === 'error'));
+        alert(msg);
+      } catch (e) {
+        console.warn('Restore failed', e);
+        alert('Restore failed. See console for details.');
       } finally {
         try { if (window.DC && window.DC.overlayHide) window.DC.overlayHide(); } catch {}
+        loadHistory();
+        loadDisk();
       }
     }
 
@@ -1136,13 +2752,22 @@ async function autoLoadReport() {
       } catch {}
       candidates.push('http://localhost:8765');
 
+      STATE.backendLocked = false;
       const base = await pingBackend(candidates);
       STATE.backendOnline = !!base;
       STATE.backendBase = base || '';
       updateBackendStatusBadge();
 
       if (STATE.backendOnline) {
-        await doServerScan(true);
+        loadDisk();
+        loadHistory();
+        loadTrends();
+        loadStoredReports();
+        loadAudit();
+        loadProtection();
+        await loadCategories();
+        loadPolicies();
+        if (!(await resumeStoredJob())) await doServerScan(true);
       }
     }
 
@@ -1153,6 +2778,43 @@ async function autoLoadReport() {
       if (EL.applyServerBtn) {
         EL.applyServerBtn.addEventListener('click', () => doServerApply());
       }
+      const scanCancelBtn = document.getElementById('scanCancelBtn');
+      if (scanCancelBtn) {
+        scanCancelBtn.addEventListener('click', () => cancelServerScan());
+      }
+      if (EL.undoApplyBtn) {
+        EL.undoApplyBtn.addEventListener('click', () => doRestore({ last: true }, 'Undo the last Trash apply'));
+      }
+      if (EL.historyList) {
+        EL.historyList.addEventListener('click', (e) => {
+          const btn = e.target.closest('button[data-restore]');
+          if (btn) doRestore({ applyId: btn.getAttribute('data-restore') }, 'Restore this batch');
+        });
+      }
+      const protectionSaveBtn = document.getElementById('protectionSaveBtn');
+      if (protectionSaveBtn) protectionSaveBtn.addEventListener('click', () => saveProtection());
+      const protectionResetBtn = document.getElementById('protectionResetBtn');
+      if (protectionResetBtn) {
+        protectionResetBtn.addEventListener('click', () => {
+          if (!protectionDefaults) return;
+          fillProtection(protectionDefaults);
+          protectionStatus('Defaults loaded; Save to apply.');
+        });
+      }
+      const protectionCheckBtn = document.getElementById('protectionCheckBtn');
+      if (protectionCheckBtn) protectionCheckBtn.addEventListener('click', () => checkProtection());
+      const protectionCheckPath = document.getElementById('protectionCheckPath');
+      if (protectionCheckPath) {
+        protectionCheckPath.addEventListener('keydown', (e) => { if (e.key === 'Enter') checkProtection(); });
+      }
+      const policyCreateBtn = document.getElementById('policyCreateBtn');
+      if (policyCreateBtn) policyCreateBtn.addEventListener('click', () => createPolicy());
+      const policyList = document.getElementById('policyList');
+      if (policyList) policyList.addEventListener('click', (e) => onPolicyListClick(e));
+      wireAudit();
+      wireLargest();
+      const compareStoredBtn = document.getElementById('compareStoredBtn');
+      if (compareStoredBtn) compareStoredBtn.addEventListener('click', () => compareWithStored());
       // Reflect selection changes on apply button
       if (EL.tableBody) {
         EL.tableBody.addEventListener('change', (e) => {
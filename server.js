@@ -1,22 +1,131 @@
 /**
  * Node.js local server for Disk Cleaner UI + auto scan/apply APIs (no external deps).
- * macOS-focused; HOME-scoped; safe defaults; Trash by default.
+ * macOS and Linux (XDG roots, freedesktop Trash); HOME-scoped; safe defaults; Trash by default.
+ * The scan/apply engine lives in scanner.js (createScanner); this file is its HTTP API and CLI.
+ *
+ * Security: binds to 127.0.0.1 (HOST + DISK_CLEANER_ALLOW_REMOTE=1 to expose it elsewhere), rejects
+ * foreign Host/Origin headers, and requires the per-launch token (printed at startup, injected into served
+ * HTML as <meta name="dc-api-token">) on every /api/* call except ping: header X-Disk-Cleaner-Token or ?token=.
+ * DISK_CLEANER_TOKEN sets a fixed token.
  *
  * Endpoints:
- * - GET  /api/ping                          -> { ok: true }
- * - GET  /api/scan?minSize=bytes&olderThan=days&include=a,b&exclude=x,y&downloads=1
- *        returns report JSON: { generatedAt, home, totals, categories, items[] }
- * - POST /api/apply?dryRun=1&mode=trash|delete
- *        body: plan JSON { items:[ { path, category } ] }
+ * - GET  /api/ping                          -> { ok: true, authorized } (authorized: the request carried a valid token)
+ * - GET  /api/scan?minSize=bytes&olderThan=days&include=a,b&exclude=x,y&downloads=1&rollup=1&rollupDepth=N
+ *        returns report JSON: { reportId, generatedAt, home, totals, kinds, categories, rollupDepth, index, protection, items[] }
+ *        protection.skipped lists protected paths the walk left out: [ { path, rule } ]
+ *        item.kind is the file type (disk-image, installer, archive, video, audio, vm-disk, log, crash-dump,
+ *        folder, other) by name, else by magic bytes; report.kinds { [kind]: { count, bytes, apparentBytes } }
+ *        (like totals, without suggested duplicate keepers)
+ *        Sizes: item.bytes is what the item occupies on disk (allocated blocks: sparse VM images count what
+ *        they use; a hard-linked file counts once per scan), item.apparentBytes its apparent size;
+ *        totals { count, bytes, apparentBytes } (reclaimable: suggested duplicate keepers are left out)
+ *        Walks use a persistent per-root index (DATA_DIR/scan-index): directories whose mtime is
+ *        unchanged are served from it. refresh=1 forces a full walk. report.index counts
+ *        { dirsFromIndex, dirsRescanned, entriesFromIndex, entriesRescanned, refresh }
+ *        rollup=1 aggregates each folder N levels (default 1) under a category root into one
+ *        item { type: 'dir', bytes, apparentBytes, files, mtime (newest file) } instead of listing its files
+ *        include=duplicates finds identical files under ~/Downloads and ~/Library (size, partial hash,
+ *        full SHA-256); items carry { dupGroup, dupKeeper } and report.duplicates summarizes each group
+ *        include=projects finds project checkouts under ~/Projects, ~/src, ... and reports their build artifact
+ *        folders (node_modules, target, .venv, build, .gradle, Pods) as { type: 'dir', project, artifact, lastCommit? }
+ *        items, stalest first; mtime is the project's last activity (newest source file or git commit)
+ *        concurrency=N bounds parallel directory visits (default 8, env SCAN_CONCURRENCY);
+ *        scanId=<id> names the scan so it can be cancelled
+ *        Categories come from rules (categories.json next to server.js, merged with DATA_DIR/categories.json
+ *        or DISK_CLEANER_RULES); minSize/olderThan fall back to each category's defaults when omitted
+ * - GET  /api/categories                    -> { ok, rulesFile, categories: [ { id, label, description, default, kind, reason, minSize, olderThan, maxDepth, roots[], native? } ] }
+ * - GET  /api/tools                         -> { ok, tools: [ { action, label, tool, path } ] } (path null: tool not installed)
+ * - GET  /api/disk                          -> { ok, volumes: [ { path, dev, home, total, used, free, categories[] } ] }
+ *        volumes holding home (first), the Trash and the category roots; path is the mount point, free what the
+ *        user can still write (statfs)
+ *        Roots with a native action (npm cache, Homebrew, pnpm store, pip cache, Docker) are not walked while the
+ *        tool is installed, by any category (user-caches, duplicates, full); the scan reports one item { type: 'native', action, tool, bytes (estimate), roots[] }
+ *        and apply runs the tool (see native.js): details { status: 'ran'|'failed'|'dry', bytesBefore, bytesAfter,
+ *        commands: [ { command, exitCode, stdout, stderr } ] }. Dry runs only preview; nothing is restorable.
+ *        Only brew cleanup honours the age filter; the other tools empty the whole store, so with olderThan > 0 they
+ *        are reported only for wholeStores=1, as items with wholeStore: true, and apply runs them only for plan items
+ *        that carry wholeStore: true (else skipped, reason whole_store_not_confirmed)
+ * - GET  /api/protection[?path=p]          -> { ok, file, deny[], allow[], defaults, check? { path, protected, rule, allowedBy, contains } }
+ * - PUT  /api/protection                    -> body { deny: [patterns], allow: [patterns] }; persisted to DATA_DIR/protection.json
+ *        patterns: '~/prefix', '/abs/prefix' or globs ('*' within a segment, '**' across segments);
+ *        a match covers everything below it; allow overrides deny
+ * - GET  /api/scan/stream?<same params as /api/scan>
+ *        Server-Sent Events: started { scanId }, progress { category, root, rootsDone, rootsStarted, dirs, count, bytes },
+ *        items { items[] }, done <report JSON>, failed { ok: false, error }
+ * - POST /api/scan/:id/cancel                -> stops a running scan; it completes with partial results (cancelled: true)
+ * - GET  /api/largest?root=~/dir&top=N      -> { ok, scanId, root, top, totals, files[], dirs[], tree[], treeMinBytes, protection, cancelled }
+ *        walks everything below root (default home; protected folders skipped) keeping only the top N files and
+ *        folders (default 50, max 1000) and the folders of at least treeMinBytes (to drill into: children of a
+ *        folder are the tree folders and top files directly in it); items { path, type, bytes, apparentBytes, mtime, files? }
+ * - GET  /api/largest/stream?<same params>  -> SSE: started { scanId }, progress { dirs, files, bytes, path, top: { files, dirs } },
+ *        done <same as /api/largest>, failed; cancel with POST /api/scan/:id/cancel or by closing the stream
+ * - POST /api/apply?dryRun=1&mode=trash|delete&allowChanged=1
+ *        body: plan JSON { items:[ { path, category, fingerprint? } | { path, category, action, pruneDays?, wholeStore? } ] }
+ *        (entries without a string path are reported as { status: 'skipped', reason: 'invalid_item' })
+ *        returns: { ok: true, applyId, summary: { count, bytes, apparentBytes, changedSinceScan, disk? }, details: [...] }
+ *        summary.disk { freed, volumes: [ { path, dev, freeBefore, freeAfter, freed } ] }: free space of the volumes
+ *        involved, measured before and after the run (not for dry runs)
+ *        details[].bytes is measured at apply time: on-disk bytes, folders summed recursively
+ *        mode=trash moves to ~/.Trash (macOS) or the freedesktop Trash ($XDG_DATA_HOME/Trash: files/ + info/*.trashinfo);
+ *        items already in the Trash are skipped (reason 'already_in_trash') and need mode=delete
+ *        details[].strategy of trashed items: 'rename' (home Trash), 'volume' (moved into the trash folder of the
+ *        item's own volume: /Volumes/X/.Trashes/<uid>, <topdir>/.Trash-<uid>) or 'copy' (no usable volume trash:
+ *        copied into the home Trash, verified, original removed). status 'partial' (originalRemained: true, dest,
+ *        error): the copy is in the Trash and journaled (restorable), but the original could not be removed
+ *        Report items carry fingerprint { type, size, mtimeMs, dev, ino }; plan items that echo it are lstat'ed
+ *        and skipped with status 'changed_since_scan' (reason: replaced, type/size changed, modified) when the
+ *        path no longer matches, unless allowChanged=1. Symlinks are never followed.
+ *        Trash moves are recorded in the apply journal (DATA_DIR/trash-journal.jsonl)
+ *        Every item outcome (dry runs too) is appended to the audit log (DATA_DIR/audit-log.jsonl)
+ * - POST /api/jobs                          -> start a background job; returns 202 { ok, job: { id, type, status, ... } }
+ *        body: { type: 'scan', params: { minSize, olderThan, include, ... same as /api/scan } }
+ *            | { type: 'apply', dryRun, mode, allowChanged, plan: { items: [ { path, category, fingerprint? } ] } }
+ * - GET  /api/jobs                          -> { ok, jobs: [ summary ] } (running + recently finished)
+ * - GET  /api/jobs/:id?since=N              -> { ok, id, type, status, progress, result, items? (running scans: items[N..]) }
+ * - GET  /api/jobs/:id/events               -> SSE like /api/scan/stream (replays items so far); apply progress { done, total, count, bytes, copying? { path, copied, total } }
+ * - POST /api/jobs/:id/cancel               -> cancel a running job (scans keep partial results; applies stop before the next item)
+ * - GET  /api/policies                      -> { ok, file, policies: [ { id, name, enabled, schedule, include[], minSize, olderThan, mode,
+ *                                               maxBytes, dryRun, dryRunFirst, wholeStores, state, nextRunAt, lastRun } ] }
+ * - POST /api/policies                      -> create; body { name, schedule, include: [categories], minSize?, olderThan?,
+ *                                               mode?, maxBytes?, dryRun?, dryRunFirst?, wholeStores?, enabled? }; returns 201 { ok, policy }
+ *        schedule: '30m' | '12h' | '7d' | '2w' (since the last run) or cron '0 3 * * 1' (local time)
+ *        Due policies run on the server: scan, then apply the oldest items up to maxBytes (dryRun: report only;
+ *        dryRunFirst: a recorded dry run, then the real apply of the items it passed)
+ * - PUT  /api/policies/:id                  -> change fields, e.g. { enabled: false }
+ * - DELETE /api/policies/:id                -> remove the policy (its past runs stay in DATA_DIR/policy-runs.jsonl)
+ * - POST /api/policies/:id/run              -> run now (queued); 202 { ok, policy }
+ * - GET  /api/policies/:id/runs?limit=N     -> { ok, runs: [ { runId, trigger, status, scanned, selected, capped, dryRunFirst?, summary, statuses,
+ *                                               details[] } ] }
+ * - GET  /api/history                       -> { ok, applies: [ { applyId, ts, count, bytes, restorable, items[] } ] }
+ * - GET  /api/history/scans?since=ISO&limit=N -> { ok, scans: [ { ts, params, totals, categories: { [id]: { count, bytes } } } ],
+ *                                               applies: [ { ts, applyId, mode, count, bytes, categories } ], reclaimed: { count, bytes } }
+ *        Every scan and non-dry apply is summarized in DATA_DIR/scan-history.jsonl (oldest first; newest N of each)
+ * - GET  /api/audit?applyId=&status=&mode=&source=&dryRun=0|1&path=&since=ISO&until=ISO&offset=N&limit=N
+ *        -> { ok, file, total, offset, limit, entries: [ { ts, applyId, source, origin, mode, dryRun, category, path,
+ *             status, bytes, dest, strategy, sha256, reason, rule, error } ] } (newest first; limit default 100, max 1000)
+ *        source: 'api' | 'job' | 'cli' | 'policy'; origin: the requesting page's origin (else peer address),
+ *        user@host for the CLI, the policy id for policies; sha256 for files up to 100 MB, hashed before removal
+ * - GET  /api/reports                       -> { ok, reports: [ { reportId, generatedAt, categories, params, totals } ] } (newest first)
+ *        Completed scans store their report (items: path, bytes, mtime, category, type) in DATA_DIR/reports;
+ *        the newest 10 are kept for comparing against later scans
+ * - GET  /api/reports/:id                   -> stored report { reportId, generatedAt, home, totals, categories, items[] }
+ * - POST /api/restore
+ *        body: { applyId } | { last: true } | { items: [ { dest, applyId? } ] }
+ *        moves items back from Trash (recreates parent dirs; renames on collision; copies back across volumes)
  *        returns: { ok: true, summary: { count, bytes }, details: [...] }
+ *        400 when the body has no applyId, last or non-empty items; 404 for an unknown applyId
  *
  * Static UI:
  * - Serves ./index.html, ./styles.css, ./script.js and other static files in cwd.
  *
  * Run:
- *   node server.js
+ *   node server.js            (or: node server.js serve --port 8765)
  * Then open:
  *   http://localhost:8765/index.html  (UI will auto-detect backend and auto-scan)
+ *
+ * Command line (same engine, no HTTP; see `node server.js help`):
+ *   node server.js scan --include deep,docker --min-size 100M --json report.json
+ *   node server.js apply --plan plan.json --dry-run
  */
 
 const http = require('http');
@@ -25,58 +134,39 @@ const fsp = fs.promises;
 const path = require('path');
 const os = require('os');
 const url = require('url');
+const crypto = require('crypto');
+const { createScanner, validateProtection, humanize, nowIso, newId, DEFAULT_ROLLUP_DEPTH } = require('./scanner');
+const { createPolicyScheduler } = require('./policies');
 
 const PORT = Number(process.env.PORT || 8765);
-const HOME = os.homedir();
+// Network exposure: loopback only unless DISK_CLEANER_ALLOW_REMOTE=1 explicitly opts in to another HOST
+const HOST = process.env.HOST || '127.0.0.1';
+const ALLOW_REMOTE = process.env.DISK_CLEANER_ALLOW_REMOTE === '1';
+// Per-launch secret required on /api/* (except ping); injected into served HTML pages
+const API_TOKEN = process.env.DISK_CLEANER_TOKEN || crypto.randomBytes(24).toString('hex');
+const TOKEN_HEADER = 'x-disk-cleaner-token';
 
-// Static root + scan cache (security/perf)
+// Static root (security)
 const STATIC_ROOT = process.cwd();
 const STATIC_ROOT_RESOLVED = path.resolve(STATIC_ROOT);
-const SCAN_CACHE_TTL_MS = 5 * 60 * 1000; // 5 minutes
-const scanCache = new Map();
-
-// Safe defaults (match --easy)
-const DEFAULT_MIN_BYTES = 50 * 1024 * 1024; // 50 MB
-const DEFAULT_OLDER_DAYS = 30;
-
-// Categories
-const CATEGORIES = ['user-caches', 'browsers', 'dev', 'pkg', 'downloads', 'docker', 'deep', 'full'];
+const SCAN_PROGRESS_INTERVAL_MS = 250; // throttle for streamed scan progress events
 
-// Deny-list: Photos, Mail, iCloud Documents, Desktop, Documents
-function isDenyListed(p) {
-  const pics = path.join(HOME, 'Pictures');
-  const mail = path.join(HOME, 'Library', 'Mail');
-  const icloudDocs = path.join(HOME, 'Library', 'Mobile Documents');
-  const desktop = path.join(HOME, 'Desktop');
-  const documents = path.join(HOME, 'Documents');
-
-  const normalized = path.resolve(p);
-  if (normalized.startsWith(path.resolve(pics))) return true;
-  if (normalized.match(/\.photoslibrary[\/\\]/)) return true;
-  if (normalized.startsWith(path.resolve(mail))) return true;
-  if (normalized.startsWith(path.resolve(icloudDocs))) return true;
-  if (normalized.startsWith(path.resolve(desktop))) return true;
-  if (normalized.startsWith(path.resolve(documents))) return true;
-  return false;
-}
-
-function ensureHomeScoped(p) {
-  const normalized = path.resolve(p);
-  return normalized.startsWith(path.resolve(HOME) + path.sep);
-}
+// Scan/apply engine scoped to the real home; state lives in DISK_CLEANER_DATA_DIR (default
+// ~/Library/Application Support/disk-cleaner, on Linux $XDG_DATA_HOME/disk-cleaner), user rules in DISK_CLEANER_RULES (default DATA_DIR/categories.json)
+const scanner = createScanner({
+  dataDir: process.env.DISK_CLEANER_DATA_DIR,
+  rulesFile: process.env.DISK_CLEANER_RULES,
+  concurrency: Number(process.env.SCAN_CONCURRENCY) || undefined
+});
+const activeScans = new Map(); // scanId -> { controller, startedAt, params }
 
-function humanize(bytes) {
-  const units = ['B', 'KB', 'MB', 'GB', 'TB', 'PB'];
-  let v = Number(bytes) || 0;
-  let i = 0;
-  while (v >= 1024 && i < units.length - 1) { v /= 1024; i++; }
-  const fixed = v >= 100 ? v.toFixed(0) : v >= 10 ? v.toFixed(1) : v.toFixed(2);
-  return `${fixed} ${units[i]}`;
-}
+// Saved cleanup policies (DATA_DIR/policies.json); the scheduler only runs while serving
+const policies = createPolicyScheduler({ scanner });
 
-function nowIso() {
-  return new Date().toISOString();
-}
+// Background jobs (scan/apply); finished results are retained for reattaching after a page reload
+const jobs = new Map(); // jobId -> job (see createJobHandler)
+const JOB_RETENTION_MS = 60 * 60 * 1000; // 1 hour
+const MAX_FINISHED_JOBS = 20;
 
 function parseQuery(reqUrl) {
   const q = url.parse(reqUrl, true).query || {};
@@ -88,6 +178,15 @@ function parseQuery(reqUrl) {
   out.downloads = q.downloads === '1' || q.downloads === 'true';
   out.dryRun = q.dryRun === '1' || q.dryRun === 'true';
   out.mode = q.mode === 'delete' ? 'delete' : 'trash';
+  out.allowChanged = q.allowChanged === '1' || q.allowChanged === 'true';
+  out.refresh = q.refresh === '1' || q.refresh === 'true';
+  out.wholeStores = q.wholeStores === '1' || q.wholeStores === 'true';
+  out.concurrency = isFinite(Number(q.concurrency)) && Number(q.concurrency) > 0 ? Math.floor(Number(q.concurrency)) : undefined;
+  out.scanId = typeof q.scanId === 'string' && /^[\w-]{1,64}$/.test(q.scanId) ? q.scanId : undefined;
+  out.rollup = q.rollup === '1' || q.rollup === 'true';
+  out.rollupDepth = isFinite(Number(q.rollupDepth)) && Number(q.rollupDepth) > 0 ? Math.floor(Number(q.rollupDepth)) : undefined;
+  out.root = typeof q.root === 'string' && q.root.trim() ? q.root.trim() : undefined;
+  out.top = isFinite(Number(q.top)) && Number(q.top) > 0 ? Math.floor(Number(q.top)) : undefined;
   return out;
 }
 
@@ -144,7 +243,12 @@ async function serveStatic(req, res) {
     if (st.isDirectory()) {
       return sendText(res, 403, 'Forbidden');
     }
-    const data = await fsp.readFile(resolved);
+    let data = await fsp.readFile(resolved);
+    // Hand the API token to our own pages (other origins cannot read them: Host/Origin checks, no CORS)
+    if (path.extname(resolved).toLowerCase() === '.html') {
+      const meta = `<meta name="dc-api-token" content="${API_TOKEN}" />`;
+      data = Buffer.from(data.toString('utf8').replace(/<head([^>]*)>/i, (m) => `${m}\n  ${meta}`));
+    }
     res.writeHead(200, {
       'Content-Type': contentTypeFor(resolved),
       'Cache-Control': 'no-store'
@@ -155,230 +259,221 @@ async function serveStatic(req, res) {
   }
 }
  
-// Utility: list immediate subdirectories (best-effort)
-async function listDirs(dir) {
+// GET /api/protection[?path=...] -> config (+ why path is or is not protected)
+function protectionHandler(req, res) {
+  const q = url.parse(req.url, true).query || {};
+  const body = { ok: true, ...scanner.getProtection() };
+  if (typeof q.path === 'string' && q.path) body.check = scanner.checkPath(q.path);
+  sendJson(res, 200, body);
+}
+
+// PUT /api/protection body: { deny: [patterns], allow: [patterns] }
+async function updateProtectionHandler(req, res) {
+  const cfg = await readJsonBody(req);
+  const error = validateProtection(cfg);
+  if (error) return sendJson(res, 400, { ok: false, error: `Invalid protection JSON; ${error}` });
   try {
-    const ents = await fsp.readdir(dir, { withFileTypes: true });
-    return ents.filter(e => e.isDirectory()).map(e => path.join(dir, e.name));
-  } catch {
-    return [];
+    scanner.setProtection(cfg);
+  } catch (e) {
+    return sendJson(res, 500, { ok: false, error: String(e) });
   }
+  sendJson(res, 200, { ok: true, ...scanner.getProtection() });
 }
 
-// Recursively walk a directory collecting files matching filters
-async function walkCollect(baseDir, opts, pushItem, reason, category) {
-  // opts: { minBytes, olderDays, maxDepth? }
-  // Avoid massive full-home scans: only scan known dirs passed to this function
-  const maxDepth = Number(opts.maxDepth) || Infinity;
-  const stack = [{ dir: baseDir, depth: 0 }];
+function categoriesHandler(req, res) {
+  sendJson(res, 200, { ok: true, rulesFile: scanner.rulesFile, categories: scanner.categories() });
+}
 
-  while (stack.length) {
-    const { dir: current, depth } = stack.pop();
-    let ents;
-    try {
-      ents = await fsp.readdir(current, { withFileTypes: true });
-    } catch (e) {
-      continue;
-    }
-    for (const ent of ents) {
-      const full = path.join(current, ent.name);
-      // scope and deny-list
-      if (!ensureHomeScoped(full) || isDenyListed(full)) continue;
-      try {
-        const st = await fsp.lstat(full);
-        if (st.isSymbolicLink()) continue; // skip symlinks to avoid cycles
-        if (st.isDirectory()) {
-          // Avoid descending into massive dirs under Desktop/Documents etc due to deny-list above
-          if (depth < maxDepth) {
-            stack.push({ dir: full, depth: depth + 1 });
-          }
-        } else if (st.isFile()) {
-          const bytes = Number(st.size) || 0;
-          if (opts.minBytes && bytes < opts.minBytes) continue;
-          const mtimeMs = Number(st.mtimeMs) || 0;
-          if (opts.olderDays > 0) {
-            const ageMs = Date.now() - mtimeMs;
-            if (ageMs < opts.olderDays * 86400 * 1000) continue;
-          }
-          pushItem({
-            path: full,
-            bytes,
-            mtime: Math.floor(mtimeMs / 1000),
-            category,
-            reason,
-            trashable: true
-          });
-        }
-      } catch {
-        // ignore per-file errors
-      }
-    }
+// GET /api/disk -> size and free space of the volumes holding home, the Trash and the category roots
+async function diskHandler(req, res) {
+  let volumes;
+  try {
+    volumes = await scanner.disk();
+  } catch (e) {
+    return sendJson(res, 500, { ok: false, error: String(e) });
   }
+  sendJson(res, 200, { ok: true, volumes });
+}
+
+// GET /api/tools -> native cleanup tools (npm, brew, pnpm, pip, docker) and whether they are installed
+function toolsHandler(req, res) {
+  sendJson(res, 200, { ok: true, tools: scanner.tools() });
+}
+
+// Register a running scan so POST /api/scan/:id/cancel can stop it
+function registerScan(params) {
+  const scanId = params.scanId && !activeScans.has(params.scanId) ? params.scanId : newId();
+  const controller = new AbortController();
+  activeScans.set(scanId, { controller, startedAt: nowIso(), params });
+  return { scanId, signal: controller.signal, done: () => activeScans.delete(scanId) };
 }
 
 async function scanHandler(req, res) {
   const q = parseQuery(req.url);
-  const minBytes = q.minSize ?? DEFAULT_MIN_BYTES;
-  const olderDays = q.olderThan ?? DEFAULT_OLDER_DAYS;
-
-  // Determine categories
-  let cats = ['user-caches', 'browsers', 'dev', 'pkg'];
-  if (q.downloads) cats.push('downloads');
-  if (Array.isArray(q.include) && q.include.length) cats = q.include;
-  if (Array.isArray(q.exclude) && q.exclude.length) {
-    cats = cats.filter(c => !q.exclude.includes(c));
-  }
-
-  // Simple in-memory cache (TTL) to avoid repeated heavy scans
-  const cacheKey = JSON.stringify({
-    minBytes,
-    olderDays,
-    cats: [...cats].sort(),
-    downloads: !!q.downloads
-  });
-  const cached = scanCache.get(cacheKey);
-  if (cached && (Date.now() - cached.ts) < SCAN_CACHE_TTL_MS) {
-    return sendJson(res, 200, cached.body);
+  const scan = registerScan(scanner.scanParams(q));
+  let body;
+  try {
+    body = await scanner.scan({ ...q, signal: scan.signal });
+  } catch (e) {
+    return sendJson(res, 500, { ok: false, error: String(e) });
+  } finally {
+    scan.done();
   }
+  sendJson(res, 200, Object.assign({ scanId: scan.scanId }, body));
+}
 
-  const items = [];
-  const pushItem = (it) => items.push(it);
-
-  const options = { minBytes, olderDays };
-
-  try {
-    if (cats.includes('user-caches')) {
-      const base = path.join(HOME, 'Library', 'Caches');
-      if (fs.existsSync(base)) await walkCollect(base, options, pushItem, 'User Library cache', 'user-caches');
-    }
-    if (cats.includes('browsers')) {
-      const bdirs = [
-        path.join(HOME, 'Library', 'Caches', 'com.apple.Safari'),
-        path.join(HOME, 'Library', 'Caches', 'Google', 'Chrome'),
-        path.join(HOME, 'Library', 'Caches', 'Microsoft Edge'),
-        path.join(HOME, 'Library', 'Caches', 'Firefox', 'Profiles')
-      ];
-      for (const d of bdirs) if (fs.existsSync(d)) await walkCollect(d, options, pushItem, 'Browser cache', 'browsers');
-    }
-    if (cats.includes('dev')) {
-      const ddirs = [
-        path.join(HOME, 'Library', 'Developer', 'Xcode', 'DerivedData'),
-        path.join(HOME, 'Library', 'Developer', 'Xcode', 'iOS DeviceSupport'),
-        path.join(HOME, 'Library', 'Developer', 'CoreSimulator', 'Caches'),
-      ];
-      for (const d of ddirs) if (fs.existsSync(d)) await walkCollect(d, options, pushItem, 'Developer cache', 'dev');
-    }
-    if (cats.includes('pkg')) {
-      // Homebrew cache
-      try {
-        const which = await fsp.access('/usr/local/bin/brew').then(() => true).catch(() => false);
-        const which2 = await fsp.access('/opt/homebrew/bin/brew').then(() => true).catch(() => false);
-        const brewPath = which ? '/usr/local/bin/brew' : (which2 ? '/opt/homebrew/bin/brew' : null);
-        if (brewPath) {
-          const { execFileSync } = require('child_process');
-          try {
-            const bcache = execFileSync(brewPath, ['--cache'], { encoding: 'utf8' }).trim();
-            if (bcache && fs.existsSync(bcache)) await walkCollect(bcache, options, pushItem, 'Homebrew cache', 'pkg');
-          } catch {}
-        }
-      } catch {}
-      const pdirs = [
-        path.join(HOME, '.npm', '_cacache'),
-        path.join(HOME, 'Library', 'Caches', 'npm'),
-        path.join(HOME, 'Library', 'Caches', 'Yarn'),
-        path.join(HOME, 'Library', 'pnpm', 'store'),
-        path.join(HOME, 'Library', 'Caches', 'pnpm'),
-        path.join(HOME, '.cache', 'pip'),
-        path.join(HOME, 'Library', 'Caches', 'pip'),
-        path.join(HOME, '.cache', 'pipx'),
-      ];
-      for (const d of pdirs) if (fs.existsSync(d)) await walkCollect(d, options, pushItem, 'Package manager cache', 'pkg');
-    }
-    if (cats.includes('docker')) {
-      const dockerData = path.join(HOME, 'Library', 'Containers', 'com.docker.docker', 'Data');
-      const dockerCandidates = [
-        path.join(dockerData, 'vms'),
-        path.join(dockerData, 'vm'),
-        path.join(dockerData, 'docker-daemon'),
-        path.join(dockerData, 'containers'),
-        path.join(dockerData, 'com.docker.driver.amd64-linux'),
-      ];
-      for (const d of dockerCandidates) {
-        if (fs.existsSync(d)) {
-          await walkCollect(d, options, pushItem, 'Docker data', 'docker');
-        }
-      }
-    }
-    if (cats.includes('downloads')) {
-      const d = path.join(HOME, 'Downloads');
-      if (fs.existsSync(d)) await walkCollect(d, options, pushItem, 'Downloads item', 'downloads');
+// Progress hooks for scanner.scan that batch found items and throttle progress, reporting via send(event, data):
+//   progress -> { category, root, rootsDone, rootsStarted, dirs, count, bytes }
+//   items    -> { items: [...] }  (items found since the previous batch)
+function createScanReporter(send) {
+  const stats = { category: null, root: null, rootsDone: 0, rootsStarted: 0, dirs: 0, count: 0, bytes: 0 };
+  let pending = [];
+  let lastFlush = 0;
+  const flush = (force) => {
+    const now = Date.now();
+    if (!force && now - lastFlush < SCAN_PROGRESS_INTERVAL_MS) return;
+    lastFlush = now;
+    if (pending.length) {
+      send('items', { items: pending });
+      pending = [];
     }
+    send('progress', stats);
+  };
 
-    // Full scan: safe HOME-wide scan with deny-list and conservative depth
-    if (cats.includes('full')) {
-      const fullOpts = { ...options, maxDepth: 6 };
-      await walkCollect(HOME, fullOpts, pushItem, 'Full HOME scan (safe scope)', 'full');
+  const hooks = {
+    onRoot(category, dir) {
+      stats.category = category;
+      stats.root = dir;
+      stats.rootsStarted += 1;
+      flush(true);
+    },
+    onRootDone() {
+      stats.rootsDone += 1;
+      flush(false);
+    },
+    onDir() {
+      stats.dirs += 1;
+      flush(false);
+    },
+    onItem(it) {
+      stats.count += 1;
+      stats.bytes += Number(it.bytes) || 0;
+      pending.push(it);
+      flush(false);
     }
+  };
+  return { stats, hooks, flush };
+}
 
-    // Deep scan: curated additional heavy areas under ~/Library (safe scope)
-    if (cats.includes('deep')) {
-      // 1) App container caches: ~/Library/Containers/*/Data/Library/Caches
-      const containers = path.join(HOME, 'Library', 'Containers');
-      if (fs.existsSync(containers)) {
-        const apps = await listDirs(containers);
-        for (const appDir of apps) {
-          const cachePath = path.join(appDir, 'Data', 'Library', 'Caches');
-          if (fs.existsSync(cachePath)) {
-            await walkCollect(cachePath, options, pushItem, 'App container cache', 'deep');
-          }
-        }
-      }
+// Streaming scan over Server-Sent Events.
+// Events:
+//   started  -> { scanId }                                 (use with POST /api/scan/:id/cancel)
+//   progress, items                                       (see createScanReporter; throttled)
+//   done     -> full report body (same shape as /api/scan; cancelled: true keeps partial results)
+//   failed   -> { ok: false, error }
+// Closing the stream cancels the scan.
+async function scanStreamHandler(req, res) {
+  const q = parseQuery(req.url);
+  const scan = registerScan(scanner.scanParams(q));
 
-      // 2) Simulator device caches: ~/Library/Developer/CoreSimulator/Devices/*/data/Library/Caches
-      const devicesRoot = path.join(HOME, 'Library', 'Developer', 'CoreSimulator', 'Devices');
-      if (fs.existsSync(devicesRoot)) {
-        const devices = await listDirs(devicesRoot);
-        for (const devDir of devices) {
-          const devCache = path.join(devDir, 'data', 'Library', 'Caches');
-          if (fs.existsSync(devCache)) {
-            await walkCollect(devCache, options, pushItem, 'Simulator device cache', 'deep');
-          }
-        }
-      }
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive'
+  });
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    const active = activeScans.get(scan.scanId);
+    if (active) active.controller.abort();
+  });
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  };
+  send('started', { scanId: scan.scanId });
 
-      // 3) Xcode Archives (often large): ~/Library/Developer/Xcode/Archives
-      const archives = path.join(HOME, 'Library', 'Developer', 'Xcode', 'Archives');
-      if (fs.existsSync(archives)) {
-        await walkCollect(archives, options, pushItem, 'Xcode archive content', 'deep');
-      }
+  const reporter = createScanReporter(send);
+  try {
+    const body = await scanner.scan({ ...q, hooks: reporter.hooks, signal: scan.signal });
+    reporter.flush(true);
+    send('done', Object.assign({ scanId: scan.scanId }, body));
+  } catch (e) {
+    send('failed', { ok: false, error: String(e) });
+  } finally {
+    scan.done();
+  }
+  res.end();
+}
 
-      // 4) Logs (filter by minBytes): ~/Library/Logs
-      const logsDir = path.join(HOME, 'Library', 'Logs');
-      if (fs.existsSync(logsDir)) {
-        await walkCollect(logsDir, options, pushItem, 'Logs', 'deep');
-      }
-    }
+// GET /api/largest?root=~/dir&top=N -> the N largest files and folders below root (default: home)
+async function largestHandler(req, res) {
+  const params = scanner.largestParams(parseQuery(req.url));
+  if (params.error) return sendJson(res, 400, { ok: false, error: params.error });
+  const scan = registerScan(params);
+  let body;
+  try {
+    body = await scanner.largest({ ...params, signal: scan.signal });
   } catch (e) {
     return sendJson(res, 500, { ok: false, error: String(e) });
+  } finally {
+    scan.done();
   }
+  sendJson(res, 200, Object.assign({ ok: true, scanId: scan.scanId }, body));
+}
 
-  const totals = items.reduce((acc, it) => {
-    acc.count += 1;
-    acc.bytes += Number(it.bytes) || 0;
-    return acc;
-  }, { count: 0, bytes: 0 });
+// Streaming explorer over Server-Sent Events, cancelled like a scan (POST /api/scan/:id/cancel or closing it).
+// Events:
+//   started  -> { scanId }
+//   progress -> { dirs, files, bytes, apparentBytes, path, top: { files, dirs } }   (throttled; top lists so far)
+//   done     -> result body (same shape as /api/largest)
+//   failed   -> { ok: false, error }
+async function largestStreamHandler(req, res) {
+  const params = scanner.largestParams(parseQuery(req.url));
+  if (params.error) return sendJson(res, 400, { ok: false, error: params.error });
+  const scan = registerScan(params);
 
-  const body = {
-    generatedAt: nowIso(),
-    home: HOME,
-    totals,
-    categories: cats,
-    items
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive'
+  });
+  let closed = false;
+  req.on('close', () => {
+    closed = true;
+    const active = activeScans.get(scan.scanId);
+    if (active) active.controller.abort();
+  });
+  const send = (event, data) => {
+    if (closed) return;
+    res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
   };
+  send('started', { scanId: scan.scanId });
 
-  // Store in cache and respond
-  scanCache.set(cacheKey, { ts: Date.now(), body });
-  sendJson(res, 200, body);
+  let lastEmit = 0;
+  const onProgress = (stats, snapshot) => {
+    const now = Date.now();
+    if (now - lastEmit < SCAN_PROGRESS_INTERVAL_MS) return;
+    lastEmit = now;
+    send('progress', Object.assign({}, stats, { top: snapshot() }));
+  };
+  try {
+    const body = await scanner.largest({ ...params, hooks: { onProgress }, signal: scan.signal });
+    send('done', Object.assign({ ok: true, scanId: scan.scanId }, body));
+  } catch (e) {
+    send('failed', { ok: false, error: String(e) });
+  } finally {
+    scan.done();
+  }
+  res.end();
+}
+
+// POST /api/scan/:id/cancel -> stop a running scan; it finishes with the partial results
+function cancelScanHandler(req, res, scanId) {
+  const active = activeScans.get(scanId);
+  if (!active) return sendJson(res, 404, { ok: false, error: 'No running scan with that id' });
+  active.controller.abort();
+  sendJson(res, 200, { ok: true, scanId });
 }
 
 async function readJsonBody(req) {
@@ -390,118 +485,760 @@ async function readJsonBody(req) {
   try { return JSON.parse(txt); } catch { return null; }
 }
 
-function ensureTrashDir() {
-  const t = path.join(HOME, '.Trash');
+async function historyHandler(req, res) {
+  sendJson(res, 200, { ok: true, applies: scanner.history() });
+}
+
+// GET /api/reports -> stored reports of recent scans (for comparing); GET /api/reports/:id -> one with its items
+function reportsHandler(req, res) {
+  sendJson(res, 200, { ok: true, reports: scanner.reports() });
+}
+
+function reportHandler(req, res, id) {
+  const report = scanner.report(id);
+  if (!report) return sendJson(res, 404, { ok: false, error: 'Unknown or expired report' });
+  sendJson(res, 200, report);
+}
+
+// GET /api/history/scans?since=ISO&limit=N -> scan summaries and applied bytes over time (oldest first)
+function scanHistoryHandler(req, res) {
+  const q = url.parse(req.url, true).query || {};
+  const limit = Math.min(Math.max(Math.floor(Number(q.limit)) || 500, 1), 5000);
+  const since = typeof q.since === 'string' && !Number.isNaN(Date.parse(q.since)) ? q.since : undefined;
+  const { scans, applies } = scanner.scanHistory({ since, limit });
+  const reclaimed = applies.reduce((acc, a) => ({ count: acc.count + (a.count || 0), bytes: acc.bytes + (a.bytes || 0) }), { count: 0, bytes: 0 });
+  sendJson(res, 200, { ok: true, scans, applies, reclaimed: { ...reclaimed, human: humanize(reclaimed.bytes) } });
+}
+
+// GET /api/audit?applyId=&status=&mode=&source=&dryRun=0|1&path=&since=ISO&until=ISO&offset=N&limit=N
+// -> audit log records of apply items, newest first, one page at a time
+function auditHandler(req, res) {
+  const q = url.parse(req.url, true).query || {};
+  const str = (v) => (typeof v === 'string' && v.trim() ? v.trim() : undefined);
+  const iso = (v) => (typeof v === 'string' && !Number.isNaN(Date.parse(v)) ? new Date(v).toISOString() : undefined);
+  const result = scanner.audit({
+    applyId: str(q.applyId),
+    status: str(q.status),
+    mode: str(q.mode),
+    source: str(q.source),
+    dryRun: q.dryRun === '1' || q.dryRun === 'true' ? true : q.dryRun === '0' || q.dryRun === 'false' ? false : undefined,
+    path: str(q.path),
+    since: iso(q.since),
+    until: iso(q.until),
+    offset: q.offset,
+    limit: q.limit
+  });
+  sendJson(res, 200, { ok: true, ...result });
+}
+
+// Who asked for an apply, for the audit log: the page's origin, else the peer address
+function clientOrigin(req) {
+  if (req.headers.origin) return String(req.headers.origin);
   try {
-    if (!fs.existsSync(t)) fs.mkdirSync(t, { recursive: true });
-    return t;
-  } catch {
-    return null;
+    if (req.headers.referer) return new URL(req.headers.referer).origin;
+  } catch {}
+  return req.socket.remoteAddress || null;
+}
+
+// POST /api/restore body: { applyId } | { last: true } | { items: [ { dest, applyId? } ] }
+async function restoreHandler(req, res) {
+  const body = await readJsonBody(req);
+  if (!body || !(body.last || body.applyId || (Array.isArray(body.items) && body.items.length))) {
+    return sendJson(res, 400, { ok: false, error: 'Invalid restore JSON; expected { applyId } or { last: true } or { items: [ { dest, applyId? } ] }' });
   }
+  const result = await scanner.restore(body);
+  sendJson(res, result.ok ? 200 : 404, result);
 }
 
-function safeTrashMove(p) {
-  const trashDir = ensureTrashDir();
-  if (!trashDir) throw new Error('Cannot access ~/.Trash');
-  const name = path.basename(p);
-  const ts = new Date().toISOString().replace(/[:.]/g, '').replace('T', '-').slice(0, 15);
-  let dest = path.join(trashDir, name);
-  if (fs.existsSync(dest)) dest = path.join(trashDir, `${name}-${ts}`);
-  fs.renameSync(p, dest);
-  return dest;
+// Response body for an apply: scanner.apply resolves to the details array carrying applyId and summary
+function applyResponse(details) {
+  return { ok: true, applyId: details.applyId, summary: details.summary, details };
 }
 
 async function applyHandler(req, res) {
   const q = parseQuery(req.url);
-  const dryRun = q.dryRun;
-  const mode = q.mode; // 'trash' or 'delete'
-
   const plan = await readJsonBody(req);
   if (!plan || !Array.isArray(plan.items)) {
     return sendJson(res, 400, { ok: false, error: 'Invalid plan JSON; expected { items: [ { path, category } ] }' });
   }
+  const details = await scanner.apply(plan, { dryRun: q.dryRun, mode: q.mode, allowChanged: q.allowChanged, source: 'api', origin: clientOrigin(req) });
+  sendJson(res, 200, applyResponse(details));
+}
 
-  let totalBytes = 0;
-  let count = 0;
-  const details = [];
+// Background jobs: scans and applies that outlive the HTTP request (and a browser reload).
+// Job: { id, type: 'scan'|'apply', status: 'running'|'done'|'failed'|'cancelled', createdAt, finishedAt,
+//        params, progress, result, error }. Finished jobs are kept for JOB_RETENTION_MS (max MAX_FINISHED_JOBS).
+function jobSummary(job) {
+  const { id, type, status, createdAt, finishedAt, params, progress, error } = job;
+  return { id, type, status, createdAt, finishedAt, params, progress, error };
+}
 
-  for (const it of plan.items) {
-    const p = String(it.path || '');
-    if (!p || !fs.existsSync(p)) {
-      details.push({ path: p, status: 'missing' });
-      continue;
-    }
-    if (!ensureHomeScoped(p)) {
-      details.push({ path: p, status: 'skipped', reason: 'outside_home' });
-      continue;
-    }
-    if (isDenyListed(p)) {
-      details.push({ path: p, status: 'skipped', reason: 'deny_listed' });
-      continue;
-    }
-    let st = null;
-    try { st = fs.statSync(p); } catch {}
-    const bytes = st ? Number(st.size) || 0 : 0;
+function pruneJobs() {
+  const finished = [...jobs.values()].filter(j => j.status !== 'running')
+    .sort((a, b) => String(b.finishedAt).localeCompare(String(a.finishedAt)));
+  const cutoff = Date.now() - JOB_RETENTION_MS;
+  finished.forEach((j, i) => {
+    if (i >= MAX_FINISHED_JOBS || Date.parse(j.finishedAt) < cutoff) jobs.delete(j.id);
+  });
+}
 
-    if (dryRun) {
-      details.push({ path: p, status: 'dry', action: (mode === 'delete' ? 'delete' : 'trash'), bytes });
-      totalBytes += bytes; count++;
-      continue;
-    }
+function jobEmit(job, event, data) {
+  for (const listener of job.listeners) {
+    try { listener(event, data); } catch {}
+  }
+}
 
-    try {
-      if (mode === 'delete') {
-        // Be careful: rm recursive if directory
-        if (st && st.isDirectory()) fs.rmSync(p, { recursive: true, force: true });
-        else fs.rmSync(p, { force: true });
-        details.push({ path: p, status: 'deleted', bytes });
-      } else {
-        const dest = safeTrashMove(p);
-        details.push({ path: p, status: 'trashed', dest, bytes });
-      }
-      totalBytes += bytes; count++;
-    } catch (e) {
-      details.push({ path: p, status: 'error', error: String(e) });
-    }
+function finishJob(job, status, result, error) {
+  job.status = status;
+  job.finishedAt = nowIso();
+  job.result = result || null;
+  job.error = error || null;
+  job.items = []; // partial scan items are in the result now
+  activeScans.delete(job.id);
+  if (status === 'failed') jobEmit(job, 'failed', { ok: false, error: job.error });
+  else jobEmit(job, 'done', job.result);
+  job.listeners.clear();
+  pruneJobs();
+}
+
+function startScanJob(job, q) {
+  const scan = registerScan(Object.assign(scanner.scanParams(q), { scanId: job.id }));
+  const reporter = createScanReporter((event, data) => {
+    if (event === 'items') job.items.push(...data.items);
+    if (event === 'progress') job.progress = Object.assign({}, data);
+    jobEmit(job, event, data);
+  });
+  scanner.scan({ ...q, hooks: reporter.hooks, signal: scan.signal })
+    .then((body) => {
+      reporter.flush(true);
+      finishJob(job, body.cancelled ? 'cancelled' : 'done', Object.assign({ scanId: scan.scanId }, body));
+    })
+    .catch((e) => finishJob(job, 'failed', null, String(e)))
+    .finally(() => scan.done());
+}
+
+function startApplyJob(job, plan, opts) {
+  job.controller = new AbortController();
+  let lastEmit = 0;
+  const onProgress = (p) => {
+    job.progress = p;
+    const now = Date.now();
+    if (now - lastEmit < SCAN_PROGRESS_INTERVAL_MS && p.done < p.total) return;
+    lastEmit = now;
+    jobEmit(job, 'progress', p);
+  };
+  scanner.apply(plan, { ...opts, onProgress, signal: job.controller.signal })
+    .then((details) => finishJob(job, details.summary.cancelled ? 'cancelled' : 'done', applyResponse(details)))
+    .catch((e) => finishJob(job, 'failed', null, String(e)));
+}
+
+// POST /api/jobs body: { type: 'scan', params: { minSize, olderThan, include, ... } }
+//                     | { type: 'apply', dryRun, mode, allowChanged, plan: { items: [ { path, category, fingerprint? } ] } }
+async function createJobHandler(req, res) {
+  const body = await readJsonBody(req);
+  const type = body && body.type;
+  if (type !== 'scan' && type !== 'apply') {
+    return sendJson(res, 400, { ok: false, error: "Invalid job JSON; expected { type: 'scan' | 'apply', ... }" });
+  }
+  if (type === 'apply' && (!body.plan || !Array.isArray(body.plan.items))) {
+    return sendJson(res, 400, { ok: false, error: 'Invalid plan JSON; expected { plan: { items: [ { path, category } ] } }' });
+  }
+
+  const job = { id: newId(), type, status: 'running', createdAt: nowIso(), finishedAt: null, progress: {}, items: [], result: null, error: null, listeners: new Set() };
+  if (type === 'scan') {
+    // Same parameters as the /api/scan query string
+    const query = new URLSearchParams();
+    for (const [k, v] of Object.entries(body.params || {})) if (v !== undefined && v !== null) query.set(k, String(v));
+    const q = parseQuery(`/?${query.toString()}`);
+    const params = scanner.scanParams(q);
+    job.params = { minBytes: params.minBytes, olderDays: params.olderDays, cats: params.cats, rollupDepth: params.rollupDepth, refresh: params.refresh, wholeStores: params.wholeStores };
+    jobs.set(job.id, job);
+    startScanJob(job, q);
+  } else {
+    const flag = (v) => v === true || v === 1 || v === '1';
+    const opts = { dryRun: flag(body.dryRun), mode: body.mode === 'delete' ? 'delete' : 'trash', allowChanged: flag(body.allowChanged) };
+    job.params = Object.assign({ count: body.plan.items.length }, opts);
+    jobs.set(job.id, job);
+    startApplyJob(job, body.plan, { ...opts, source: 'job', origin: clientOrigin(req) });
   }
+  pruneJobs();
+  sendJson(res, 202, { ok: true, job: jobSummary(job) });
+}
+
+function listJobsHandler(req, res) {
+  pruneJobs();
+  const list = [...jobs.values()].sort((a, b) => b.createdAt.localeCompare(a.createdAt)).map(jobSummary);
+  sendJson(res, 200, { ok: true, jobs: list });
+}
 
-  const responseBody = {
-    ok: true,
-    summary: { count, bytes: totalBytes, human: humanize(totalBytes), dryRun, mode },
-    details
+// GET /api/jobs/:id?since=N -> summary + result when finished; running scans also return items[N..]
+function getJobHandler(req, res, id) {
+  const job = jobs.get(id);
+  if (!job) return sendJson(res, 404, { ok: false, error: 'Unknown job (finished jobs expire)' });
+  const out = Object.assign({ ok: true }, jobSummary(job), { result: job.result });
+  if (job.type === 'scan' && job.status === 'running') {
+    const q = url.parse(req.url, true).query || {};
+    const since = Math.max(0, Number(q.since) || 0);
+    out.items = job.items.slice(since);
+    out.itemsTotal = job.items.length;
+  }
+  sendJson(res, 200, out);
+}
+
+// GET /api/jobs/:id/events -> SSE: replays items found so far, then progress/items live; done | failed at the end
+function jobEventsHandler(req, res, id) {
+  const job = jobs.get(id);
+  if (!job) return sendJson(res, 404, { ok: false, error: 'Unknown job (finished jobs expire)' });
+  res.writeHead(200, {
+    'Content-Type': 'text/event-stream; charset=utf-8',
+    'Cache-Control': 'no-store',
+    'Connection': 'keep-alive'
+  });
+  const send = (event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+  send('started', { jobId: job.id, scanId: job.type === 'scan' ? job.id : undefined, type: job.type });
+  if (job.status !== 'running') {
+    if (job.status === 'failed') send('failed', { ok: false, error: job.error });
+    else send('done', job.result);
+    return res.end();
+  }
+  if (job.items.length) send('items', { items: job.items });
+  send('progress', job.progress);
+  const listener = (event, data) => {
+    send(event, data);
+    if (event === 'done' || event === 'failed') res.end();
   };
+  job.listeners.add(listener);
+  req.on('close', () => job.listeners.delete(listener));
+}
 
-  // Invalidate scan cache after apply to avoid stale results
-  try { scanCache.clear(); } catch {}
+function cancelJobHandler(req, res, id) {
+  const job = jobs.get(id);
+  if (!job) return sendJson(res, 404, { ok: false, error: 'Unknown job' });
+  if (job.status !== 'running') return sendJson(res, 409, { ok: false, error: `Job already ${job.status}` });
+  if (job.type === 'scan') {
+    const active = activeScans.get(job.id);
+    if (active) active.controller.abort();
+  } else if (job.controller) {
+    job.controller.abort();
+  }
+  sendJson(res, 200, { ok: true, id });
+}
+
+// Cleanup policies (see policies.js for the policy shape)
+function listPoliciesHandler(req, res) {
+  sendJson(res, 200, { ok: true, file: policies.file, policies: policies.list() });
+}
+
+// POST /api/policies body: { name, schedule, include: [categories], minSize?, olderThan?, mode?, maxBytes?, dryRun?, enabled? }
+async function createPolicyHandler(req, res) {
+  const body = await readJsonBody(req);
+  try {
+    sendJson(res, 201, { ok: true, policy: policies.create(body) });
+  } catch (e) {
+    if (e instanceof TypeError) return sendJson(res, 400, { ok: false, error: `Invalid policy JSON; ${e.message}` });
+    sendJson(res, 500, { ok: false, error: String(e) });
+  }
+}
+
+// PUT /api/policies/:id body: the fields to change, e.g. { enabled: false }
+async function updatePolicyHandler(req, res, id) {
+  const body = await readJsonBody(req);
+  let policy;
+  try {
+    policy = policies.update(id, body);
+  } catch (e) {
+    if (e instanceof TypeError) return sendJson(res, 400, { ok: false, error: `Invalid policy JSON; ${e.message}` });
+    return sendJson(res, 500, { ok: false, error: String(e) });
+  }
+  if (!policy) return sendJson(res, 404, { ok: false, error: 'Unknown policy' });
+  sendJson(res, 200, { ok: true, policy });
+}
+
+function deletePolicyHandler(req, res, id) {
+  if (!policies.remove(id)) return sendJson(res, 404, { ok: false, error: 'Unknown policy' });
+  sendJson(res, 200, { ok: true, id });
+}
 
-  sendJson(res, 200, responseBody);
+// POST /api/policies/:id/run -> 202; the run is queued and shows up in GET /api/policies/:id/runs when finished
+function runPolicyHandler(req, res, id) {
+  const policy = policies.runNow(id);
+  if (policy === null) return sendJson(res, 404, { ok: false, error: 'Unknown policy' });
+  if (policy === false) return sendJson(res, 409, { ok: false, error: 'Policy is already queued or running' });
+  sendJson(res, 202, { ok: true, policy });
+}
+
+// GET /api/policies/:id/runs?limit=N -> finished runs, newest first
+function policyRunsHandler(req, res, id) {
+  if (!policies.get(id)) return sendJson(res, 404, { ok: false, error: 'Unknown policy' });
+  const q = url.parse(req.url, true).query || {};
+  const limit = Math.min(Math.max(Math.floor(Number(q.limit)) || 20, 1), 200);
+  sendJson(res, 200, { ok: true, runs: policies.runs(id, limit) });
 }
 
 // Router
-const server = http.createServer(async (req, res) => {
+// Request guards against drive-by use from other web pages:
+// - Host must name this server (defeats DNS rebinding, where evil.example resolves to 127.0.0.1)
+// - Origin, when sent, must be this server's own origin (CORS is only granted to it)
+// - /api/* requires the per-launch token (header, or ?token= for EventSource)
+function isLoopbackHost(h) {
+  return h === 'localhost' || h === '::1' || /^127\./.test(h);
+}
+
+function allowedHosts(host, port) {
+  const names = new Set(['localhost', '127.0.0.1', '[::1]']);
+  if (host !== '0.0.0.0' && host !== '::') {
+    names.add(host.includes(':') ? `[${host}]` : host);
+  } else if (ALLOW_REMOTE) {
+    // Listening on every interface: accept this machine's addresses and host name
+    for (const addrs of Object.values(os.networkInterfaces())) {
+      for (const a of addrs || []) names.add(a.family === 'IPv6' || a.family === 6 ? `[${a.address}]` : a.address);
+    }
+    names.add(os.hostname());
+    names.add(`${os.hostname()}.local`);
+  }
+  return new Set([...names].map(n => `${n.toLowerCase()}:${port}`));
+}
+let ALLOWED_HOSTS = allowedHosts(HOST, PORT); // reset by startServer for --port/--host
+
+function hostAllowed(req) {
+  const host = String(req.headers.host || '').toLowerCase();
+  return ALLOWED_HOSTS.has(/:\d+$/.test(host) ? host : `${host}:80`);
+}
+
+function originAllowed(origin) {
+  try {
+    const u = new URL(origin);
+    return u.protocol === 'http:' && ALLOWED_HOSTS.has(`${u.hostname.toLowerCase()}:${u.port || 80}`);
+  } catch {
+    return false;
+  }
+}
+
+function tokenValid(req) {
+  const q = url.parse(req.url, true).query || {};
+  const given = String(req.headers[TOKEN_HEADER] || q.token || '');
+  const a = Buffer.from(given);
+  const b = Buffer.from(API_TOKEN);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+async function route(req, res) {
   const parsed = url.parse(req.url);
   const pathname = parsed.pathname || '/';
 
-  // CORS for convenience (local usage)
-  res.setHeader('Access-Control-Allow-Origin', '*');
-  res.setHeader('Access-Control-Allow-Methods', 'GET,POST,OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  if (!hostAllowed(req)) {
+    return sendText(res, 403, 'Forbidden host');
+  }
+  const origin = req.headers.origin;
+  if (origin && !originAllowed(origin)) {
+    return sendText(res, 403, 'Forbidden origin');
+  }
+  // CORS only for this server's own origin(s) (e.g. UI on localhost talking to 127.0.0.1)
+  if (origin) {
+    res.setHeader('Access-Control-Allow-Origin', origin);
+    res.setHeader('Vary', 'Origin');
+    res.setHeader('Access-Control-Allow-Methods', 'GET,POST,PUT,DELETE,OPTIONS');
+    res.setHeader('Access-Control-Allow-Headers', `Content-Type, ${TOKEN_HEADER}`);
+  }
   if (req.method === 'OPTIONS') { res.writeHead(204); return res.end(); }
 
   if (pathname === '/api/ping') {
-    return sendJson(res, 200, { ok: true, ts: nowIso() });
+    return sendJson(res, 200, { ok: true, ts: nowIso(), authorized: tokenValid(req) });
+  }
+  if (pathname.startsWith('/api/') && !tokenValid(req)) {
+    return sendJson(res, 401, { ok: false, error: 'Missing or invalid API token; open the UI from the URL the server printed at startup' });
   }
   if (pathname === '/api/scan' && req.method === 'GET') {
     return scanHandler(req, res);
   }
+  if (pathname === '/api/scan/stream' && req.method === 'GET') {
+    return scanStreamHandler(req, res);
+  }
+  const cancelMatch = pathname.match(/^\/api\/scan\/([\w-]+)\/cancel$/);
+  if (cancelMatch && req.method === 'POST') {
+    return cancelScanHandler(req, res, cancelMatch[1]);
+  }
   if (pathname === '/api/apply' && req.method === 'POST') {
     return applyHandler(req, res);
   }
+  if (pathname === '/api/history' && req.method === 'GET') {
+    return historyHandler(req, res);
+  }
+  if (pathname === '/api/history/scans' && req.method === 'GET') {
+    return scanHistoryHandler(req, res);
+  }
+  if (pathname === '/api/audit' && req.method === 'GET') {
+    return auditHandler(req, res);
+  }
+  if (pathname === '/api/reports' && req.method === 'GET') {
+    return reportsHandler(req, res);
+  }
+  const reportMatch = pathname.match(/^\/api\/reports\/([\w-]+)$/);
+  if (reportMatch && req.method === 'GET') {
+    return reportHandler(req, res, reportMatch[1]);
+  }
+  if (pathname === '/api/protection' && req.method === 'GET') {
+    return protectionHandler(req, res);
+  }
+  if (pathname === '/api/protection' && req.method === 'PUT') {
+    return updateProtectionHandler(req, res);
+  }
+  if (pathname === '/api/categories' && req.method === 'GET') {
+    return categoriesHandler(req, res);
+  }
+  if (pathname === '/api/tools' && req.method === 'GET') {
+    return toolsHandler(req, res);
+  }
+  if (pathname === '/api/disk' && req.method === 'GET') {
+    return diskHandler(req, res);
+  }
+  if (pathname === '/api/largest' && req.method === 'GET') {
+    return largestHandler(req, res);
+  }
+  if (pathname === '/api/largest/stream' && req.method === 'GET') {
+    return largestStreamHandler(req, res);
+  }
+  if (pathname === '/api/restore' && req.method === 'POST') {
+    return restoreHandler(req, res);
+  }
+  if (pathname === '/api/jobs' && req.method === 'POST') {
+    return createJobHandler(req, res);
+  }
+  if (pathname === '/api/jobs' && req.method === 'GET') {
+    return listJobsHandler(req, res);
+  }
+  const jobMatch = pathname.match(/^\/api\/jobs\/([\w-]+)(\/events|\/cancel)?$/);
+  if (jobMatch) {
+    const [, jobId, sub] = jobMatch;
+    if (!sub && req.method === 'GET') return getJobHandler(req, res, jobId);
+    if (sub === '/events' && req.method === 'GET') return jobEventsHandler(req, res, jobId);
+    if (sub === '/cancel' && req.method === 'POST') return cancelJobHandler(req, res, jobId);
+  }
+  if (pathname === '/api/policies' && req.method === 'GET') {
+    return listPoliciesHandler(req, res);
+  }
+  if (pathname === '/api/policies' && req.method === 'POST') {
+    return createPolicyHandler(req, res);
+  }
+  const policyMatch = pathname.match(/^\/api\/policies\/([\w-]+)(\/run|\/runs)?$/);
+  if (policyMatch) {
+    const [, policyId, sub] = policyMatch;
+    if (!sub && req.method === 'PUT') return updatePolicyHandler(req, res, policyId);
+    if (!sub && req.method === 'DELETE') return deletePolicyHandler(req, res, policyId);
+    if (sub === '/run' && req.method === 'POST') return runPolicyHandler(req, res, policyId);
+    if (sub === '/runs' && req.method === 'GET') return policyRunsHandler(req, res, policyId);
+  }
   // Static
   return serveStatic(req, res);
+}
+
+// A handler that throws answers 500 instead of taking the server down with an unhandled rejection
+const server = http.createServer((req, res) => {
+  route(req, res).catch((e) => {
+    console.error(`[server] ${req.method} ${req.url} failed:`, e && e.stack ? e.stack : String(e));
+    if (res.headersSent) return res.end();
+    sendJson(res, 500, { ok: false, error: String(e && e.message ? e.message : e) });
+  });
 });
 
-server.listen(PORT, () => {
-  console.log(`[server] Listening on http://localhost:${PORT}`);
-  console.log(`[server] Open index.html in a browser; the UI will auto-detect the backend and auto-scan.`);
-});
\ No newline at end of file
+function startServer({ port = PORT, host = HOST } = {}) {
+  if (!isLoopbackHost(host) && !ALLOW_REMOTE) {
+    console.error(`[server] Refusing to listen on ${host}: the API can delete files. Set DISK_CLEANER_ALLOW_REMOTE=1 to allow non-loopback interfaces.`);
+    process.exit(1);
+  }
+  ALLOWED_HOSTS = allowedHosts(host, port);
+  policies.start();
+  server.listen(port, host, () => {
+    const shown = isLoopbackHost(host) ? 'localhost' : host;
+    console.log(`[server] Listening on http://${shown}:${port} (bound to ${host})`);
+    console.log(`[server] API token: ${API_TOKEN}`);
+    console.log(`[server] Open http://${shown}:${port}/index.html in a browser; the UI will auto-detect the backend and auto-scan.`);
+  });
+}
+
+// Command line: the same scan/apply engine without HTTP
+//   node server.js [serve] [--port N] [--host H]
+//   node server.js scan [--include a,b] [--exclude x] [--min-size 50M] [--older-than 30] [--downloads]
+//                       [--rollup [N]] [--refresh] [--whole-stores] [--concurrency N] [--json out.json|-] [--limit N]
+//   node server.js apply --plan plan.(json|txt) [--dry-run] [--delete --yes] [--allow-changed] [--json out.json|-]
+// Exit codes: 0 ok, 1 error, 2 usage, 3 apply finished with skipped/missing/changed/failed items, 130 interrupted
+const CLI_USAGE = `Usage:
+  node server.js [serve] [--port N] [--host H]      Start the UI/API server (default)
+  node server.js scan [options]                     Scan and print a table (or write report JSON)
+      --include a,b  --exclude x,y  --downloads     Categories (see GET /api/categories)
+      --min-size N[K|M|G]  --older-than DAYS        Filters (default: category rules, else 50M / 30 days)
+      --rollup [N]  --refresh  --concurrency N      Folder roll-up depth, ignore scan index, parallel dirs
+      --whole-stores                                Also report npm/pnpm/pip/docker cleanups, which ignore the age filter
+      --json FILE|-  --limit N                      Write the report JSON (- = stdout); rows in the table (50)
+  node server.js largest [--root DIR] [--top N]     List the largest files and folders anywhere below DIR (default: home)
+      --json FILE|-                                 Write the result JSON
+  node server.js apply --plan FILE [options]        Apply a plan (UI export, report JSON or one path per line)
+      --dry-run                                     Only report what would happen
+      --delete --yes                                Permanently delete instead of moving to Trash
+      --allow-changed                               Also apply items that changed since the scan
+      --json FILE|-                                 Write the apply response JSON
+  node server.js check PATH...                      Whether paths are protected (protection.json deny/allow lists)
+Exit codes: 0 ok, 1 error, 2 usage, 3 some apply items were skipped/missing/changed/failed or a checked path is
+protected, 130 interrupted`;
+
+class UsageError extends Error {}
+
+function parseCliArgs(argv) {
+  const BOOLEAN = new Set(['downloads', 'refresh', 'whole-stores', 'dry-run', 'delete', 'yes', 'allow-changed', 'help']);
+  const opts = { _: [] };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (arg === '-h') { opts.help = true; continue; }
+    if (!arg.startsWith('--')) { opts._.push(arg); continue; }
+    const [name, inline] = arg.slice(2).split(/=(.*)/s);
+    if (BOOLEAN.has(name)) { opts[name] = true; continue; }
+    if (name === 'rollup') {
+      // optional depth
+      const next = inline !== undefined ? inline : (/^\d+$/.test(argv[i + 1] || '') ? argv[++i] : undefined);
+      opts.rollup = next !== undefined ? Number(next) : DEFAULT_ROLLUP_DEPTH;
+      continue;
+    }
+    const value = inline !== undefined ? inline : argv[++i];
+    if (value === undefined) throw new UsageError(`Missing value for --${name}`);
+    opts[name] = value;
+  }
+  return opts;
+}
+
+// 50M, 1.5G, 200k, 1048576 -> bytes (1024-based, like find -size)
+function parseSize(v) {
+  const m = String(v).trim().match(/^(\d+(?:\.\d+)?)\s*([kmgt]?)b?$/i);
+  if (!m) throw new UsageError(`Invalid size: ${v}`);
+  const exp = ' kmgt'.indexOf(m[2].toLowerCase() || ' ');
+  return Math.round(Number(m[1]) * Math.pow(1024, exp));
+}
+
+function cliScanQuery(opts) {
+  const q = new URLSearchParams();
+  if (opts['min-size'] !== undefined) q.set('minSize', String(parseSize(opts['min-size'])));
+  if (opts['older-than'] !== undefined) {
+    if (!/^\d+$/.test(opts['older-than'])) throw new UsageError(`Invalid --older-than: ${opts['older-than']}`);
+    q.set('olderThan', opts['older-than']);
+  }
+  if (opts.include) q.set('include', opts.include);
+  if (opts.exclude) q.set('exclude', opts.exclude);
+  if (opts.downloads) q.set('downloads', '1');
+  if (opts.refresh) q.set('refresh', '1');
+  if (opts['whole-stores']) q.set('wholeStores', '1');
+  if (opts.concurrency) q.set('concurrency', opts.concurrency);
+  if (opts.rollup) {
+    q.set('rollup', '1');
+    q.set('rollupDepth', String(opts.rollup));
+  }
+  const known = scanner.categories().map(c => c.id);
+  const unknown = [...(opts.include || '').split(','), ...(opts.exclude || '').split(',')]
+    .map(c => c.trim()).filter(c => c && !known.includes(c));
+  if (unknown.length) throw new UsageError(`Unknown categories: ${unknown.join(', ')} (known: ${known.join(', ')})`);
+  return parseQuery(`/?${q.toString()}`);
+}
+
+function writeJsonOutput(target, body) {
+  const json = JSON.stringify(body, null, 2) + '\n';
+  if (target === '-') process.stdout.write(json);
+  else fs.writeFileSync(target, json);
+}
+
+function printTable(rows, columns) {
+  const widths = columns.map(c => Math.max(c.title.length, ...rows.map(r => String(c.get(r)).length)));
+  const line = (cells) => cells.map((v, i) => (columns[i].right ? String(v).padStart(widths[i]) : String(v).padEnd(widths[i]))).join('  ').trimEnd();
+  console.log(line(columns.map(c => c.title)));
+  for (const r of rows) console.log(line(columns.map(c => c.get(r))));
+}
+
+// SIGINT cancels the running scan/apply (partial results are still reported)
+function cliSignal() {
+  const controller = new AbortController();
+  process.once('SIGINT', () => {
+    console.error('\n[cli] interrupted; finishing with partial results (Ctrl-C again to quit)');
+    controller.abort();
+    process.once('SIGINT', () => process.exit(130));
+  });
+  return controller.signal;
+}
+
+async function cliScan(opts) {
+  const query = cliScanQuery(opts);
+  const limit = opts.limit !== undefined ? Number(opts.limit) : 50;
+  if (!Number.isInteger(limit) || limit < 0) throw new UsageError(`Invalid --limit: ${opts.limit}`);
+
+  // Progress on stderr when it is a terminal, so stdout stays clean for --json -
+  let hooks = {};
+  if (process.stderr.isTTY) {
+    const reporter = createScanReporter((event, data) => {
+      if (event !== 'progress') return;
+      process.stderr.write(`\r\x1b[K${data.category || ''} ${data.dirs} folders, ${data.count} items, ${humanize(data.bytes)}`);
+    });
+    hooks = reporter.hooks;
+  }
+  const signal = cliSignal();
+  const report = await scanner.scan({ ...query, hooks, signal });
+  if (process.stderr.isTTY) process.stderr.write('\r\x1b[K');
+
+  if (opts.json) {
+    writeJsonOutput(opts.json, report);
+    if (opts.json !== '-') console.error(`[cli] wrote ${report.items.length} items to ${opts.json}`);
+  } else {
+    const rows = [...report.items].sort((a, b) => b.bytes - a.bytes).slice(0, limit || undefined);
+    printTable(rows, [
+      { title: 'ON DISK', right: true, get: r => humanize(r.bytes) },
+      { title: 'APPARENT', right: true, get: r => (r.apparentBytes !== undefined ? humanize(r.apparentBytes) : '-') },
+      { title: 'MODIFIED', get: r => (r.mtime ? new Date(r.mtime * 1000).toISOString().slice(0, 10) : '-') },
+      { title: 'CATEGORY', get: r => r.category },
+      { title: 'TYPE', get: r => r.kind || '-' },
+      { title: 'PATH', get: r => `${r.path}${r.type === 'dir' ? '/' : ''}${r.trashable === false ? ' (read-only)' : ''}` }
+    ]);
+    const more = report.items.length > rows.length ? ` (showing ${rows.length}; use --limit 0 for all)` : '';
+    console.log(`\n${report.totals.count} items, ${humanize(report.totals.bytes)} on disk (${humanize(report.totals.apparentBytes)} apparent) in ${report.categories.join(', ')}${more}`);
+  }
+  return report.cancelled ? 130 : 0;
+}
+
+async function cliLargest(opts) {
+  if (opts.top !== undefined && !/^\d+$/.test(opts.top)) throw new UsageError(`Invalid --top: ${opts.top}`);
+  const params = scanner.largestParams({ root: opts.root, top: opts.top, concurrency: opts.concurrency });
+  if (params.error) throw new UsageError(params.error);
+  const onProgress = process.stderr.isTTY
+    ? (stats) => process.stderr.write(`\r\x1b[K${stats.dirs} folders, ${stats.files} files, ${humanize(stats.bytes)}`)
+    : undefined;
+  const result = await scanner.largest({ ...params, hooks: { onProgress }, signal: cliSignal() });
+  if (process.stderr.isTTY) process.stderr.write('\r\x1b[K');
+
+  if (opts.json) {
+    writeJsonOutput(opts.json, result);
+  } else {
+    const columns = [
+      { title: 'ON DISK', right: true, get: r => humanize(r.bytes) },
+      { title: 'APPARENT', right: true, get: r => humanize(r.apparentBytes) },
+      { title: 'MODIFIED', get: r => (r.mtime ? new Date(r.mtime * 1000).toISOString().slice(0, 10) : '-') },
+      { title: 'PATH', get: r => `${r.path}${r.type === 'dir' ? `/ (${r.files} files)` : ''}` }
+    ];
+    console.log('Largest files');
+    printTable(result.files, columns);
+    console.log('\nLargest folders');
+    printTable(result.dirs, columns);
+    console.log(`\n${result.totals.files} files in ${result.totals.dirs} folders, ${humanize(result.totals.bytes)} on disk below ${result.root}`);
+  }
+  return result.cancelled ? 130 : 0;
+}
+
+// Plan file: UI plan / report JSON ({ items: [ { path, category } ] }) or plain text with one path per line
+function readPlanFile(file) {
+  let text;
+  try {
+    text = fs.readFileSync(file, 'utf8');
+  } catch (e) {
+    throw new UsageError(`Cannot read plan ${file}: ${e.message}`);
+  }
+  if (text.trim().startsWith('{')) {
+    let plan;
+    try {
+      plan = JSON.parse(text);
+    } catch (e) {
+      throw new UsageError(`Invalid plan JSON in ${file}: ${e.message}`);
+    }
+    if (!Array.isArray(plan.items)) throw new UsageError(`Invalid plan JSON in ${file}; expected { items: [ { path, category } ] }`);
+    return plan;
+  }
+  const items = text.split('\n').map(l => l.trim()).filter(l => l && !l.startsWith('#')).map(p => ({ path: scanner.expandHome(p) }));
+  return { items };
+}
+
+async function cliApply(opts) {
+  if (!opts.plan) throw new UsageError('apply needs --plan FILE');
+  const plan = readPlanFile(opts.plan);
+  const mode = opts.delete ? 'delete' : 'trash';
+  const dryRun = !!opts['dry-run'];
+  if (mode === 'delete' && !dryRun && !opts.yes) {
+    throw new UsageError('Permanent delete needs --yes (or use --dry-run first)');
+  }
+  const allowChanged = !!opts['allow-changed'];
+  let origin = os.hostname();
+  try { origin = `${os.userInfo().username}@${origin}`; } catch {}
+  const resp = applyResponse(await scanner.apply(plan, { dryRun, mode, allowChanged, source: 'cli', origin, signal: cliSignal() }));
+
+  if (opts.json) {
+    writeJsonOutput(opts.json, resp);
+  } else {
+    printTable(resp.details, [
+      { title: 'STATUS', get: d => d.status },
+      { title: 'SIZE', right: true, get: d => (d.bytes !== undefined ? humanize(d.bytes) : '-') },
+      { title: 'PATH', get: d => `${d.path}${d.rule ? ` (protected: ${d.rule})` : d.reason ? ` (${d.reason})` : d.error ? ` (${d.error})` : d.strategy && d.strategy !== 'rename' ? ` (${d.strategy === 'copy' ? 'copied to' : 'moved to'} ${d.dest})` : ''}` }
+    ]);
+    // Native actions: what each tool printed
+    for (const d of resp.details.filter(x => Array.isArray(x.commands))) {
+      if (d.wouldRun) console.log(`\nWould run: ${d.wouldRun}`);
+      for (const c of d.commands) {
+        console.log(`\n$ ${c.command}  (exit ${c.exitCode === null ? c.error : c.exitCode})`);
+        const out = `${c.stdout}${c.stderr}`.trim();
+        if (out) console.log(out);
+      }
+    }
+    const s = resp.summary;
+    console.log(`\n${dryRun ? '[DRY RUN] ' : ''}${s.count} items, ${s.human} (${mode})${s.cancelled ? ' — interrupted' : ''}`);
+    if (s.changedSinceScan) console.log(`${s.changedSinceScan} item(s) changed since the scan and were skipped; rescan, or pass --allow-changed`);
+    if (s.disk) console.log(`Free space ${s.disk.freed >= 0 ? 'gained' : 'lost'}: ${humanize(Math.abs(s.disk.freed))} (${s.disk.volumes.map(v => `${v.path}: ${humanize(v.freeAfter)} free`).join(', ')})`);
+    if (!dryRun && mode === 'trash') console.log(`Undo with the UI's "Undo Last Apply" or POST /api/restore { "applyId": "${resp.applyId}" }`);
+  }
+  if (resp.summary.cancelled) return 130;
+  const ok = new Set(['dry', 'trashed', 'deleted', 'ran']);
+  return resp.details.every(d => ok.has(d.status)) ? 0 : 3;
+}
+
+// One line per path: "protected<TAB>rule<TAB>path" (the path or something inside it is protected) or "ok<TAB><TAB>path".
+// disk_cleaner.sh uses it so the shell CLI enforces the same protected-path list as the server.
+function cliCheck(opts) {
+  const paths = opts._.slice(1);
+  if (!paths.length) throw new UsageError('check needs at least one PATH');
+  let anyProtected = false;
+  for (const p of paths) {
+    const c = scanner.checkPath(p);
+    const rule = c.protected ? c.rule : c.contains;
+    if (rule) anyProtected = true;
+    console.log(`${rule ? 'protected' : 'ok'}\t${rule || ''}\t${c.path}`);
+  }
+  return anyProtected ? 3 : 0;
+}
+
+async function main(argv) {
+  let opts;
+  try {
+    opts = parseCliArgs(argv);
+    const command = opts._[0] || 'serve';
+    if (opts.help || command === 'help') {
+      console.log(CLI_USAGE);
+      return 0;
+    }
+    if (command === 'serve') {
+      const port = opts.port !== undefined ? Number(opts.port) : PORT;
+      if (!Number.isInteger(port) || port <= 0 || port > 65535) throw new UsageError(`Invalid --port: ${opts.port}`);
+      startServer({ port, host: opts.host || HOST });
+      return null; // keep running
+    }
+    if (command === 'scan') return await cliScan(opts);
+    if (command === 'largest') return await cliLargest(opts);
+    if (command === 'apply') return await cliApply(opts);
+    if (command === 'check') return cliCheck(opts);
+    throw new UsageError(`Unknown command: ${command}`);
+  } catch (e) {
+    if (e instanceof UsageError) {
+      console.error(`[cli] ${e.message}\n\n${CLI_USAGE}`);
+      return 2;
+    }
+    console.error('[cli] failed:', e && e.stack ? e.stack : String(e));
+    return 1;
+  }
+}
+
+// The engine itself is scanner.js; requiring server.js does not start anything
+if (require.main === module) {
+  main(process.argv.slice(2)).then((code) => {
+    if (code !== null) process.exitCode = code;
+  });
+}
+
+module.exports = { startServer, main };
@@ -0,0 +1,140 @@
+// Cleanup policy runs against a temporary HOME: run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScanner } = require('../scanner');
+const { createPolicyScheduler } = require('../policies');
+
+const OLD = new Date(Date.now() - 90 * 86400 * 1000);
+
+function fakeHome(names) {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'dc-home-'));
+  test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  for (const name of names) {
+    const p = path.join(home, 'Downloads', name);
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, Buffer.alloc(64 * 1024, name));
+    fs.utimesSync(p, OLD, OLD);
+  }
+  return home;
+}
+
+// Run a policy now and wait for its run record
+async function runPolicy(policies, id) {
+  assert.ok(policies.runNow(id));
+  for (let i = 0; i < 600; i++) {
+    const [run] = policies.runs(id, 1);
+    if (run) return run;
+    await new Promise(resolve => setTimeout(resolve, 50));
+  }
+  throw new Error('policy run did not finish');
+}
+
+test('dry run first: the dry run is recorded and only the items it passed are applied', async () => {
+  const home = fakeHome(['a.zip', 'b.zip']);
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  // b.zip goes away between the scan and the dry run
+  const policies = createPolicyScheduler({
+    scanner: {
+      ...scanner,
+      scan: async (opts) => {
+        const report = await scanner.scan(opts);
+        fs.rmSync(path.join(home, 'Downloads', 'b.zip'));
+        return report;
+      }
+    }
+  });
+  const policy = policies.create({ name: 'downloads', schedule: '7d', include: ['downloads'], minSize: 0, olderThan: 30, dryRunFirst: true });
+  assert.strictEqual(policy.dryRunFirst, true);
+
+  const run = await runPolicy(policies, policy.id);
+  assert.strictEqual(run.status, 'done', run.error);
+  assert.deepStrictEqual(run.dryRunFirst.statuses, { dry: 1, missing: 1 });
+  assert.strictEqual(run.dryRunFirst.summary.dryRun, true);
+  assert.notStrictEqual(run.dryRunFirst.applyId, run.applyId);
+  assert.deepStrictEqual(run.details.map(d => [path.basename(d.path), d.status]), [['a.zip', 'trashed']]);
+  assert.ok(!fs.existsSync(path.join(home, 'Downloads', 'a.zip')));
+});
+
+// A fake home with an npm cache and a stand-in npm first on PATH that records its arguments in npm.log
+function npmHome(t) {
+  const home = fakeHome([]);
+  const cache = path.join(home, '.npm', '_cacache', 'content-v2');
+  fs.mkdirSync(cache, { recursive: true });
+  fs.writeFileSync(path.join(cache, 'blob'), Buffer.alloc(64 * 1024, 'npm'));
+  fs.utimesSync(path.join(cache, 'blob'), OLD, OLD);
+  const bin = path.join(home, 'bin');
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(bin, 'npm'), `#!/bin/sh\necho "$@" >> "${path.join(home, 'npm.log')}"\n`, { mode: 0o755 });
+  const savedPath = process.env.PATH;
+  process.env.PATH = `${bin}${path.delimiter}${savedPath}`;
+  t.after(() => { process.env.PATH = savedPath; });
+  return home;
+}
+
+test('a policy with an age filter leaves whole-store tool cleanups alone', async (t) => {
+  const home = npmHome(t);
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const policies = createPolicyScheduler({ scanner });
+  const policy = policies.create({ name: 'npm', schedule: '7d', include: ['pkg'], minSize: 0, olderThan: 60 });
+  const run = await runPolicy(policies, policy.id);
+  assert.strictEqual(run.status, 'done', run.error);
+  assert.strictEqual(run.selected.count, 0);
+  assert.ok(!fs.existsSync(path.join(home, 'npm.log')));
+
+  // Not walked file by file either: the store belongs to npm
+  const report = await scanner.scan({ include: ['pkg'], minSize: 0, olderThan: 60 });
+  assert.deepStrictEqual(report.items, []);
+});
+
+test('a wholeStores policy runs the native tool instead of reporting it missing', async (t) => {
+  const home = npmHome(t);
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const policies = createPolicyScheduler({ scanner });
+  const policy = policies.create({ name: 'npm', schedule: '7d', include: ['pkg'], minSize: 0, olderThan: 60, wholeStores: true });
+  const run = await runPolicy(policies, policy.id);
+  assert.strictEqual(run.status, 'done', run.error);
+  const npm = run.details.find(d => d.action === 'npm-cache');
+  assert.ok(npm, JSON.stringify(run.details));
+  assert.strictEqual(npm.status, 'ran');
+  assert.deepStrictEqual(fs.readFileSync(path.join(home, 'npm.log'), 'utf8').trim().split('\n'), ['cache clean --force', 'cache verify']);
+});
+
+test('apply runs a whole-store tool cleanup only for plan items flagged wholeStore', async (t) => {
+  const home = npmHome(t);
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const report = await scanner.scan({ include: ['pkg'], minSize: 0, olderThan: 60, wholeStores: true });
+  const [item] = report.items;
+  assert.strictEqual(item.type, 'native');
+  assert.strictEqual(item.wholeStore, true);
+  assert.match(item.reason, /regardless of age/);
+
+  const { wholeStore, ...unflagged } = item;
+  const details = await scanner.apply({ items: [unflagged, item] }, { mode: 'trash', dryRun: true });
+  assert.deepStrictEqual(details.map(d => d.status), ['skipped', 'dry']);
+  assert.strictEqual(details[0].reason, 'whole_store_not_confirmed');
+});
+
+test('native plan items run the tool on its own store; unknown actions and protected stores are skipped', async (t) => {
+  const home = npmHome(t);
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const report = await scanner.scan({ include: ['pkg'], minSize: 0, olderThan: 0 });
+  const [item] = report.items;
+  assert.deepStrictEqual([item.type, item.action, item.tool, item.path], ['native', 'npm-cache', 'npm', 'npm cache clean --force && npm cache verify']);
+  assert.deepStrictEqual(item.roots, [path.join(home, '.npm', '_cacache')]);
+  assert.ok(item.bytes >= 64 * 1024);
+
+  const details = await scanner.apply({ items: [item, { path: 'rm -rf ~', action: 'rm-rf' }] }, { mode: 'trash' });
+  assert.deepStrictEqual(details.map(d => d.status), ['ran', 'skipped']);
+  assert.deepStrictEqual(details[0].commands.map(c => [c.command, c.exitCode]), [['npm cache clean --force', 0], ['npm cache verify', 0]]);
+  assert.strictEqual(details[1].reason, 'unknown_action');
+  assert.strictEqual(details.summary.count, 1);
+
+  const { deny, allow } = scanner.getProtection();
+  scanner.setProtection({ deny: [...deny, '~/.npm'], allow });
+  const [denied] = await scanner.apply({ items: [item] }, { mode: 'trash' });
+  assert.deepStrictEqual([denied.status, denied.reason], ['skipped', 'deny_listed']);
+  assert.strictEqual(fs.readFileSync(path.join(home, 'npm.log'), 'utf8').trim().split('\n').length, 2);
+});
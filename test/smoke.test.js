@@ -0,0 +1,433 @@
+// Scan and apply smoke tests against a temporary HOME, through the library and the command line:
+// run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const http = require('http');
+const { spawn, spawnSync } = require('child_process');
+const { createScanner } = require('../scanner');
+
+const SERVER = path.join(__dirname, '..', 'server.js');
+const OLD = new Date(Date.now() - 90 * 86400 * 1000);
+
+function fakeHome() {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'dc-home-'));
+  test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  for (const name of ['old.dmg', 'older.zip']) {
+    const p = path.join(home, 'Downloads', name);
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, Buffer.alloc(128 * 1024, name));
+    fs.utimesSync(p, OLD, OLD);
+  }
+  fs.mkdirSync(path.join(home, 'Documents'), { recursive: true });
+  fs.writeFileSync(path.join(home, 'Documents', 'keep.txt'), 'protected');
+  return home;
+}
+
+// The CLI with HOME pointing at the fake home (XDG variables would move the data folder and Trash out of it)
+function cli(home, args) {
+  const env = { ...process.env, HOME: home, DISK_CLEANER_DATA_DIR: path.join(home, '.dc-data') };
+  for (const k of Object.keys(env)) if (k.startsWith('XDG_')) delete env[k];
+  return spawnSync(process.execPath, [SERVER, ...args], { env, encoding: 'utf8', timeout: 60000 });
+}
+
+// The HTTP server on a free-ish port with a fixed token; resolves once it is listening
+let nextPort = 20000 + (process.pid % 20000);
+async function serve(t, home) {
+  const port = nextPort++;
+  const env = { ...process.env, HOME: home, PORT: String(port), DISK_CLEANER_TOKEN: 'tok123', DISK_CLEANER_DATA_DIR: path.join(home, '.dc-data') };
+  for (const k of Object.keys(env)) if (k.startsWith('XDG_')) delete env[k];
+  const child = spawn(process.execPath, [SERVER], { env, stdio: ['ignore', 'pipe', 'pipe'] });
+  t.after(() => child.kill());
+  await new Promise((resolve, reject) => {
+    const timer = setTimeout(() => reject(new Error('server did not start')), 20000);
+    child.stdout.on('data', (chunk) => { if (/Listening on/.test(chunk)) { clearTimeout(timer); resolve(); } });
+    child.on('exit', (code) => { clearTimeout(timer); reject(new Error(`server exited with ${code}`)); });
+  });
+  return port;
+}
+
+// One request to the test server: { status, body } (body parsed as JSON when it is JSON)
+function request(port, { method = 'GET', path: p = '/api/ping', headers = {}, body } = {}) {
+  return new Promise((resolve, reject) => {
+    const req = http.request({ host: '127.0.0.1', port, method, path: p, headers: { 'X-Disk-Cleaner-Token': 'tok123', ...headers } }, (res) => {
+      let text = '';
+      res.setEncoding('utf8');
+      res.on('data', (chunk) => { text += chunk; });
+      res.on('end', () => {
+        let parsed = text;
+        try { parsed = JSON.parse(text); } catch {}
+        resolve({ status: res.statusCode, body: parsed });
+      });
+    });
+    req.on('error', reject);
+    req.end(body === undefined ? undefined : JSON.stringify(body));
+  });
+}
+
+test('library: scan, dry run, trash and restore in a fake home', async () => {
+  const home = fakeHome();
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const report = await scanner.scan({ include: ['downloads'], minSize: 0, olderThan: 30 });
+  assert.deepStrictEqual(report.items.map(it => path.basename(it.path)).sort(), ['old.dmg', 'older.zip']);
+  assert.deepStrictEqual(report.items.map(it => it.kind).sort(), ['archive', 'disk-image']);
+  assert.strictEqual(report.totals.count, 2);
+  assert.ok(report.items.every(it => it.fingerprint && it.fingerprint.type === 'file' && it.fingerprint.size === 128 * 1024));
+
+  const dry = await scanner.apply({ items: report.items }, { mode: 'trash', dryRun: true });
+  assert.deepStrictEqual(dry.map(d => d.status), ['dry', 'dry']);
+  assert.ok(report.items.every(it => fs.existsSync(it.path)));
+
+  const plan = { items: [...report.items, { path: path.join(home, 'Documents', 'keep.txt'), category: 'downloads' }, null] };
+  const applied = await scanner.apply(plan, { mode: 'trash' });
+  assert.deepStrictEqual(applied.map(d => d.status), ['trashed', 'trashed', 'skipped', 'skipped']);
+  assert.deepStrictEqual(applied.slice(2).map(d => d.reason), ['deny_listed', 'invalid_item']);
+  assert.ok(report.items.every(it => !fs.existsSync(it.path)));
+  assert.ok(applied.slice(0, 2).every(d => d.dest.startsWith(home + path.sep) && fs.existsSync(d.dest)));
+  assert.ok(fs.existsSync(path.join(home, 'Documents', 'keep.txt')));
+
+  const restored = await scanner.restore({ last: true });
+  assert.strictEqual(restored.summary.count, 2);
+  assert.ok(report.items.every(it => fs.existsSync(it.path)));
+});
+
+test('command line: scan --json and apply --plan with HOME set to a fake home', () => {
+  const home = fakeHome();
+  const scan = cli(home, ['scan', '--include', 'downloads', '--min-size', '0', '--older-than', '30', '--json', '-']);
+  assert.strictEqual(scan.status, 0, scan.stderr);
+  const report = JSON.parse(scan.stdout);
+  assert.strictEqual(report.home, home);
+  assert.strictEqual(report.items.length, 2);
+
+  const planFile = path.join(home, 'plan.json');
+  fs.writeFileSync(planFile, JSON.stringify(report));
+  const dry = cli(home, ['apply', '--plan', planFile, '--dry-run']);
+  assert.strictEqual(dry.status, 0, dry.stderr);
+  assert.ok(report.items.every(it => fs.existsSync(it.path)));
+
+  const apply = cli(home, ['apply', '--plan', planFile, '--json', '-']);
+  assert.strictEqual(apply.status, 0, apply.stderr);
+  const resp = JSON.parse(apply.stdout);
+  assert.deepStrictEqual(resp.details.map(d => d.status), ['trashed', 'trashed']);
+  assert.ok(report.items.every(it => !fs.existsSync(it.path)));
+});
+
+test('largest leaves out protected files, by path and by glob pattern', async () => {
+  const home = fakeHome();
+  fs.writeFileSync(path.join(home, 'Downloads', 'disk.vmdk'), Buffer.alloc(256 * 1024, 'vm'));
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const { deny, allow } = scanner.getProtection();
+  scanner.setProtection({ deny: [...deny, '**/*.vmdk', '~/Downloads/old.dmg'], allow });
+
+  const result = await scanner.largest({ top: 10 });
+  assert.deepStrictEqual(result.files.map(f => path.basename(f.path)), ['older.zip']);
+  assert.strictEqual(result.totals.files, 1);
+  const skipped = result.protection.skipped.map(s => path.relative(home, s.path)).sort();
+  assert.deepStrictEqual(skipped, ['Documents', path.join('Downloads', 'disk.vmdk'), path.join('Downloads', 'old.dmg')]);
+  // The root is the listing itself, not one of its folders
+  assert.deepStrictEqual(result.dirs.map(d => path.relative(home, d.path)), ['Downloads']);
+  assert.strictEqual(result.tree[0].path, home);
+});
+
+test('files without a known extension are classified by their magic bytes', async () => {
+  const home = fakeHome();
+  const blob = path.join(home, 'Downloads', 'download');
+  fs.writeFileSync(blob, Buffer.concat([Buffer.from('PK\x03\x04', 'latin1'), Buffer.alloc(128 * 1024)]));
+  fs.utimesSync(blob, OLD, OLD);
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const report = await scanner.scan({ include: ['downloads'], minSize: 0, olderThan: 30 });
+  const item = report.items.find(it => it.path === blob);
+  assert.strictEqual(item.kind, 'archive');
+  assert.ok(item.fingerprint);
+  assert.strictEqual(report.kinds.archive.count, 2);
+});
+
+test('stores cleaned by an installed tool are left out of other walks', async (t) => {
+  const home = fakeHome();
+  for (const rel of [['.cache', 'pip', 'http', 'wheel.bin'], ['.cache', 'thumbs', 'big.bin']]) {
+    const p = path.join(home, ...rel);
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, Buffer.alloc(128 * 1024, 'c'));
+    fs.utimesSync(p, OLD, OLD);
+  }
+  const bin = path.join(home, 'bin');
+  fs.mkdirSync(bin);
+  fs.writeFileSync(path.join(bin, 'pip3'), '#!/bin/sh\n', { mode: 0o755 });
+  const savedPath = process.env.PATH;
+  process.env.PATH = `${bin}${path.delimiter}${savedPath}`;
+  t.after(() => { process.env.PATH = savedPath; });
+
+  const scanner = createScanner({ home, env: {}, platform: 'linux', dataDir: path.join(home, '.dc-data') });
+  const report = await scanner.scan({ include: ['user-caches'], minSize: 0, olderThan: 30 });
+  assert.deepStrictEqual(report.items.map(it => path.relative(home, it.path)), [path.join('.cache', 'thumbs', 'big.bin')]);
+
+  // A rolled-up folder holding the store cannot be trashed as a unit
+  const rolled = await scanner.scan({ include: ['full'], minSize: 0, olderThan: 0, rollup: true, rollupDepth: 1 });
+  const cache = rolled.items.find(it => it.path === path.join(home, '.cache'));
+  assert.strictEqual(cache.trashable, false);
+  assert.strictEqual(cache.bytes >= 128 * 1024 && cache.bytes < 256 * 1024, true);
+});
+
+test('last commit time is read from loose and packed objects, else the HEAD reflog', async () => {
+  const projects = require('../projects');
+  const repo = fs.mkdtempSync(path.join(os.tmpdir(), 'dc-repo-'));
+  test.after(() => fs.rmSync(repo, { recursive: true, force: true }));
+  const when = 1609459200; // 2021-01-01
+  const env = { ...process.env, GIT_AUTHOR_DATE: `${when} +0000`, GIT_COMMITTER_DATE: `${when} +0000`, GIT_CONFIG_NOSYSTEM: '1', HOME: repo };
+  const git = (...args) => {
+    const r = spawnSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd: repo, env, encoding: 'utf8', timeout: 60000 });
+    assert.strictEqual(r.status, 0, r.stderr);
+  };
+  git('init', '-q');
+  fs.writeFileSync(path.join(repo, 'a.txt'), 'a');
+  git('add', 'a.txt');
+  git('commit', '-qm', 'first');
+  assert.strictEqual(await projects.lastCommitTime(repo), when);
+
+  git('gc', '-q', '--prune=now');
+  assert.strictEqual(fs.readdirSync(path.join(repo, '.git', 'objects', 'pack')).some(n => n.endsWith('.pack')), true);
+  assert.strictEqual(await projects.lastCommitTime(repo), when);
+
+  fs.rmSync(path.join(repo, '.git', 'objects', 'pack'), { recursive: true });
+  const zero = '0'.repeat(40);
+  fs.writeFileSync(path.join(repo, '.git', 'logs', 'HEAD'), `${zero} ${'1'.repeat(40)} t <t@t> ${when + 60} +0000\tcommit: first\n`);
+  assert.strictEqual(await projects.lastCommitTime(repo), when + 60);
+});
+
+test('duplicates: same content groups by hash, hard links and same-size files stay out', async () => {
+  const home = fakeHome();
+  const dl = path.join(home, 'Downloads');
+  const mb2 = 2 * 1024 * 1024;
+  fs.writeFileSync(path.join(dl, 'a.bin'), Buffer.alloc(mb2, 'x'));
+  fs.utimesSync(path.join(dl, 'a.bin'), OLD, OLD);
+  fs.writeFileSync(path.join(dl, 'b.bin'), Buffer.alloc(mb2, 'x'));
+  fs.linkSync(path.join(dl, 'a.bin'), path.join(dl, 'a-link.bin'));
+  const other = Buffer.alloc(mb2, 'x');
+  other[mb2 - 1] = 0x79; // same size and head, different tail
+  fs.writeFileSync(path.join(dl, 'c.bin'), other);
+
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const report = await scanner.scan({ include: ['duplicates'], minSize: 0, olderThan: 0 });
+  assert.strictEqual(report.duplicates.length, 1);
+  const [group] = report.duplicates;
+  assert.strictEqual(group.count, 2);
+  assert.strictEqual(group.reclaimable, group.bytes);
+  const names = report.items.map(it => [path.basename(it.path), it.dupKeeper]).sort();
+  assert.strictEqual(names.length, 2);
+  assert.deepStrictEqual(names.find(([, keeper]) => keeper), [path.basename(group.keeper), true]);
+  assert.ok(['a.bin', 'a-link.bin'].includes(path.basename(group.keeper)));
+  assert.ok(names.some(([name]) => name === 'b.bin'));
+});
+
+test('rollup: a hard link counts toward the folder that is reported, not one filtered out', async () => {
+  const home = fakeHome();
+  const data = path.join(home, 'Downloads', 'a', 'data.bin');
+  fs.mkdirSync(path.dirname(data), { recursive: true });
+  fs.writeFileSync(data, Buffer.alloc(256 * 1024, 'l'));
+  fs.utimesSync(data, OLD, OLD);
+  fs.writeFileSync(path.join(home, 'Downloads', 'a', 'new.txt'), 'recent'); // keeps a/ out of a 30-day filter
+  // Deeper than a/, so its link is reached after a/ has been listed
+  const link = path.join(home, 'Downloads', 'b', 'deep', 'deeper', 'data.bin');
+  fs.mkdirSync(path.dirname(link), { recursive: true });
+  fs.linkSync(data, link);
+
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const report = await scanner.scan({ include: ['downloads'], minSize: 0, olderThan: 30, rollup: true, rollupDepth: 1 });
+  assert.ok(!report.items.some(it => it.path === path.dirname(data)));
+  const b = report.items.find(it => it.path === path.join(home, 'Downloads', 'b'));
+  assert.ok(b);
+  assert.ok(b.bytes >= 256 * 1024, String(b.bytes));
+});
+
+test('restore: a body that names nothing to restore is rejected with 400', async (t) => {
+  const home = fakeHome();
+  const port = await serve(t, home);
+  for (const body of [{}, [], { items: 'x' }, { items: [] }]) {
+    const res = await request(port, { method: 'POST', path: '/api/restore', headers: { 'Content-Type': 'application/json' }, body });
+    assert.strictEqual(res.status, 400, JSON.stringify(body));
+    assert.strictEqual(res.body.ok, false);
+    assert.match(res.body.error, /expected/);
+  }
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  assert.strictEqual((await scanner.restore({})).ok, false);
+});
+
+test('rollup: folders are reported as one item with their totals, newest file and protection', async () => {
+  const home = fakeHome();
+  const put = (rel, mtime) => {
+    const p = path.join(home, 'Downloads', ...rel.split('/'));
+    fs.mkdirSync(path.dirname(p), { recursive: true });
+    fs.writeFileSync(p, Buffer.alloc(64 * 1024, 'r'));
+    if (mtime) fs.utimesSync(p, mtime, mtime);
+  };
+  const older = new Date(OLD.getTime() - 86400 * 1000);
+  put('proj/a.bin', older);
+  put('proj/sub/b.bin', OLD);
+  put('young/c.bin');
+  put('mixed/keep.bin', OLD);
+  put('mixed/other.bin', OLD);
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const { deny, allow } = scanner.getProtection();
+  scanner.setProtection({ deny: [...deny, '~/Downloads/mixed/keep.bin'], allow });
+
+  const report = await scanner.scan({ include: ['downloads'], minSize: 0, olderThan: 30, rollup: true, rollupDepth: 1 });
+  const byName = new Map(report.items.map(it => [path.relative(path.join(home, 'Downloads'), it.path), it]));
+  assert.deepStrictEqual([...byName.keys()].sort(), ['mixed', 'old.dmg', 'older.zip', 'proj']);
+  const proj = byName.get('proj');
+  assert.strictEqual(proj.type, 'dir');
+  assert.strictEqual(proj.files, 2);
+  assert.strictEqual(proj.apparentBytes, 2 * 64 * 1024);
+  assert.strictEqual(proj.mtime, Math.floor(OLD.getTime() / 1000));
+  assert.strictEqual(proj.trashable, true);
+  const mixed = byName.get('mixed');
+  assert.strictEqual(mixed.trashable, false);
+  assert.strictEqual(mixed.files, 1);
+  assert.ok(mixed.protectedBy);
+});
+
+test('scan index: unchanged folders are reused, changed ones and refresh rescan', async () => {
+  const home = fakeHome();
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const params = { include: ['downloads'], minSize: 0, olderThan: 30 };
+  const first = await scanner.scan(params);
+  assert.strictEqual(first.index.dirsFromIndex, 0);
+  assert.ok(first.index.dirsRescanned > 0);
+
+  const second = await scanner.scan(params);
+  assert.strictEqual(second.index.dirsRescanned, 0);
+  assert.strictEqual(second.index.dirsFromIndex, first.index.dirsRescanned);
+  assert.deepStrictEqual(second.items.map(it => it.path).sort(), first.items.map(it => it.path).sort());
+
+  // A new entry changes the folder's mtime: only that folder is listed again
+  const dl = path.join(home, 'Downloads');
+  fs.writeFileSync(path.join(dl, 'new.iso'), Buffer.alloc(64 * 1024, 'n'));
+  fs.utimesSync(path.join(dl, 'new.iso'), OLD, OLD);
+  fs.utimesSync(dl, new Date(Date.now() + 5000), new Date(Date.now() + 5000));
+  const third = await scanner.scan(params);
+  assert.strictEqual(third.index.dirsRescanned, 1);
+  assert.ok(third.items.some(it => it.path === path.join(dl, 'new.iso')));
+
+  const refreshed = await scanner.scan({ ...params, refresh: true });
+  assert.strictEqual(refreshed.index.refresh, true);
+  assert.strictEqual(refreshed.index.dirsFromIndex, 0);
+});
+
+test('server: foreign Host and Origin headers are refused and the API needs the token', async (t) => {
+  const home = fakeHome();
+  const port = await serve(t, home);
+  const ping = await request(port, { headers: { 'X-Disk-Cleaner-Token': '' } });
+  assert.deepStrictEqual([ping.status, ping.body.authorized], [200, false]);
+
+  assert.strictEqual((await request(port, { path: '/api/categories', headers: { 'X-Disk-Cleaner-Token': '' } })).status, 401);
+  assert.strictEqual((await request(port, { path: '/api/categories', headers: { 'X-Disk-Cleaner-Token': 'tok124' } })).status, 401);
+  assert.strictEqual((await request(port, { path: '/api/categories' })).status, 200);
+  assert.strictEqual((await request(port, { path: '/api/categories?token=tok123', headers: { 'X-Disk-Cleaner-Token': '' } })).status, 200);
+
+  // DNS rebinding: a foreign name resolving to 127.0.0.1
+  assert.strictEqual((await request(port, { path: '/api/categories', headers: { Host: `evil.example:${port}` } })).status, 403);
+  assert.strictEqual((await request(port, { path: '/api/categories', headers: { Origin: 'http://evil.example' } })).status, 403);
+  const own = await request(port, { path: '/api/categories', headers: { Origin: `http://localhost:${port}` } });
+  assert.strictEqual(own.status, 200);
+});
+
+test('apply skips items that changed since the scan unless allowChanged', async () => {
+  const home = fakeHome();
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const report = await scanner.scan({ include: ['downloads'], minSize: 0, olderThan: 30 });
+  const dmg = report.items.find(it => it.path.endsWith('old.dmg'));
+  const zip = report.items.find(it => it.path.endsWith('older.zip'));
+  fs.appendFileSync(dmg.path, 'grown');
+  // Same size and mtime, another inode
+  fs.writeFileSync(`${zip.path}.tmp`, Buffer.alloc(128 * 1024, 'z'));
+  fs.utimesSync(`${zip.path}.tmp`, OLD, OLD);
+  fs.renameSync(`${zip.path}.tmp`, zip.path);
+
+  const details = await scanner.apply({ items: [dmg, zip] }, { mode: 'trash' });
+  assert.deepStrictEqual(details.map(d => d.status), ['changed_since_scan', 'changed_since_scan']);
+  assert.match(details[0].reason, /^size changed/);
+  assert.strictEqual(details[1].reason, 'replaced');
+  assert.strictEqual(details.summary.changedSinceScan, 2);
+  assert.ok(fs.existsSync(dmg.path) && fs.existsSync(zip.path));
+
+  const allowed = await scanner.apply({ items: [dmg] }, { mode: 'trash', allowChanged: true });
+  assert.strictEqual(allowed[0].status, 'trashed');
+  assert.match(allowed[0].changed, /^size changed/);
+});
+
+test('projects: artifacts of checkouts untouched since the age filter, dated by their last commit', async () => {
+  const home = fakeHome();
+  const longAgo = new Date('2020-06-01T00:00:00Z');
+  const when = 1609459200; // 2021-01-01, the last commit
+  const project = (name, files, mtime) => {
+    for (const rel of files) {
+      const p = path.join(home, 'Code', name, ...rel.split('/'));
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      fs.writeFileSync(p, Buffer.alloc(16 * 1024, 'p'));
+      if (mtime) fs.utimesSync(p, mtime, mtime);
+    }
+    return path.join(home, 'Code', name);
+  };
+  const old = project('old', ['package.json', 'index.js', 'node_modules/dep/index.js'], longAgo);
+  const env = { ...process.env, GIT_AUTHOR_DATE: `${when} +0000`, GIT_COMMITTER_DATE: `${when} +0000`, GIT_CONFIG_NOSYSTEM: '1', HOME: home };
+  for (const args of [['init', '-q'], ['add', 'package.json', 'index.js'], ['commit', '-qm', 'first']]) {
+    const r = spawnSync('git', ['-c', 'user.name=t', '-c', 'user.email=t@t', ...args], { cwd: old, env, encoding: 'utf8', timeout: 60000 });
+    assert.strictEqual(r.status, 0, r.stderr);
+  }
+  project('fresh', ['package.json', 'node_modules/dep/index.js']);
+  project('py', ['requirements.txt', '.venv/lib/site.py'], longAgo); // no pyvenv.cfg: not a virtualenv
+
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const report = await scanner.scan({ include: ['projects'], minSize: 0, olderThan: 60 });
+  assert.deepStrictEqual(report.items.map(it => path.relative(home, it.path)), [path.join('Code', 'old', 'node_modules')]);
+  const [item] = report.items;
+  assert.deepStrictEqual([item.project, item.artifact, item.lastCommit, item.mtime], [old, 'node_modules', when, when]);
+  assert.match(item.reason, /Node\.js node_modules \(regenerable\), last commit 2021-01-01$/);
+});
+
+test('sizes: a hard-linked file counts once and a sparse file counts its allocated blocks', async () => {
+  const home = fakeHome();
+  const dl = path.join(home, 'Downloads');
+  fs.linkSync(path.join(dl, 'old.dmg'), path.join(dl, 'old-link.dmg'));
+  const sparse = path.join(dl, 'disk.img');
+  const fd = fs.openSync(sparse, 'w');
+  fs.ftruncateSync(fd, 8 * 1024 * 1024);
+  fs.writeSync(fd, Buffer.alloc(4096, 's'), 0, 4096, 0);
+  fs.closeSync(fd);
+  fs.utimesSync(sparse, OLD, OLD);
+
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const report = await scanner.scan({ include: ['downloads'], minSize: 0, olderThan: 30 });
+  const links = report.items.filter(it => /^old(-link)?\.dmg$/.test(path.basename(it.path)));
+  assert.strictEqual(links.length, 2);
+  assert.deepStrictEqual(links.map(it => it.bytes > 0).sort(), [false, true]);
+  assert.match(links.find(it => it.bytes === 0).reason, /hard link/);
+  const img = report.items.find(it => it.path === sparse);
+  assert.strictEqual(img.apparentBytes, 8 * 1024 * 1024);
+  assert.ok(img.bytes < 1024 * 1024, String(img.bytes));
+  assert.strictEqual(report.totals.bytes, report.items.reduce((sum, it) => sum + it.bytes, 0));
+});
+
+test('disk: volumes are listed with their categories and an apply measures free space before and after', async () => {
+  const home = fakeHome();
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data') });
+  const volumes = await scanner.disk();
+  const homeVolume = volumes.find(v => v.home);
+  assert.ok(homeVolume);
+  assert.strictEqual(homeVolume.dev, fs.statSync(home).dev);
+  assert.ok(homeVolume.total > 0 && homeVolume.free >= 0 && homeVolume.used >= 0);
+  assert.ok(homeVolume.categories.includes('downloads'));
+
+  const report = await scanner.scan({ include: ['downloads'], minSize: 0, olderThan: 30 });
+  const dry = await scanner.apply({ items: report.items }, { mode: 'delete', dryRun: true });
+  assert.strictEqual(dry.summary.disk, undefined);
+
+  const applied = await scanner.apply({ items: report.items }, { mode: 'delete' });
+  const { disk } = applied.summary;
+  assert.ok(disk);
+  const vol = disk.volumes.find(v => v.dev === homeVolume.dev);
+  assert.ok(vol);
+  assert.strictEqual(vol.freed, vol.freeAfter - vol.freeBefore);
+  assert.strictEqual(disk.freed, disk.volumes.reduce((sum, v) => sum + v.freed, 0));
+});
@@ -0,0 +1,139 @@
+// Trash moves against a temporary home: run with `node --test test/`
+const test = require('node:test');
+const assert = require('node:assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { createScanner } = require('../scanner');
+
+function fakeHome() {
+  const home = fs.mkdtempSync(path.join(os.tmpdir(), 'dc-trash-'));
+  test.after(() => fs.rmSync(home, { recursive: true, force: true }));
+  return home;
+}
+
+for (const trashFormat of ['plain', 'freedesktop']) {
+  test(`${trashFormat} Trash keeps three items with the same name apart and restores each`, async () => {
+    const home = fakeHome();
+    const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data'), trashFormat });
+    const items = ['a', 'b', 'c'].map((dir) => {
+      const p = path.join(home, 'Downloads', dir, 'x.txt');
+      fs.mkdirSync(path.dirname(p), { recursive: true });
+      fs.writeFileSync(p, `content of ${dir}`);
+      return { path: p, category: 'downloads' };
+    });
+
+    const details = await scanner.apply({ items }, { mode: 'trash' });
+    assert.deepStrictEqual(details.map(d => d.status), ['trashed', 'trashed', 'trashed']);
+    const dests = details.map(d => d.dest);
+    assert.strictEqual(new Set(dests).size, 3, `distinct destinations: ${dests.join(', ')}`);
+    assert.deepStrictEqual(dests.map(d => fs.readFileSync(d, 'utf8')), ['content of a', 'content of b', 'content of c']);
+
+    const restored = await scanner.restore({ applyId: details.applyId });
+    assert.strictEqual(restored.summary.count, 3);
+    for (const it of items) assert.strictEqual(fs.readFileSync(it.path, 'utf8'), `content of ${path.basename(path.dirname(it.path))}`);
+  });
+}
+
+// Make the Trash look like another volume without a usable volume trash: renames into it fail with EXDEV
+// and volume trash folders (<topdir>/.Trashes, .Trash-<uid>) cannot be created, so trash moves copy
+function otherVolume(t, trashDir) {
+  const fail = (code) => Object.assign(new Error(`${code} (simulated)`), { code });
+  const rename = fs.renameSync;
+  const mkdir = fs.mkdirSync;
+  t.mock.method(fs, 'renameSync', (src, dest) => {
+    if (String(dest).startsWith(trashDir + path.sep)) throw fail('EXDEV');
+    return rename(src, dest);
+  });
+  t.mock.method(fs, 'mkdirSync', (p, opts) => {
+    if (!String(p).startsWith(trashDir) && /[\\/]\.Trash(es|-\d+)?([\\/]|$)/.test(String(p))) throw fail('EACCES');
+    return mkdir(p, opts);
+  });
+}
+
+test('an item whose Trash is on another volume is copied, verified, removed and restorable', async (t) => {
+  const home = fakeHome();
+  const trashDir = path.join(home, 'Trash');
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data'), trashDir, trashFormat: 'freedesktop' });
+  const dir = path.join(home, 'Downloads', 'album');
+  fs.mkdirSync(dir, { recursive: true });
+  fs.writeFileSync(path.join(dir, 'a.bin'), Buffer.alloc(64 * 1024, 'a'));
+  otherVolume(t, trashDir);
+
+  const [detail] = await scanner.apply({ items: [{ path: dir, category: 'downloads' }] }, { mode: 'trash' });
+  assert.strictEqual(detail.status, 'trashed', detail.error);
+  assert.strictEqual(detail.strategy, 'copy');
+  assert.ok(!fs.existsSync(dir));
+  assert.ok(detail.dest.startsWith(trashDir + path.sep));
+  assert.ok(fs.readFileSync(path.join(detail.dest, 'a.bin')).equals(Buffer.alloc(64 * 1024, 'a')));
+
+  const restored = await scanner.restore({ last: true });
+  assert.strictEqual(restored.summary.count, 1);
+  assert.ok(fs.existsSync(path.join(dir, 'a.bin')));
+});
+
+test('a copied item whose original cannot be removed is reported partial and journaled', async (t) => {
+  const home = fakeHome();
+  const trashDir = path.join(home, 'Trash');
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data'), trashDir, trashFormat: 'freedesktop' });
+  const file = path.join(home, 'Downloads', 'stuck.bin');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, 'stuck');
+  otherVolume(t, trashDir);
+  const rm = fs.rmSync;
+  t.mock.method(fs, 'rmSync', (p, opts) => {
+    if (p === file) throw Object.assign(new Error('EPERM (simulated)'), { code: 'EPERM' });
+    return rm(p, opts);
+  });
+
+  const details = await scanner.apply({ items: [{ path: file, category: 'downloads' }] }, { mode: 'trash' });
+  const [detail] = details;
+  assert.strictEqual(detail.status, 'partial');
+  assert.strictEqual(detail.originalRemained, true);
+  assert.match(detail.error, /removing the original failed/);
+  assert.strictEqual(details.summary.count, 0);
+  assert.strictEqual(fs.readFileSync(detail.dest, 'utf8'), 'stuck');
+  assert.ok(fs.existsSync(path.join(trashDir, 'info', `${path.basename(detail.dest)}.trashinfo`)));
+  const audit = scanner.audit({ applyId: details.applyId });
+  assert.strictEqual(audit.entries[0].dest, detail.dest);
+
+  // The copy can be taken back out of the Trash; it lands next to the original that stayed
+  t.mock.restoreAll();
+  const restored = await scanner.restore({ applyId: details.applyId });
+  assert.strictEqual(restored.summary.count, 1);
+  assert.ok(!fs.existsSync(detail.dest));
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'stuck');
+  assert.notStrictEqual(restored.details[0].restoredTo, file);
+});
+
+// A home on tmpfs with the Trash under the temp folder: two real volumes (skipped where they are one)
+const shm = '/dev/shm';
+const twoVolumes = (() => {
+  try { return fs.statSync(shm).dev !== fs.statSync(os.tmpdir()).dev && (fs.accessSync(shm, fs.constants.W_OK), true); } catch { return false; }
+})();
+
+test('an item on another volume goes to that volume\'s own trash folder', { skip: !twoVolumes && 'needs /dev/shm on its own volume' }, async (t) => {
+  const home = fs.mkdtempSync(path.join(shm, 'dc-trash-'));
+  const volumeTrash = path.join(shm, `.Trash-${process.getuid()}`);
+  const createdTrash = !fs.existsSync(volumeTrash);
+  t.after(() => {
+    fs.rmSync(home, { recursive: true, force: true });
+    if (createdTrash) fs.rmSync(volumeTrash, { recursive: true, force: true });
+  });
+  const trashDir = path.join(fakeHome(), 'Trash');
+  const scanner = createScanner({ home, env: {}, dataDir: path.join(home, '.dc-data'), trashDir, trashFormat: 'freedesktop' });
+  const file = path.join(home, 'Downloads', 'v.bin');
+  fs.mkdirSync(path.dirname(file), { recursive: true });
+  fs.writeFileSync(file, 'on tmpfs');
+
+  const [detail] = await scanner.apply({ items: [{ path: file, category: 'downloads' }] }, { mode: 'trash' });
+  assert.strictEqual(detail.status, 'trashed', detail.error);
+  assert.strictEqual(detail.strategy, 'volume');
+  assert.ok(detail.dest.startsWith(path.join(volumeTrash, 'files') + path.sep));
+  const info = fs.readFileSync(path.join(volumeTrash, 'info', `${path.basename(detail.dest)}.trashinfo`), 'utf8');
+  assert.match(info, new RegExp(`^Path=${path.relative(shm, file).split(path.sep).map(encodeURIComponent).join('/')}$`, 'm'));
+
+  const restored = await scanner.restore({ last: true });
+  assert.strictEqual(restored.summary.count, 1);
+  assert.strictEqual(fs.readFileSync(file, 'utf8'), 'on tmpfs');
+});